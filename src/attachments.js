@@ -0,0 +1,279 @@
+import { closeSync, existsSync, lstatSync, openSync, readdirSync, readFileSync, readSync, realpathSync, statSync } from 'fs';
+import { isAbsolute, join, relative, resolve, sep } from 'path';
+import { DEFAULTS, ERROR_MESSAGES } from './constants.js';
+import { ValidationError } from './errors.js';
+
+const GLOB_CHARACTERS = /[*?[]/;
+
+/**
+ * Directories attachments may be read from, from ATTACHMENT_ROOTS (comma
+ * separated). Attachments are disabled while it is unset.
+ * @param {Object} [env]
+ * @returns {string[]}
+ */
+export function getAttachmentRoots(env = process.env) {
+  return (env.ATTACHMENT_ROOTS || '').split(',').map(root => root.trim()).filter(Boolean);
+}
+
+/**
+ * Maximum number of bytes attached to one request, from ATTACHMENT_MAX_BYTES
+ * @param {Object} [env]
+ * @returns {number}
+ */
+export function getAttachmentBudget(env = process.env) {
+  return parseInt(env.ATTACHMENT_MAX_BYTES) || DEFAULTS.ATTACHMENTS.MAX_TOTAL_BYTES;
+}
+
+/**
+ * Converts a glob pattern into a regular expression matching '/' separated
+ * paths. Supports `*` and `?` within a path segment, `**` across segments
+ * and `[...]` character classes.
+ * @param {string} pattern
+ * @returns {RegExp}
+ * @throws {ValidationError} When the pattern is malformed
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // '**/' also matches no directory at all
+      source += pattern[i + 2] === '/' ? '(?:[^/]*/)*' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  try {
+    return new RegExp(`^${source}$`);
+  } catch (error) {
+    // Character classes are copied as written, so e.g. a reversed range is only caught here
+    throw new ValidationError(`Invalid attachments: ${pattern} is not a valid glob pattern (${error.message})`);
+  }
+}
+
+/**
+ * Treats content as binary when it contains a NUL byte or is not valid UTF-8
+ * @param {Buffer} bytes
+ * @returns {boolean}
+ */
+export function isBinary(bytes) {
+  if (bytes.includes(0)) {
+    return true;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+const toPosix = path => path.split(sep).join('/');
+
+function readHead(file, size) {
+  const head = Buffer.alloc(Math.min(size, DEFAULTS.ATTACHMENTS.BINARY_CHECK_BYTES));
+  const fd = openSync(file, 'r');
+  try {
+    readSync(fd, head, 0, head.length, 0);
+  } finally {
+    closeSync(fd);
+  }
+  return head;
+}
+
+/**
+ * Reads the files named by the attachments argument. Each entry is a path
+ * or glob pattern, absolute or relative to one of the roots. Everything is
+ * resolved through symlinks and must stay inside a root; wildcards do not
+ * match hidden files or directories.
+ *
+ * Files named explicitly must be text; binary files matched by a pattern
+ * are skipped. The total size may not exceed `maxBytes`.
+ * @param {string[]} entries
+ * @param {Object} [options]
+ * @param {string[]} [options.roots]
+ * @param {number} [options.maxBytes]
+ * @returns {Array<{path: string, content: string, bytes: number}>}
+ */
+export function loadAttachments(entries, { roots = getAttachmentRoots(), maxBytes = getAttachmentBudget() } = {}) {
+  if (roots.length === 0) {
+    throw new ValidationError('Invalid attachments: disabled (set ATTACHMENT_ROOTS to allow directories)');
+  }
+
+  const realRoots = roots.map((root) => {
+    try {
+      return realpathSync(root);
+    } catch (error) {
+      throw new ValidationError(`Invalid attachments: root ${root} does not exist`);
+    }
+  });
+  const rootOf = file => realRoots.find((root) => {
+    const location = relative(root, file);
+    return !location.startsWith('..') && !isAbsolute(location);
+  });
+
+  const files = new Map();
+  let totalBytes = 0;
+
+  const add = (file, root, { skipBinary }) => {
+    if (files.has(file)) {
+      return;
+    }
+    const path = toPosix(relative(root, file));
+    const { size } = statSync(file);
+    // Binary files matched by a pattern are skipped without counting against the budget
+    if (skipBinary && readHead(file, size).includes(0)) {
+      return;
+    }
+    if (totalBytes + size > maxBytes) {
+      throw new ValidationError(`Invalid attachments: ${path} (${size} bytes) exceeds the budget of ${maxBytes} bytes per request`);
+    }
+    if (files.size === DEFAULTS.ATTACHMENTS.MAX_FILES) {
+      throw new ValidationError(`Invalid attachments: at most ${DEFAULTS.ATTACHMENTS.MAX_FILES} files per request`);
+    }
+
+    const bytes = readFileSync(file);
+    if (isBinary(bytes)) {
+      if (skipBinary) {
+        return;
+      }
+      throw new ValidationError(`Invalid attachments: ${path} is a binary file`);
+    }
+
+    totalBytes += bytes.length;
+    files.set(file, { path, content: bytes.toString('utf-8'), bytes: bytes.length });
+  };
+
+  for (const entry of entries) {
+    if (GLOB_CHARACTERS.test(entry)) {
+      const matches = findMatches(entry, realRoots, rootOf);
+      if (matches.length === 0) {
+        throw new ValidationError(`Invalid attachments: ${entry} matches no files`);
+      }
+      matches.forEach(({ file, root }) => add(file, root, { skipBinary: true }));
+      continue;
+    }
+
+    const candidates = isAbsolute(entry) ? [entry] : realRoots.map(root => resolve(root, entry));
+    let found = false;
+    for (const candidate of candidates) {
+      let file;
+      try {
+        file = realpathSync(candidate);
+      } catch (error) {
+        continue;
+      }
+      const root = rootOf(file);
+      if (!root) {
+        throw new ValidationError(`Invalid attachments: ${entry} is outside ATTACHMENT_ROOTS`);
+      }
+      if (!statSync(file).isFile()) {
+        throw new ValidationError(`Invalid attachments: ${entry} is not a file`);
+      }
+      add(file, root, { skipBinary: false });
+      found = true;
+      break;
+    }
+    if (!found) {
+      throw new ValidationError(`Invalid attachments: cannot read ${entry}`);
+    }
+  }
+
+  return [...files.values()];
+}
+
+/**
+ * Walks the directories a glob pattern can reach and returns the files it
+ * matches, in sorted order
+ */
+function findMatches(pattern, realRoots, rootOf) {
+  const bases = isAbsolute(pattern)
+    ? realRoots.filter(root => !relative(root, resolve(pattern)).startsWith('..'))
+    : realRoots;
+  if (isAbsolute(pattern) && bases.length === 0) {
+    throw new ValidationError(`Invalid attachments: ${pattern} is outside ATTACHMENT_ROOTS`);
+  }
+
+  const matches = [];
+  let scanned = 0;
+
+  for (const root of bases) {
+    const relativePattern = toPosix(isAbsolute(pattern) ? relative(root, pattern) : pattern);
+    const regex = globToRegExp(relativePattern);
+    // Start from the directories before the first wildcard rather than the whole root
+    const segments = relativePattern.split('/');
+    const prefix = segments.slice(0, segments.findIndex(segment => GLOB_CHARACTERS.test(segment))).join('/');
+    const start = resolve(root, prefix);
+    const walk = (directory) => {
+      for (const dirent of readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+        if (++scanned > DEFAULTS.ATTACHMENTS.MAX_SCANNED_ENTRIES) {
+          throw new ValidationError(`Invalid attachments: ${pattern} scans more than ${DEFAULTS.ATTACHMENTS.MAX_SCANNED_ENTRIES} entries`);
+        }
+        if (dirent.name.startsWith('.')) {
+          continue;
+        }
+
+        const path = join(directory, dirent.name);
+        if (dirent.isDirectory()) {
+          walk(path);
+        } else if (regex.test(toPosix(relative(root, path)))) {
+          // Symlinked files count only when their target is inside a root; symlinked directories are not followed
+          const file = lstatSync(path).isSymbolicLink() ? realpathSync(path) : path;
+          if (rootOf(file) && statSync(file).isFile()) {
+            matches.push({ file, root: rootOf(file) });
+          }
+        }
+      }
+    };
+    if (!relative(root, start).startsWith('..') && existsSync(start) && statSync(start).isDirectory()) {
+      walk(start);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Lists the files between delimiter lines
+ * @param {Array<{path: string, content: string, bytes: number}>} files
+ * @returns {string}
+ */
+export function formatFiles(files) {
+  const sections = files.map(({ path, content, bytes }) => (
+    `===== BEGIN FILE: ${path} (${bytes} bytes) =====\n${content}\n===== END FILE: ${path} =====`
+  ));
+  return [`Attached files (${files.length}):`, ...sections].join('\n\n');
+}
+
+/**
+ * Appends the attached files to the prompt
+ * @param {string} prompt
+ * @param {Array<{path: string, content: string, bytes: number}>} files
+ * @returns {string}
+ */
+export function formatAttachments(prompt, files) {
+  return `${prompt}\n\n${formatFiles(files)}`;
+}
+
+/**
+ * Validates the attachments argument of the ask tools and reads the files
+ * @returns {Array<{path: string, content: string, bytes: number}>|undefined}
+ */
+export function validateAttachments(attachments) {
+  if (attachments === undefined || attachments === null) {
+    return undefined;
+  }
+  if (!Array.isArray(attachments) || attachments.length === 0 || attachments.some(entry => typeof entry !== 'string' || !entry.trim())) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_ATTACHMENTS);
+  }
+  return loadAttachments(attachments.map(entry => entry.trim()));
+}
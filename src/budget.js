@@ -0,0 +1,202 @@
+import { homedir } from 'os';
+import { join } from 'path';
+import { BudgetExceededError, ConfigurationError } from './errors.js';
+import { computeCost, findPrice } from './pricing.js';
+
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+
+// Scope of the budgets that cover the calls to every provider
+export const GLOBAL_BUDGET = 'global';
+
+// Where the usage ledger is kept when budgets are set but USAGE_LEDGER_PATH is not
+export const DEFAULT_BUDGET_LEDGER_PATH = join(homedir(), '.mcp-ai-bridge', 'usage.jsonl');
+
+const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const formatUsd = amount => `$${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)}`;
+
+/**
+ * Spending limits from BUDGETS, a JSON object mapping `global` or a
+ * provider name to daily and/or monthly limits in USD, e.g.
+ * {"global": {"daily": {"soft": 5, "hard": 10}}, "openai": {"monthly": {"hard": 50}}}
+ * @param {Object} [env]
+ * @returns {Array<{scope: string, period: string, soft?: number, hard?: number}>}
+ */
+export function getBudgetLimits(env = process.env) {
+  if (!env.BUDGETS) {
+    return [];
+  }
+
+  let budgets;
+  try {
+    budgets = JSON.parse(env.BUDGETS);
+  } catch (error) {
+    throw new ConfigurationError('BUDGETS must be a JSON object');
+  }
+  if (budgets === null || typeof budgets !== 'object' || Array.isArray(budgets)) {
+    throw new ConfigurationError('BUDGETS must be a JSON object');
+  }
+
+  const limits = [];
+  for (const [scope, periods] of Object.entries(budgets)) {
+    if (periods === null || typeof periods !== 'object' || Array.isArray(periods)) {
+      throw new ConfigurationError(`BUDGETS.${scope} must map ${BUDGET_PERIODS.join(' or ')} to limits`);
+    }
+    for (const [period, limit] of Object.entries(periods)) {
+      if (!BUDGET_PERIODS.includes(period)) {
+        throw new ConfigurationError(`BUDGETS.${scope}.${period}: the period must be ${BUDGET_PERIODS.join(' or ')}`);
+      }
+      const { soft, hard } = limit ?? {};
+      if ((soft === undefined && hard === undefined) || ![soft, hard].every(value => value === undefined || isAmount(value))) {
+        throw new ConfigurationError(`BUDGETS.${scope}.${period} must be {"soft": <USD>, "hard": <USD>} with at least one of the two`);
+      }
+      if (soft !== undefined && hard !== undefined && soft > hard) {
+        throw new ConfigurationError(`BUDGETS.${scope}.${period}: the soft limit must not exceed the hard limit`);
+      }
+      limits.push({ scope, period, ...(soft !== undefined && { soft }), ...(hard !== undefined && { hard }) });
+    }
+  }
+  return limits;
+}
+
+/**
+ * The budget period containing `now`. Days and months follow UTC, like the
+ * day grouping of get_usage.
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Date} [now]
+ * @returns {{start: string, end: string}} - ISO timestamps, end exclusive
+ */
+export function getPeriodBounds(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+  const [start, end] = period === 'daily'
+    ? [Date.UTC(year, month, day), Date.UTC(year, month, day + 1)]
+    : [Date.UTC(year, month, 1), Date.UTC(year, month + 1, 1)];
+
+  return { start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+}
+
+/**
+ * Enforces spending limits on top of the usage ledger.
+ *
+ * Spend is the cost recorded in the ledger since the start of the current
+ * day or month, so it survives restarts when the ledger is persisted. Before
+ * each call the worst case cost (prompt tokens plus max_tokens) is reserved
+ * against the budgets of the provider and the global ones, and the call is
+ * rejected if that could take any of them past its hard limit; reservations
+ * make concurrent calls count against each other until they finish. Soft
+ * limits never block a call, they only produce warnings.
+ *
+ * Calls to models without a price are estimated at nothing and always pass.
+ */
+export class BudgetTracker {
+  /**
+   * @param {Object} options
+   * @param {UsageLedger} options.ledger
+   * @param {Array} [options.limits] - See getBudgetLimits
+   * @param {Function} [options.now] - Clock (injectable for tests)
+   */
+  constructor({ ledger, limits = getBudgetLimits(), now = Date.now }) {
+    this.ledger = ledger;
+    this.limits = limits;
+    this.now = now;
+    this.reserved = new Map();
+  }
+
+  /**
+   * Cost recorded in the ledger for a scope in the current period
+   * @param {string} scope - GLOBAL_BUDGET or a provider name
+   * @param {string} period
+   * @returns {number}
+   */
+  getSpent(scope, period) {
+    const { start } = getPeriodBounds(period, new Date(this.now()));
+    const provider = scope === GLOBAL_BUDGET ? undefined : scope;
+    return this.ledger.summarize({ groupBy: [], since: start, provider }).totals.cost;
+  }
+
+  /**
+   * Worst case cost of a request: its prompt tokens and all the output
+   * tokens it may generate
+   * @param {BaseProvider} provider
+   * @param {Object} request - Validated request
+   * @param {Object} [measurement] - Result of provider.measureRequest(request)
+   * @returns {number|null} - null when the model is not priced
+   */
+  estimateCost(provider, request, measurement) {
+    const price = findPrice(this.ledger.pricing, provider.name, request.model);
+    if (!price) {
+      return null;
+    }
+    const { inputTokens, reservedOutputTokens } = measurement ?? provider.measureRequest(request);
+    return computeCost(price, { inputTokens, outputTokens: reservedOutputTokens });
+  }
+
+  /**
+   * Reserves the estimated cost of a call, or throws BudgetExceededError
+   * when the call could exceed a hard limit
+   * @param {BaseProvider} provider
+   * @param {Object} request - Validated request
+   * @param {Object} [measurement] - Result of provider.measureRequest(request)
+   * @returns {Function} - Releases the reservation; call it once the call has finished
+   */
+  reserve(provider, request, measurement) {
+    const scopes = [GLOBAL_BUDGET, provider.name];
+    const limits = this.limits.filter(limit => limit.hard !== undefined && scopes.includes(limit.scope));
+    if (limits.length === 0) {
+      return () => {};
+    }
+
+    const estimate = this.estimateCost(provider, request, measurement) ?? 0;
+    for (const limit of limits) {
+      const spent = this.getSpent(limit.scope, limit.period);
+      const committed = spent + (this.reserved.get(limit.scope) ?? 0);
+      // A free call adds nothing, so it passes even once the budget is used up
+      if (estimate > 0 && committed + estimate > limit.hard) {
+        const { end } = getPeriodBounds(limit.period, new Date(this.now()));
+        throw new BudgetExceededError(
+          `The ${limit.period} ${limit.scope} budget of ${formatUsd(limit.hard)} would be exceeded: ${formatUsd(spent)} spent${committed > spent ? ` and ${formatUsd(committed - spent)} in progress` : ''}, and this call to ${provider.name} ${request.model} may cost up to ${formatUsd(estimate)}. The budget resets at ${end}.`
+        );
+      }
+    }
+
+    for (const scope of scopes) {
+      this.reserved.set(scope, (this.reserved.get(scope) ?? 0) + estimate);
+    }
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      for (const scope of scopes) {
+        this.reserved.set(scope, this.reserved.get(scope) - estimate);
+      }
+    };
+  }
+
+  /**
+   * Describes every budget whose spend has reached its soft limit
+   * @returns {string[]}
+   */
+  getWarnings() {
+    return this.limits
+      .filter(limit => limit.soft !== undefined)
+      .map(limit => ({ limit, spent: this.getSpent(limit.scope, limit.period) }))
+      .filter(({ limit, spent }) => spent >= limit.soft)
+      .map(({ limit, spent }) => `${formatUsd(spent)} of the ${limit.period} ${limit.scope} budget spent, reaching its soft limit of ${formatUsd(limit.soft)}${limit.hard !== undefined ? ` (hard limit ${formatUsd(limit.hard)})` : ''}.`);
+  }
+
+  /**
+   * Spend against every limit, for server_info
+   * @returns {Array<{scope: string, period: string, soft?: number, hard?: number, spent: number, resetsAt: string}>}
+   */
+  getStatus() {
+    return this.limits.map(limit => ({
+      ...limit,
+      spent: this.getSpent(limit.scope, limit.period),
+      resetsAt: getPeriodBounds(limit.period, new Date(this.now())).end,
+    }));
+  }
+}
@@ -0,0 +1,210 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+import { DEFAULTS } from './constants.js';
+import logger from './logger.js';
+
+// Request fields already contained in `messages`
+const KEY_EXCLUDED_FIELDS = ['prompt', 'attachments'];
+
+/**
+ * Response cache settings from the environment. RESPONSE_CACHE_MAX_ENTRIES=0
+ * turns the cache off.
+ * @param {Object} [env]
+ * @returns {{filePath: string|null, maxEntries: number, ttlMs: number, allowNondeterministic: boolean}}
+ */
+export function getCacheOptions(env = process.env) {
+  const maxEntries = parseInt(env.RESPONSE_CACHE_MAX_ENTRIES);
+
+  return {
+    filePath: env.RESPONSE_CACHE_PATH || null,
+    maxEntries: maxEntries >= 0 ? maxEntries : DEFAULTS.CACHE.MAX_ENTRIES,
+    ttlMs: parseInt(env.RESPONSE_CACHE_TTL_MS) || DEFAULTS.CACHE.TTL_MS,
+    allowNondeterministic: env.RESPONSE_CACHE_NONDETERMINISTIC === 'true',
+  };
+}
+
+// JSON with object keys sorted, so equal values always serialize the same way
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Cache key of a validated request: a hash of the provider and everything
+ * sent to the model (messages including session history, attachments and
+ * images, system prompt, model, temperature and generation parameters).
+ * Since requests are validated first, an omitted argument and its default
+ * value give the same key.
+ * @param {BaseProvider} provider
+ * @param {Object} request - Result of validateRequest, with any session history
+ * @returns {string}
+ */
+export function buildCacheKey(provider, request) {
+  const fields = Object.fromEntries(Object.entries(request).filter(([key]) => !KEY_EXCLUDED_FIELDS.includes(key)));
+  return createHash('sha256').update(canonicalJson({ provider: provider.name, ...fields })).digest('hex');
+}
+
+/**
+ * Exact-match cache of answers, so asking the same question again does not
+ * call the model again.
+ *
+ * Entries expire `ttlMs` after they were stored; once `maxEntries` is
+ * reached the least recently used entry is evicted. Only requests with
+ * temperature 0 are cached, unless `allowNondeterministic` is set, since
+ * sampling at a higher temperature is expected to give a different answer
+ * every time. Entries are optionally mirrored to a JSON file so they
+ * survive restarts.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} [options] - See getCacheOptions
+   * @param {Function} [options.now] - Clock (injectable for tests)
+   */
+  constructor({
+    filePath = null,
+    maxEntries = DEFAULTS.CACHE.MAX_ENTRIES,
+    ttlMs = DEFAULTS.CACHE.TTL_MS,
+    allowNondeterministic = false,
+    now = Date.now,
+  } = getCacheOptions()) {
+    this.filePath = filePath;
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.allowNondeterministic = allowNondeterministic;
+    this.now = now;
+    // Map order tracks recency, least recently used first
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+    this.pendingWrite = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.maxEntries > 0;
+  }
+
+  async load() {
+    if (!this.filePath || !this.enabled) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && process.env.NODE_ENV !== 'test') {
+        logger.warn(`Failed to load the response cache from ${this.filePath}:`, error.message);
+      }
+      return;
+    }
+
+    const now = this.now();
+    for (const [key, entry] of data.entries || []) {
+      if (entry.expiresAt > now) {
+        this.entries.set(key, entry);
+      }
+    }
+    this.evictIfFull(this.maxEntries);
+  }
+
+  /**
+   * Whether answers to a request may be cached
+   * @param {Object} request - Validated request
+   * @returns {boolean}
+   */
+  isCacheable(request) {
+    return this.enabled && (request.temperature === 0 || this.allowNondeterministic);
+  }
+
+  /**
+   * Returns the cached value of a key, counting a hit or a miss
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= this.now()) {
+      if (entry) {
+        this.entries.delete(key);
+        this.persist();
+      }
+      this.stats.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Stores a value, evicting the least recently used entries when full
+   * @param {string} key
+   * @param {Object} value - Must survive a JSON round trip when the cache is persisted
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.evictIfFull(this.maxEntries - 1);
+    const now = this.now();
+    this.entries.set(key, { value, storedAt: new Date(now).toISOString(), expiresAt: now + this.ttlMs });
+    this.persist();
+  }
+
+  evictIfFull(maxSize) {
+    while (this.entries.size > maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Hit and miss counts and settings, for server_info
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      nondeterministic: this.allowNondeterministic,
+      persistent: !!this.filePath,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+    };
+  }
+
+  /**
+   * Writes the cache to disk. Writes are serialized and go through a
+   * temporary file so a crash never leaves a truncated cache behind.
+   */
+  persist() {
+    if (!this.filePath) {
+      return this.pendingWrite;
+    }
+
+    const data = JSON.stringify({ entries: [...this.entries] });
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(`${this.filePath}.tmp`, data, 'utf8');
+        await rename(`${this.filePath}.tmp`, this.filePath);
+      })
+      .catch((error) => {
+        if (process.env.NODE_ENV !== 'test') logger.warn(`Failed to persist the response cache to ${this.filePath}:`, error.message);
+      });
+
+    return this.pendingWrite;
+  }
+}
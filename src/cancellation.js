@@ -0,0 +1,71 @@
+import { DEFAULTS, ERROR_MESSAGES } from './constants.js';
+import { CancelledError, TimeoutError } from './errors.js';
+
+export function getRequestTimeoutMs() {
+  return parseInt(process.env.REQUEST_TIMEOUT_MS) || DEFAULTS.REQUEST.TIMEOUT_MS;
+}
+
+/**
+ * Creates the abort signal for one tool call. It aborts when the MCP client
+ * cancels the request (the SDK aborts `parentSignal` on a cancelled
+ * notification) or when `timeoutMs` elapses, whichever comes first. The
+ * signal's `reason` is a CancelledError or TimeoutError respectively.
+ *
+ * Call `dispose()` once the request settles to clear the timer.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.parentSignal] - Signal supplied by the MCP SDK
+ * @param {number} [options.timeoutMs]
+ * @returns {{signal: AbortSignal, dispose: Function}}
+ */
+export function createRequestSignal({ parentSignal, timeoutMs = getRequestTimeoutMs() } = {}) {
+  const controller = new AbortController();
+
+  const onCancel = () => controller.abort(new CancelledError(ERROR_MESSAGES.REQUEST_CANCELLED));
+  if (parentSignal?.aborted) {
+    onCancel();
+  } else {
+    parentSignal?.addEventListener('abort', onCancel, { once: true });
+  }
+
+  const timer = setTimeout(() => {
+    controller.abort(new TimeoutError(`${ERROR_MESSAGES.REQUEST_TIMEOUT} after ${timeoutMs}ms`));
+  }, timeoutMs);
+
+  return {
+    signal: controller.signal,
+    dispose() {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onCancel);
+    },
+  };
+}
+
+/**
+ * Settles with `promise`, or rejects with the signal's reason as soon as it
+ * aborts. Guards against SDKs that do not honor abort signals themselves.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ */
+export function raceWithSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
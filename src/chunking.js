@@ -0,0 +1,252 @@
+import { DEFAULTS } from './constants.js';
+
+export const SUMMARIZE_LARGE_TOOL = {
+  name: 'summarize_large',
+  description: "Summarize (or apply another instruction to) text too long for the model's context window by splitting it into chunks, processing them in parallel and combining the results",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      provider: {
+        type: 'string',
+        description: 'Provider name as listed by server_info (e.g. openai, gemini, local)',
+      },
+      model: {
+        type: 'string',
+        description: "The model to use (default: the provider's default model)",
+      },
+      text: {
+        type: 'string',
+        description: 'The text to process',
+      },
+      attachments: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Files to process (after the text, if any), as for the attachments argument of the ask tools',
+      },
+      instruction: {
+        type: 'string',
+        description: 'What to do with the text; applied to each chunk and then to the combined results (default: summarize)',
+      },
+      system: {
+        type: 'string',
+        description: 'System prompt sent with every call',
+      },
+      temperature: {
+        type: 'number',
+        description: 'Temperature for every call',
+      },
+      max_tokens: {
+        type: 'integer',
+        description: 'Maximum number of tokens each call may generate; reserved out of the context window',
+        minimum: 1,
+      },
+      chunk_tokens: {
+        type: 'integer',
+        description: 'Maximum size of each chunk in tokens (default: as much as fits in the context window)',
+        minimum: DEFAULTS.CHUNKING.MIN_CHUNK_TOKENS,
+      },
+    },
+    required: ['provider'],
+  },
+};
+
+// Arguments of summarize_large forwarded to the provider's request validation
+export const SUMMARIZE_ARGUMENTS = ['model', 'system', 'temperature', 'max_tokens'];
+
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Number of chunks processed at the same time, from CHUNKING_CONCURRENCY
+ * @param {Object} [env]
+ * @returns {number}
+ */
+export function getChunkConcurrency(env = process.env) {
+  const value = parseInt(env.CHUNKING_CONCURRENCY);
+  return value > 0 ? value : DEFAULTS.CHUNKING.CONCURRENCY;
+}
+
+/**
+ * Splits text into paragraphs at blank lines, keeping fenced code blocks
+ * (``` or ~~~) whole even when they contain blank lines
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitIntoBlocks(text) {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+    }
+    if (!inFence && line.trim() === '') {
+      if (current.length > 0) {
+        blocks.push(current.join('\n'));
+        current = [];
+      }
+      continue;
+    }
+    current.push(line);
+  }
+  if (current.length > 0) {
+    blocks.push(current.join('\n'));
+  }
+  return blocks;
+}
+
+// Cuts text that has no better boundary into pieces of at most maxTokens
+function splitCharacters(text, maxTokens, countTokens) {
+  const pieces = [];
+  let rest = text;
+
+  while (rest) {
+    let size = Math.min(rest.length, maxTokens * DEFAULTS.TOKENS.CHARS_PER_TOKEN);
+    while (size > 1 && countTokens(rest.slice(0, size)) > maxTokens) {
+      size = Math.floor(size / 2);
+    }
+    const piece = rest.slice(0, size);
+    pieces.push({ text: piece, tokens: countTokens(piece) });
+    rest = rest.slice(size);
+  }
+  return pieces;
+}
+
+// Joins consecutive pieces while they stay within maxTokens, counting a token per separator
+function pack(pieces, maxTokens, separator) {
+  const packed = [];
+  let current = [];
+  let tokens = 0;
+
+  for (const piece of pieces) {
+    if (current.length > 0 && tokens + 1 + piece.tokens > maxTokens) {
+      packed.push({ text: current.join(separator), tokens });
+      current = [];
+      tokens = 0;
+    }
+    tokens += (current.length > 0 ? 1 : 0) + piece.tokens;
+    current.push(piece.text);
+  }
+  if (current.length > 0) {
+    packed.push({ text: current.join(separator), tokens });
+  }
+  return packed;
+}
+
+/**
+ * Splits text into chunks of at most `maxTokens` tokens. Chunks end at
+ * paragraph boundaries and never inside a code block, unless a single
+ * paragraph or code block is too large on its own: it is then split
+ * between lines, and overlong lines between characters.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {Function} countTokens - Returns the token count of a string
+ * @returns {string[]}
+ */
+export function splitText(text, maxTokens, countTokens) {
+  const pieces = splitIntoBlocks(text).flatMap((block) => {
+    const tokens = countTokens(block);
+    if (tokens <= maxTokens) {
+      return [{ text: block, tokens }];
+    }
+    const lines = block.split('\n').flatMap((line) => {
+      const lineTokens = countTokens(line);
+      return lineTokens <= maxTokens ? [{ text: line, tokens: lineTokens }] : splitCharacters(line, maxTokens, countTokens);
+    });
+    return pack(lines, maxTokens, '\n');
+  });
+
+  return pack(pieces, maxTokens, '\n\n').map(chunk => chunk.text);
+}
+
+/**
+ * Prompt for one chunk. Without an instruction the chunk is part of an
+ * oversized request, so the model is asked to condense it while keeping any
+ * questions or instructions it contains for the combining step.
+ * @param {string|null} instruction
+ * @param {string} chunk
+ * @param {number} index - 1-based
+ * @param {number} total
+ * @returns {string}
+ */
+export function buildMapPrompt(instruction, chunk, index, total) {
+  const task = instruction
+    ? `${instruction}\n\nThe input is too long to process at once, so it was split into ${total} parts that are processed separately and combined afterwards. Apply the instruction to part ${index} below only.`
+    : `A request was too long to process at once, so it was split into ${total} parts that are processed separately and combined afterwards. Condense part ${index} below, keeping all the information needed to respond to the full request and quoting any questions or instructions it contains verbatim.`;
+
+  return `${task}\n\n===== PART ${index} OF ${total} =====\n${chunk}\n===== END OF PART ${index} =====`;
+}
+
+/**
+ * Prompt combining the results of several chunks
+ * @param {string|null} instruction
+ * @param {string[]} results
+ * @param {Object} [options]
+ * @param {boolean} [options.final] - Whether this produces the answer, rather than an intermediate result to be combined again
+ * @returns {string}
+ */
+export function buildReducePrompt(instruction, results, { final = true } = {}) {
+  let task;
+  if (instruction) {
+    task = final
+      ? `${instruction}\n\nThe input was too long to process at once, so it was split into parts and the instruction applied to each. Combine the results below into a single response to the instruction, merging repeated points.`
+      : `${instruction}\n\nThe input was too long to process at once, so it was split into parts and the instruction applied to each. Combine the results below into one result; it will be combined with the results of other parts later.`;
+  } else {
+    task = final
+      ? 'A request was too long to process at once, so it was split into parts and each part condensed. Respond to the full request using the condensed parts below, following the questions and instructions they contain.'
+      : 'A request was too long to process at once, so it was split into parts and each part condensed. Merge the condensed parts below into one, keeping all the information and quoting questions and instructions verbatim.';
+  }
+
+  const sections = results.map((result, index) => `===== RESULT ${index + 1} OF ${results.length} =====\n${result}`);
+  return [task, ...sections].join('\n\n');
+}
+
+/**
+ * Groups consecutive results into as few combining calls as `fits` allows
+ * @param {string[]} results
+ * @param {Function} fits - Whether a group of results can be combined in one call
+ * @returns {string[][]}
+ */
+export function groupResults(results, fits) {
+  const groups = [];
+  let current = [];
+
+  for (const result of results) {
+    if (current.length > 0 && !fits([...current, result])) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(result);
+  }
+  groups.push(current);
+  return groups;
+}
+
+/**
+ * Like Promise.all over `items.map(fn)`, running at most `limit` calls at a
+ * time. After a call fails no further calls are started.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - Called with each item and its index
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
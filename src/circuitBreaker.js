@@ -0,0 +1,176 @@
+import { DEFAULTS } from './constants.js';
+import { APIError } from './errors.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Tracks the health of one provider model.
+ *
+ * The circuit opens after `failureThreshold` consecutive failures; while
+ * open, calls are rejected immediately instead of waiting for the backend
+ * to fail again. Once `resetTimeoutMs` has passed the circuit half-opens
+ * and lets a single trial call through: success closes it, failure opens
+ * it for another period.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold]
+   * @param {number} [options.resetTimeoutMs]
+   * @param {number} [options.recentWindowMs] - Window of the `recentFailures` count
+   * @param {Function} [options.now] - Clock (injectable for tests)
+   */
+  constructor({
+    failureThreshold = DEFAULTS.CIRCUIT_BREAKER.FAILURE_THRESHOLD,
+    resetTimeoutMs = DEFAULTS.CIRCUIT_BREAKER.RESET_TIMEOUT_MS,
+    recentWindowMs = DEFAULTS.CIRCUIT_BREAKER.RECENT_WINDOW_MS,
+    now = Date.now,
+  } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.recentWindowMs = recentWindowMs;
+    this.now = now;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.failureTimes = [];
+    this.totalFailures = 0;
+    this.totalSuccesses = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.probing = false;
+  }
+
+  /**
+   * Whether a call may go through now. In the half-open state only the
+   * first caller gets through; the others wait for its outcome.
+   * @returns {boolean}
+   */
+  tryAcquire() {
+    if (this.state === CIRCUIT_STATES.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.probing = false;
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Releases a call that ended in a way that says nothing about the
+   * backend's health (cancellation, invalid request).
+   */
+  release() {
+    this.probing = false;
+  }
+
+  recordSuccess() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.totalSuccesses++;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * @param {string} message - Description of the failure
+   */
+  recordFailure(message) {
+    const now = this.now();
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.failureTimes = [...this.failureTimes.filter(time => now - time < this.recentWindowMs), now];
+    this.lastError = { message, at: new Date(now).toISOString() };
+    this.probing = false;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = now;
+    }
+  }
+
+  /**
+   * @returns {string|null} - ISO time at which an open circuit half-opens
+   */
+  get retryAt() {
+    return this.state === CIRCUIT_STATES.OPEN ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null;
+  }
+
+  getStatus() {
+    const now = this.now();
+
+    return {
+      state: this.state === CIRCUIT_STATES.OPEN && now - this.openedAt >= this.resetTimeoutMs
+        ? CIRCUIT_STATES.HALF_OPEN
+        : this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      recentFailures: this.failureTimes.filter(time => now - time < this.recentWindowMs).length,
+      totalFailures: this.totalFailures,
+      totalSuccesses: this.totalSuccesses,
+      lastError: this.lastError,
+      retryAt: this.retryAt,
+    };
+  }
+}
+
+/**
+ * One circuit breaker per provider model, created on first use.
+ */
+export class CircuitBreakerRegistry {
+  /**
+   * @param {Object} [options] - Passed to each CircuitBreaker
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.breakers = new Map();
+  }
+
+  /**
+   * @param {BaseProvider} provider
+   * @param {string} model
+   * @returns {CircuitBreaker}
+   */
+  get(provider, model) {
+    const key = `${provider.name}:${model}`;
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(this.options));
+    }
+    return this.breakers.get(key);
+  }
+
+  /**
+   * Error returned for calls rejected by an open circuit
+   */
+  openError(provider, model) {
+    const breaker = this.get(provider, model);
+    return new APIError(
+      `${provider.displayName} ${model} is temporarily unavailable after ${breaker.consecutiveFailures} consecutive failures` +
+        (breaker.retryAt ? `; retrying after ${breaker.retryAt}` : ''),
+      provider.displayName
+    );
+  }
+
+  getStatus() {
+    return Object.fromEntries([...this.breakers].map(([key, breaker]) => [key, breaker.getStatus()]));
+  }
+}
+
+/**
+ * Reads the circuit breaker settings from the environment
+ * @param {Object} [env]
+ */
+export function getCircuitBreakerOptions(env = process.env) {
+  return {
+    failureThreshold: parseInt(env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || DEFAULTS.CIRCUIT_BREAKER.FAILURE_THRESHOLD,
+    resetTimeoutMs: parseInt(env.CIRCUIT_BREAKER_RESET_MS) || DEFAULTS.CIRCUIT_BREAKER.RESET_TIMEOUT_MS,
+  };
+}
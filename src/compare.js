@@ -0,0 +1,129 @@
+import { DEFAULTS } from './constants.js';
+
+export const COMPARE_TOOL = {
+  name: 'compare_models',
+  description: 'Ask several models the same question in parallel and compare their answers side by side',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      prompt: {
+        type: 'string',
+        description: 'The question or prompt to send to every model',
+      },
+      models: {
+        type: 'array',
+        description: 'Provider/model pairs to compare (e.g. [{"provider": "openai", "model": "gpt-4o"}, {"provider": "gemini"}])',
+        minItems: 2,
+        maxItems: DEFAULTS.COMPARE.MAX_MODELS,
+        items: {
+          type: 'object',
+          properties: {
+            provider: {
+              type: 'string',
+              description: 'Provider name as listed by server_info (e.g. openai, gemini, local)',
+            },
+            model: {
+              type: 'string',
+              description: "The model to use (default: the provider's default model)",
+            },
+          },
+          required: ['provider'],
+        },
+      },
+      system: {
+        type: 'string',
+        description: 'System prompt sent to every model',
+      },
+      temperature: {
+        type: 'number',
+        description: 'Temperature sent to every model that supports it',
+      },
+      max_tokens: {
+        type: 'integer',
+        description: 'Maximum number of tokens each model may generate, capped at each model\'s own limit',
+        minimum: 1,
+      },
+    },
+    required: ['prompt', 'models'],
+  },
+};
+
+// Arguments forwarded from compare_models to every ask call
+export const SHARED_ARGUMENTS = ['prompt', 'system', 'temperature', 'max_tokens'];
+
+function words(text) {
+  return new Set(text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+}
+
+/**
+ * Share of vocabulary two answers have in common (Jaccard index of their
+ * word sets): 1 for identical wording, 0 for nothing in common.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function textSimilarity(a, b) {
+  const wordsA = words(a);
+  const wordsB = words(b);
+  const union = new Set([...wordsA, ...wordsB]);
+  if (union.size === 0) {
+    return 1;
+  }
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / union.size;
+}
+
+/**
+ * Words of at least five letters that appear in `text` but in none of the
+ * `others`, in order of first appearance.
+ */
+export function distinctiveTerms(text, others, limit = DEFAULTS.COMPARE.MAX_DISTINCTIVE_TERMS) {
+  const seen = new Set(others.flatMap(other => [...words(other)]));
+  return [...words(text)].filter(word => word.length >= 5 && !seen.has(word)).slice(0, limit);
+}
+
+const formatPercent = value => `${Math.round(value * 100)}%`;
+
+function formatUsage(usage) {
+  return usage ? `, ${usage.inputTokens ?? '?'} in / ${usage.outputTokens ?? '?'} out tokens` : '';
+}
+
+/**
+ * Renders the answers side by side followed by a summary of how they
+ * differ: which model answered fastest, how similar each pair of answers
+ * is, and the terms only one answer uses.
+ * @param {Array<{label: string, text?: string, error?: string, latencyMs: number, usage?: Object, metadata?: Object}>} entries
+ * @returns {string}
+ */
+export function formatComparison(entries) {
+  const answered = entries.filter(entry => entry.error === undefined);
+  const sections = entries.map((entry, index) => {
+    const heading = `### ${index + 1}. ${entry.label} (${entry.latencyMs}ms${formatUsage(entry.usage)})`;
+    if (entry.error !== undefined) {
+      return `${heading}\nError: ${entry.error}`;
+    }
+    return entry.metadata?.warning ? `${heading}\n⚠️ ${entry.metadata.warning}\n${entry.text}` : `${heading}\n${entry.text}`;
+  });
+
+  const summary = [`- Answered: ${answered.length} of ${entries.length}`];
+  if (answered.length > 0) {
+    const fastest = answered.reduce((best, entry) => (entry.latencyMs < best.latencyMs ? entry : best));
+    summary.push(`- Fastest: ${fastest.label} (${fastest.latencyMs}ms)`);
+  }
+  if (answered.length > 1) {
+    summary.push('- Similarity (shared vocabulary):');
+    answered.forEach((a, i) => answered.slice(i + 1).forEach((b) => {
+      summary.push(`  - ${a.label} vs ${b.label}: ${formatPercent(textSimilarity(a.text, b.text))}`);
+    }));
+
+    const distinctive = answered
+      .map(entry => [entry, distinctiveTerms(entry.text, answered.filter(other => other !== entry).map(other => other.text))])
+      .filter(([, terms]) => terms.length > 0);
+    if (distinctive.length > 0) {
+      summary.push('- Only mentioned by:');
+      distinctive.forEach(([entry, terms]) => summary.push(`  - ${entry.label}: ${terms.join(', ')}`));
+    }
+  }
+
+  return `${sections.join('\n\n')}\n\n### Summary\n${summary.join('\n')}`;
+}
@@ -0,0 +1,55 @@
+import { DEFAULTS } from './constants.js';
+import { COMPARE_TOOL } from './compare.js';
+import { parseProviderModel } from './fallback.js';
+
+export const CONSENSUS_TOOL = {
+  name: 'consensus',
+  description: 'Ask several models the same question and have a judge model merge their answers',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...COMPARE_TOOL.inputSchema.properties,
+      judge: {
+        type: 'object',
+        description: 'Model that merges the answers (default: CONSENSUS_JUDGE, or the first model asked)',
+        properties: COMPARE_TOOL.inputSchema.properties.models.items.properties,
+        required: ['provider'],
+      },
+    },
+    required: ['prompt', 'models'],
+  },
+};
+
+/**
+ * Reads the default judge from CONSENSUS_JUDGE ('provider[:model]')
+ * @param {Object} [env]
+ * @returns {{provider: string, model: string|undefined}|null}
+ */
+export function getDefaultJudge(env = process.env) {
+  return env.CONSENSUS_JUDGE?.trim() ? parseProviderModel(env.CONSENSUS_JUDGE) : null;
+}
+
+/**
+ * Builds the prompt asking the judge to merge the answers. Answers are
+ * truncated so that a verbose model cannot crowd out the others.
+ * @param {string} question
+ * @param {Array<{label: string, text: string}>} answers
+ * @returns {string}
+ */
+export function buildJudgePrompt(question, answers) {
+  const max = DEFAULTS.CONSENSUS.MAX_ANSWER_LENGTH;
+  const sections = answers.map(({ label, text }, index) => {
+    const answer = text.length > max ? `${text.slice(0, max)}\n[truncated]` : text;
+    return `Answer ${index + 1} (${label}):\n${answer}`;
+  });
+
+  return [
+    `Several AI models answered the same question. Compare their answers and reply with exactly these sections:`,
+    `## Merged answer\nThe best single answer, combining what the answers got right.`,
+    `## Agreement\nPoints the answers agree on.`,
+    `## Disagreement\nPoints where they differ or contradict each other, and which answer is more likely correct.`,
+    `## Confidence\nHow confident you are in the merged answer (high, medium or low) and why.`,
+    `Question:\n${question}`,
+    ...sections,
+  ].join('\n\n');
+}
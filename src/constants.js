@@ -1,19 +1,117 @@
+import { MODEL_CATALOG } from './modelCatalog.js';
+
 export const DEFAULTS = {
   OPENAI: {
     MODEL: 'gpt-4o-mini',
     TEMPERATURE: 0.7,
     MAX_TEMPERATURE: 2,
-    MIN_TEMPERATURE: 0
+    MIN_TEMPERATURE: 0,
+    MAX_TOKENS: 100000,
+    MIN_PENALTY: -2,
+    MAX_PENALTY: 2,
+    MAX_STOP_SEQUENCES: 4
   },
   GEMINI: {
     MODEL: 'gemini-1.5-flash-latest',
     TEMPERATURE: 0.7,
     MAX_TEMPERATURE: 1,
-    MIN_TEMPERATURE: 0
+    MIN_TEMPERATURE: 0,
+    MAX_TOKENS: 8192,
+    MAX_TOP_K: 100,
+    MAX_STOP_SEQUENCES: 5
+  },
+  LOCAL: {
+    API_FORMAT: 'ollama',
+    TEMPERATURE: 0.7,
+    MAX_TEMPERATURE: 2,
+    MIN_TEMPERATURE: 0,
+    MAX_TOKENS: 32768,
+    MAX_TOP_K: 100,
+    MIN_PENALTY: -2,
+    MAX_PENALTY: 2,
+    MAX_STOP_SEQUENCES: 4
   },
   PROMPT: {
-    MAX_LENGTH: 10000,
-    MIN_LENGTH: 1
+    // Ceiling on the prompt text, on top of the model's context window
+    MAX_LENGTH: 500000,
+    MIN_LENGTH: 1,
+    MAX_SYSTEM_LENGTH: 10000,
+    MAX_STOP_SEQUENCE_LENGTH: 100
+  },
+  TOKENS: {
+    CHARS_PER_TOKEN: 4, // estimate for models without a local tokenizer
+    IMAGE_TOKENS: 765, // estimate per image
+    MESSAGE_OVERHEAD: 3,
+    REPLY_OVERHEAD: 3,
+    DEFAULT_OUTPUT_RESERVE: 1024,
+    // BPE encoding time grows with the square of each run without whitespace,
+    // so longer runs, and requests longer than this in total, are estimated
+    MAX_ENCODED_RUN: 16,
+    MAX_ENCODED_LENGTH: 100000
+  },
+  SESSIONS: {
+    MAX_SESSIONS: 100,
+    MAX_MESSAGES: 100,
+    ID_PATTERN: /^[A-Za-z0-9_.:-]{1,64}$/
+  },
+  REQUEST: {
+    TIMEOUT_MS: 120000 // 2 minutes
+  },
+  RETRY: {
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY_MS: 250,
+    MAX_DELAY_MS: 10000
+  },
+  COMPARE: {
+    MAX_MODELS: 5,
+    MAX_DISTINCTIVE_TERMS: 8
+  },
+  PIPELINE: {
+    MAX_STEPS: 10
+  },
+  CHUNKING: {
+    MAX_CHUNKS: 50,
+    CONCURRENCY: 3,
+    MIN_CHUNK_TOKENS: 100,
+    DEFAULT_CHUNK_TOKENS: 8000, // for models without a known context window
+    SAFETY_MARGIN_TOKENS: 64,
+    DEFAULT_INSTRUCTION: 'Summarize the text, keeping its key facts, decisions and open questions.'
+  },
+  CONSENSUS: {
+    MAX_ANSWER_LENGTH: 8000
+  },
+  IMAGES: {
+    MAX_IMAGES: 5,
+    MAX_BYTES: 5 * 1024 * 1024, // per image
+    MAX_TOTAL_BYTES: 20 * 1024 * 1024
+  },
+  ATTACHMENTS: {
+    MAX_FILES: 50,
+    MAX_TOTAL_BYTES: 256 * 1024, // per request
+    MAX_SCANNED_ENTRIES: 10000,
+    BINARY_CHECK_BYTES: 8000
+  },
+  STRUCTURED_OUTPUT: {
+    MAX_REPAIR_ATTEMPTS: 2,
+    MAX_SCHEMA_LENGTH: 20000
+  },
+  CACHE: {
+    MAX_ENTRIES: 500,
+    TTL_MS: 3600000 // 1 hour
+  },
+  SEMANTIC_CACHE: {
+    THRESHOLD: 0.95, // cosine similarity
+    EMBEDDER: 'openai',
+    OPENAI_EMBEDDING_MODEL: 'text-embedding-3-small',
+    LOCAL_EMBEDDING_MODEL: 'nomic-embed-text'
+  },
+  CIRCUIT_BREAKER: {
+    FAILURE_THRESHOLD: 5,
+    RESET_TIMEOUT_MS: 30000, // 30 seconds
+    RECENT_WINDOW_MS: 300000 // 5 minutes
+  },
+  STREAMING: {
+    PROGRESS_INTERVAL_MS: 250
   },
   RATE_LIMIT: {
     MAX_REQUESTS: 100,
@@ -26,44 +124,33 @@ export const ERROR_MESSAGES = {
   PROMPT_TOO_LONG: `Prompt too long: maximum ${DEFAULTS.PROMPT.MAX_LENGTH} characters`,
   OPENAI_NOT_CONFIGURED: 'OpenAI API key not configured',
   GEMINI_NOT_CONFIGURED: 'Gemini API key not configured',
+  LOCAL_NOT_CONFIGURED: 'Local model server not configured',
   UNKNOWN_TOOL: 'Unknown tool',
   RATE_LIMIT_EXCEEDED: 'Rate limit exceeded. Please try again later.',
   INVALID_TEMPERATURE: 'Invalid temperature value',
+  INVALID_SYSTEM_PROMPT: 'Invalid system prompt: must be a non-empty string',
+  SYSTEM_PROMPT_TOO_LONG: `System prompt too long: maximum ${DEFAULTS.PROMPT.MAX_SYSTEM_LENGTH} characters`,
+  INVALID_STOP: 'Invalid stop value: must be a string or an array of strings',
+  INVALID_REASONING_EFFORT: 'Invalid reasoning_effort: must be one of low, medium, high',
+  INVALID_IMAGES: `Invalid images: must be an array of 1-${DEFAULTS.IMAGES.MAX_IMAGES} images`,
+  INVALID_ATTACHMENTS: 'Invalid attachments: must be an array of file paths or glob patterns',
+  INVALID_RESPONSE_FORMAT: 'Invalid response_format: type must be json_object, or json_schema with a schema object',
+  INVALID_PROVIDER_TARGET: 'Invalid provider target: must be an object with a provider name and an optional model',
+  INVALID_COMPARE_MODELS: `Invalid models: must be an array of 2-${DEFAULTS.COMPARE.MAX_MODELS} distinct {provider, model} entries`,
+  INVALID_CHUNKING: 'Invalid chunking: must be a boolean',
+  INVALID_CACHE_MODE: 'Invalid cache: must be bypass or refresh',
+  INVALID_PIPELINE_STEPS: `Invalid steps: must be an array of 1-${DEFAULTS.PIPELINE.MAX_STEPS} steps`,
+  INVALID_SESSION_ID: 'Invalid session_id: must be 1-64 letters, digits or . _ : -',
   API_ERROR: 'API request failed',
+  REQUEST_CANCELLED: 'Request cancelled by the client',
+  REQUEST_TIMEOUT: 'Request timed out',
   SECURITY_VIOLATION: 'Security check failed: content violates safety policies',
   PROMPT_INJECTION: 'Security check failed: potential prompt injection detected',
   EXPLICIT_CONTENT: 'Security check failed: explicit or harmful content detected'
 };
 
+// Flat model lists, in catalog order; see modelCatalog.js for capabilities
 export const MODELS = {
-  OPENAI: [
-    'gpt-4o',
-    'gpt-4o-mini',
-    'gpt-4o-2024-11-20',
-    'gpt-4o-2024-08-06',
-    'gpt-4o-2024-05-13',
-    'gpt-4o-mini-2024-07-18',
-    'chatgpt-4o-latest',
-    'gpt-4-turbo',
-    'gpt-4-turbo-2024-04-09',
-    'gpt-4',
-    'gpt-4-0613',
-    'o1',
-    'o1-mini',
-    'o1-preview',
-    'o1-pro',
-    'o3-mini',
-    'gpt-3.5-turbo'
-  ],
-  GEMINI: [
-    'gemini-1.5-pro-latest',
-    'gemini-1.5-pro-002',
-    'gemini-1.5-pro',
-    'gemini-1.5-flash-latest',
-    'gemini-1.5-flash',
-    'gemini-1.5-flash-002',
-    'gemini-1.5-flash-8b',
-    'gemini-1.0-pro-vision-latest',
-    'gemini-pro-vision'
-  ]
+  OPENAI: Object.keys(MODEL_CATALOG.OPENAI),
+  GEMINI: Object.keys(MODEL_CATALOG.GEMINI)
 };
\ No newline at end of file
@@ -34,4 +34,32 @@ export class APIError extends AIBridgeError {
     this.name = 'APIError';
     this.service = service;
   }
-}
\ No newline at end of file
+}
+
+export class TimeoutError extends AIBridgeError {
+  constructor(message) {
+    super(message, 'TIMEOUT_ERROR', 504);
+    this.name = 'TimeoutError';
+  }
+}
+
+export class CancelledError extends AIBridgeError {
+  constructor(message) {
+    super(message, 'CANCELLED_ERROR', 499);
+    this.name = 'CancelledError';
+  }
+}
+
+export class StructuredOutputError extends AIBridgeError {
+  constructor(message) {
+    super(message, 'STRUCTURED_OUTPUT_ERROR', 502);
+    this.name = 'StructuredOutputError';
+  }
+}
+
+export class BudgetExceededError extends AIBridgeError {
+  constructor(message) {
+    super(message, 'BUDGET_EXCEEDED_ERROR', 402);
+    this.name = 'BudgetExceededError';
+  }
+}
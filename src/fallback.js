@@ -0,0 +1,32 @@
+/**
+ * Reads the ordered fallback policy of an ask tool from
+ * `<TOOL>_FALLBACK`, e.g.
+ *
+ *   ASK_OPENAI_FALLBACK=gemini:gemini-1.5-pro,local:llama3.1:8b
+ *
+ * Each entry names a registered provider, optionally followed by a colon
+ * and the model to use; without a model the provider's default is used.
+ * @param {string} toolName - e.g. 'ask_openai'
+ * @param {Object} [env]
+ * @returns {Array<{provider: string, model: string|undefined}>}
+ */
+export function getFallbackChain(toolName, env = process.env) {
+  return (env[`${toolName.toUpperCase()}_FALLBACK`] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(parseProviderModel);
+}
+
+/**
+ * Parses a `provider[:model]` entry. Only the first colon separates the
+ * two, so model names may contain more (e.g. 'local:llama3.1:8b').
+ * @param {string} entry
+ * @returns {{provider: string, model: string|undefined}}
+ */
+export function parseProviderModel(entry) {
+  const separator = entry.indexOf(':');
+  return separator === -1
+    ? { provider: entry.trim().toLowerCase(), model: undefined }
+    : { provider: entry.slice(0, separator).trim().toLowerCase(), model: entry.slice(separator + 1).trim() || undefined };
+}
@@ -0,0 +1,71 @@
+import { readFileSync, realpathSync, statSync } from 'fs';
+import { isAbsolute, relative, resolve } from 'path';
+import { DEFAULTS } from './constants.js';
+import { ValidationError } from './errors.js';
+
+// Leading bytes identifying each accepted image type
+const SIGNATURES = [
+  { mimeType: 'image/png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', matches: bytes => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: 'image/gif', matches: bytes => ['GIF87a', 'GIF89a'].includes(bytes.subarray(0, 6).toString('latin1')) },
+  { mimeType: 'image/webp', matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+export const IMAGE_MIME_TYPES = SIGNATURES.map(signature => signature.mimeType);
+
+/**
+ * Directory that image file paths must point into, from IMAGE_INPUT_DIR.
+ * File paths are rejected while it is unset.
+ * @param {Object} [env]
+ * @returns {string|null}
+ */
+export function getImageDirectory(env = process.env) {
+  return env.IMAGE_INPUT_DIR?.trim() || null;
+}
+
+/**
+ * Identifies an image from its content rather than trusting the caller
+ * @param {Buffer} bytes
+ * @returns {string|null} - MIME type, or null when not a supported image
+ */
+export function detectImageType(bytes) {
+  return SIGNATURES.find(signature => signature.matches(bytes))?.mimeType ?? null;
+}
+
+/**
+ * Reads an image file, refusing anything that resolves (symlinks included)
+ * outside the allowlisted directory or exceeds the size limit.
+ * @param {string} path - Absolute, or relative to the allowlisted directory
+ * @param {Object} [options]
+ * @param {string|null} [options.directory]
+ * @param {number} [options.maxBytes]
+ * @returns {Buffer}
+ */
+export function readImageFile(path, { directory = getImageDirectory(), maxBytes = DEFAULTS.IMAGES.MAX_BYTES } = {}) {
+  if (!directory) {
+    throw new ValidationError('Invalid image: file paths are disabled (set IMAGE_INPUT_DIR to allow a directory)');
+  }
+
+  let root;
+  let file;
+  try {
+    root = realpathSync(directory);
+    file = realpathSync(resolve(root, path));
+  } catch (error) {
+    throw new ValidationError(`Invalid image: cannot read ${path}`);
+  }
+
+  const location = relative(root, file);
+  if (location.startsWith('..') || isAbsolute(location)) {
+    throw new ValidationError(`Invalid image: ${path} is outside IMAGE_INPUT_DIR`);
+  }
+
+  const stats = statSync(file);
+  if (!stats.isFile()) {
+    throw new ValidationError(`Invalid image: ${path} is not a file`);
+  }
+  if (stats.size > maxBytes) {
+    throw new ValidationError(`Invalid image: ${path} is larger than ${maxBytes} bytes`);
+  }
+  return readFileSync(file);
+}
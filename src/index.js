@@ -1,17 +1,35 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import OpenAI from 'openai';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
 import { homedir } from 'os';
 import { join } from 'path';
 import { existsSync } from 'fs';
 import logger from './logger.js';
-import { DEFAULTS, ERROR_MESSAGES, MODELS } from './constants.js';
-import { AIBridgeError, ValidationError, ConfigurationError, APIError } from './errors.js';
-import { validatePrompt, validateTemperature, validateModel, validateAPIKey } from './validators.js';
-import { RateLimiter } from './rateLimiter.js';
+import { DEFAULTS, ERROR_MESSAGES } from './constants.js';
+import { AIBridgeError, APIError, BudgetExceededError, CancelledError, RateLimitError, StructuredOutputError, ValidationError } from './errors.js';
+import { ProviderRateLimiter, RateLimiter, getRateLimitOptions } from './rateLimiter.js';
+import { SessionStore, SESSION_TOOLS } from './sessions.js';
+import { validateSessionId, validatePrompt, validateComparisonTargets, validateProviderTarget, validateChunkTokens, validateCacheMode } from './validators.js';
+import { createDefaultRegistry } from './providers/index.js';
+import { isDeprecated } from './modelCatalog.js';
+import { ProgressReporter } from './progress.js';
+import { createRequestSignal, raceWithSignal } from './cancellation.js';
+import { withRetry } from './retry.js';
+import { getFallbackChain } from './fallback.js';
+import { CircuitBreakerRegistry, getCircuitBreakerOptions } from './circuitBreaker.js';
+import { COMPARE_TOOL, SHARED_ARGUMENTS, formatComparison } from './compare.js';
+import { CONSENSUS_TOOL, buildJudgePrompt, getDefaultJudge } from './consensus.js';
+import { PIPELINE_TOOL, parsePipeline, expandTemplate } from './pipeline.js';
+import { buildRepairPrompt, getMaxRepairAttempts, parseStructuredOutput } from './structuredOutput.js';
+import { COUNT_TOKENS_TOOL, COUNTED_ARGUMENTS, estimateTokens } from './tokens.js';
+import { buildResponseMetadata, formatResponseMetadata } from './responseMetadata.js';
+import { SUMMARIZE_LARGE_TOOL, SUMMARIZE_ARGUMENTS, buildMapPrompt, buildReducePrompt, getChunkConcurrency, groupResults, mapWithConcurrency, splitText } from './chunking.js';
+import { formatFiles, validateAttachments } from './attachments.js';
+import { USAGE_TOOL, UsageLedger, parseUsageQuery } from './usage.js';
+import { BudgetTracker, DEFAULT_BUDGET_LEDGER_PATH, getBudgetLimits } from './budget.js';
+import { ResponseCache, buildCacheKey } from './cache.js';
+import { buildScopeKey, createSemanticCache } from './semanticCache.js';
 
 // Try to load .env from multiple locations in order of priority
 const homeEnvPath = join(homedir(), '.env');
@@ -28,8 +46,21 @@ if (existsSync(homeEnvPath)) {
   if (process.env.NODE_ENV !== 'test') logger.info('Using system environment variables');
 }
 
+/**
+ * Metadata of an askEach entry: the response metadata of an answer, or the
+ * error of a failed call
+ */
+function describeEntry({ label, error, latencyMs, metadata }) {
+  return metadata ?? { label, latencyMs, error };
+}
+
 class AIBridgeServer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {ProviderRegistry} [options.registry] - Providers to expose (defaults to the built-in ones)
+   * @param {{name?: string, embed: Function}} [options.embedder] - Embedder for the semantic cache, which it turns on (see createSemanticCache)
+   */
+  constructor({ registry = createDefaultRegistry(), embedder } = {}) {
     this.server = new Server(
       {
         name: process.env.MCP_SERVER_NAME || 'AI Bridge',
@@ -42,109 +73,91 @@ class AIBridgeServer {
       }
     );
 
+    this.providers = registry;
+
     // Validate and initialize API clients
     this.initializeClients();
     
     // Initialize rate limiter
-    this.rateLimiter = new RateLimiter();
+    const { maxRequests, windowMs } = getRateLimitOptions();
+    this.rateLimiter = new RateLimiter(maxRequests, windowMs);
+
+    // Quotas of each provider and model, checked before every model call
+    this.providerRateLimiter = new ProviderRateLimiter();
+
+    // Conversation history for the session_id argument of the ask tools
+    this.sessions = new SessionStore();
+
+    // Token usage and cost of every answered call, for get_usage
+    const budgetLimits = getBudgetLimits();
+    // Budgets are computed from the ledger, so it is persisted whenever they are set
+    this.usage = new UsageLedger({ filePath: process.env.USAGE_LEDGER_PATH || (budgetLimits.length > 0 ? DEFAULT_BUDGET_LEDGER_PATH : null) });
+
+    // Spending limits checked before every model call
+    this.budget = new BudgetTracker({ ledger: this.usage, limits: budgetLimits });
+
+    // Answers to repeated questions, so they are not sent to the model again
+    this.responseCache = new ResponseCache();
+
+    // Answers to near-duplicate questions, when the semantic cache is on
+    this.semanticCache = createSemanticCache({
+      providers: this.providers,
+      embedder,
+      embedTexts: (provider, texts, options) => this.embedTexts(provider, texts, options),
+    });
+
+    // Health of each provider model, so calls to a dead backend fail fast
+    this.circuitBreakers = new CircuitBreakerRegistry(getCircuitBreakerOptions());
     
     this.setupHandlers();
     this.tools = this.getAvailableTools();
   }
 
+  // Direct access to the built-in SDK clients, kept for existing callers
+  get openai() {
+    return this.providers.get('openai')?.client ?? null;
+  }
+
+  set openai(client) {
+    this.providers.get('openai').client = client;
+  }
+
+  get gemini() {
+    return this.providers.get('gemini')?.client ?? null;
+  }
+
+  set gemini(client) {
+    this.providers.get('gemini').client = client;
+  }
+
   initializeClients() {
-    // Initialize OpenAI client
-    if (process.env.OPENAI_API_KEY) {
+    for (const provider of this.providers.list()) {
       try {
-        validateAPIKey(process.env.OPENAI_API_KEY, 'OPENAI');
-        this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-        if (process.env.NODE_ENV !== 'test') logger.info('OpenAI client initialized');
+        if (provider.initialize(process.env)) {
+          if (process.env.NODE_ENV !== 'test') logger.info(`${provider.displayName} client initialized`);
+        } else {
+          if (process.env.NODE_ENV !== 'test') logger.warn(provider.notConfiguredMessage);
+        }
       } catch (error) {
-        if (process.env.NODE_ENV !== 'test') logger.error('Failed to initialize OpenAI client:', error.message);
-        this.openai = null;
+        if (process.env.NODE_ENV !== 'test') logger.error(`Failed to initialize ${provider.displayName} client:`, error.message);
+        provider.client = null;
       }
-    } else {
-      this.openai = null;
-      if (process.env.NODE_ENV !== 'test') logger.warn('OpenAI API key not provided');
     }
-    
-    // Initialize Gemini client
-    if (process.env.GOOGLE_AI_API_KEY) {
+  }
+
+  async refreshModels() {
+    await Promise.all(this.providers.configured().map(async (provider) => {
       try {
-        this.gemini = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-        if (process.env.NODE_ENV !== 'test') logger.info('Gemini client initialized');
+        await provider.refreshModels();
       } catch (error) {
-        if (process.env.NODE_ENV !== 'test') logger.error('Failed to initialize Gemini client:', error.message);
-        this.gemini = null;
+        if (process.env.NODE_ENV !== 'test') logger.warn(`Failed to discover ${provider.displayName} models:`, error.message);
       }
-    } else {
-      this.gemini = null;
-      if (process.env.NODE_ENV !== 'test') logger.warn('Google AI API key not provided');
-    }
+    }));
+    this.tools = this.getAvailableTools();
   }
 
   getAvailableTools() {
-    const tools = [];
-
-    if (this.openai) {
-      tools.push({
-        name: 'ask_openai',
-        description: 'Ask OpenAI GPT models a question',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            prompt: {
-              type: 'string',
-              description: 'The prompt to send to OpenAI',
-            },
-            model: {
-              type: 'string',
-              description: `The model to use (default: ${DEFAULTS.OPENAI.MODEL})`,
-              enum: MODELS.OPENAI,
-              default: DEFAULTS.OPENAI.MODEL,
-            },
-            temperature: {
-              type: 'number',
-              description: `Temperature for response generation (${DEFAULTS.OPENAI.MIN_TEMPERATURE}-${DEFAULTS.OPENAI.MAX_TEMPERATURE})`,
-              default: DEFAULTS.OPENAI.TEMPERATURE,
-              minimum: DEFAULTS.OPENAI.MIN_TEMPERATURE,
-              maximum: DEFAULTS.OPENAI.MAX_TEMPERATURE,
-            },
-          },
-          required: ['prompt'],
-        },
-      });
-    }
-
-    if (this.gemini) {
-      tools.push({
-        name: 'ask_gemini',
-        description: 'Ask Google Gemini AI a question',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            prompt: {
-              type: 'string',
-              description: 'The prompt to send to Gemini',
-            },
-            model: {
-              type: 'string',
-              description: `The model to use (default: ${DEFAULTS.GEMINI.MODEL})`,
-              enum: MODELS.GEMINI,
-              default: DEFAULTS.GEMINI.MODEL,
-            },
-            temperature: {
-              type: 'number',
-              description: `Temperature for response generation (${DEFAULTS.GEMINI.MIN_TEMPERATURE}-${DEFAULTS.GEMINI.MAX_TEMPERATURE})`,
-              default: DEFAULTS.GEMINI.TEMPERATURE,
-              minimum: DEFAULTS.GEMINI.MIN_TEMPERATURE,
-              maximum: DEFAULTS.GEMINI.MAX_TEMPERATURE,
-            },
-          },
-          required: ['prompt'],
-        },
-      });
-    }
+    const tools = this.providers.configured().map(provider => provider.getToolDefinition());
 
     tools.push({
       name: 'server_info',
@@ -155,6 +168,8 @@ class AIBridgeServer {
       },
     });
 
+    tools.push(...SESSION_TOOLS, COMPARE_TOOL, CONSENSUS_TOOL, PIPELINE_TOOL, COUNT_TOKENS_TOOL, SUMMARIZE_LARGE_TOOL, USAGE_TOOL);
+
     return tools;
   }
 
@@ -163,18 +178,42 @@ class AIBridgeServer {
       tools: this.tools,
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
 
       try {
         // Check rate limit
         this.rateLimiter.checkLimit();
+
+        const provider = this.providers.getByToolName(name);
+        if (provider) {
+          return this.addBudgetWarnings(await this.handleAsk(provider, args, {
+            progressToken: request.params._meta?.progressToken,
+            signal: extra?.signal,
+          }));
+        }
         
         switch (name) {
-          case 'ask_openai':
-            return await this.handleOpenAI(args);
-          case 'ask_gemini':
-            return await this.handleGemini(args);
+          case 'list_sessions':
+            return this.handleListSessions();
+          case 'get_session':
+            return this.handleGetSession(args);
+          case 'fork_session':
+            return this.handleForkSession(args);
+          case 'delete_session':
+            return this.handleDeleteSession(args);
+          case 'compare_models':
+            return this.addBudgetWarnings(await this.handleCompareModels(args, { signal: extra?.signal }));
+          case 'consensus':
+            return this.addBudgetWarnings(await this.handleConsensus(args, { signal: extra?.signal }));
+          case 'run_pipeline':
+            return this.addBudgetWarnings(await this.handleRunPipeline(args, { signal: extra?.signal }));
+          case 'count_tokens':
+            return await this.handleCountTokens(args);
+          case 'summarize_large':
+            return this.addBudgetWarnings(await this.handleSummarizeLarge(args, { signal: extra?.signal }));
+          case 'get_usage':
+            return this.handleGetUsage(args);
           case 'server_info':
             return this.handleServerInfo();
           default:
@@ -187,102 +226,996 @@ class AIBridgeServer {
     });
   }
 
-  async handleOpenAI(args) {
-    if (!this.openai) {
-      throw new ConfigurationError(ERROR_MESSAGES.OPENAI_NOT_CONFIGURED);
-    }
-
-    // Validate inputs
-    const prompt = validatePrompt(args.prompt);
-    const model = validateModel(args.model, 'OPENAI');
-    const temperature = validateTemperature(args.temperature, 'OPENAI');
-
-    try {
-      if (process.env.NODE_ENV !== 'test') logger.debug(`OpenAI request - model: ${model}, temperature: ${temperature}`);
-      
-      const completion = await this.openai.chat.completions.create({
-        model: model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: temperature,
-      });
+  /**
+   * @param {BaseProvider} provider
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context] - See `ask`
+   */
+  async handleAsk(provider, args = {}, context = {}) {
+    const answer = await this.ask(provider, args, context);
+    const { provider: answeredBy, request, result, attempts, fallbackFrom, structured, chunks, cached, similarPrompt } = answer;
+    const fallbackNote = fallbackFrom.length > 0 ? `, fallback from ${provider.displayName} ${request.model}` : '';
+    const chunksNote = chunks ? `, combined from ${chunks} chunks` : '';
+    const cachedNote = cached ? (similarPrompt ? ', cached answer to a similar prompt' : ', cached') : '';
+    const metadata = this.describeAnswer(answer);
+    const _meta = {
+      ...metadata,
+      attempts,
+      ...(fallbackFrom.length > 0 && { fallbackFrom }),
+      ...(chunks && { chunks }),
+      ...(cached && { cached }),
+      ...(similarPrompt && { similarPrompt }),
+    };
+    // The metadata follows the answer as a separate text item, so the answer itself stays intact
+    const metadataContent = [
+      { type: 'text', text: formatResponseMetadata(metadata) },
+      ...(similarPrompt ? [{
+        type: 'text',
+        text: `Answered with the stored answer to a similar prompt (similarity ${similarPrompt.similarity}):\n${similarPrompt.prompt.replace(/^/gm, '> ')}`,
+      }] : []),
+    ];
 
+    // JSON answers are returned as-is so that clients can parse the text as well
+    if (structured) {
       return {
         content: [
           {
             type: 'text',
-            text: `🤖 OPENAI RESPONSE (${model}):\n\n${completion.choices[0].message.content}`,
+            text: JSON.stringify(structured.value, null, 2),
           },
+          ...metadataContent,
         ],
+        structuredContent: structured.value,
+        _meta: { ..._meta, repairs: structured.repairs },
       };
-    } catch (error) {
-      if (error.status === 429) {
-        throw new APIError('OpenAI rate limit exceeded. Please try again later.', 'OpenAI');
-      } else if (error.status === 401) {
-        throw new ConfigurationError('Invalid OpenAI API key');
-      } else {
-        throw new APIError(`OpenAI API error: ${error.message}`, 'OpenAI');
-      }
     }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 ${answeredBy.label} RESPONSE (${result.model}${fallbackNote}${chunksNote}${cachedNote}):\n\n${result.text}`,
+        },
+        ...metadataContent,
+      ],
+      _meta,
+    };
   }
 
-  async handleGemini(args) {
-    if (!this.gemini) {
-      throw new ConfigurationError(ERROR_MESSAGES.GEMINI_NOT_CONFIGURED);
+  /**
+   * Appends a warning for every budget past its soft limit to the result
+   * of a tool that called models
+   * @param {Object} result - Tool result
+   */
+  addBudgetWarnings(result) {
+    const warnings = this.budget.getWarnings();
+    if (warnings.length === 0) {
+      return result;
     }
 
+    return {
+      ...result,
+      content: [...result.content, { type: 'text', text: warnings.map(warning => `⚠️ ${warning}`).join('\n') }],
+      _meta: { ...result._meta, budgetWarnings: warnings },
+    };
+  }
+
+  /**
+   * Response metadata of an answer returned by `ask` or `mapReduce`
+   * @param {{provider: BaseProvider, result: Object, latencyMs: number}} answer
+   */
+  describeAnswer({ provider, result, latencyMs }) {
+    return buildResponseMetadata({
+      provider: provider.name,
+      model: result.model,
+      latencyMs,
+      usage: result.usage,
+      finishReason: result.finishReason,
+    });
+  }
+
+  /**
+   * Validates and runs one ask call, recording it in its session.
+   * @param {BaseProvider} provider
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context]
+   * @param {string|number} [context.progressToken] - When set, the answer is streamed as progress notifications
+   * @param {AbortSignal} [context.signal] - Aborted by the SDK when the client cancels the call
+   * @param {boolean} [context.fallback] - Whether the tool's fallback chain may answer instead
+   * @returns {Promise<{provider: BaseProvider, request: Object, result: Object, attempts: number, fallbackFrom: Array, latencyMs: number, structured?: Object, chunks?: number, cached?: boolean}>}
+   *   - `result.finishReason` is the normalized reason the answer ended, when the backend reports it
+   *   - `latencyMs` covers retries, fallbacks, repairs and chunks
+   *   - `structured` holds the parsed `value` and the number of `repairs` when a response_format was requested
+   *   - `chunks` is the number of chunks when a request with `chunking` did not fit and was split
+   *   - `cached` is set when the answer came from the response cache; `attempts` is then 0
+   *   - `similarPrompt` holds the `prompt` and `similarity` of the earlier prompt whose answer the semantic cache returned
+   */
+  async ask(provider, args = {}, { progressToken, signal: cancelSignal, fallback = true } = {}) {
+    provider.ensureConfigured();
+
     // Validate inputs
-    const prompt = validatePrompt(args.prompt);
-    const model = validateModel(args.model, 'GEMINI');
-    const temperature = validateTemperature(args.temperature, 'GEMINI');
+    const request = await provider.validateRequest(args, { signal: cancelSignal });
+    const sessionId = args.session_id === undefined ? null : validateSessionId(args.session_id);
+    const cacheMode = validateCacheMode(args.cache);
+
+    const capabilities = provider.getModelInfo(request.model);
+    if (isDeprecated(capabilities) && process.env.NODE_ENV !== 'test') {
+      logger.warn(`${provider.displayName} model ${request.model} was deprecated on ${capabilities.deprecationDate}`);
+    }
+
+    // Turns of a session run one at a time, so each sees the turns before it
+    const turn = () => this.answer(provider, request, { args, sessionId, cacheMode, progressToken, cancelSignal, fallback });
+    return sessionId ? this.sessions.serialize(sessionId, turn) : turn();
+  }
+
+  /**
+   * Answers a validated ask request from the caches or the model, and
+   * appends the turn to its session
+   * @param {BaseProvider} provider
+   * @param {Object} request - Result of validateRequest
+   * @param {Object} options - The tool arguments, the validated session id and cache mode, and the context of ask
+   */
+  async answer(provider, request, { args, sessionId, cacheMode, progressToken, cancelSignal, fallback }) {
+    const history = sessionId ? this.sessions.getMessages(sessionId) : [];
+    request.messages = [...history, ...request.messages];
 
+    const started = Date.now();
+    const cacheKey = cacheMode !== 'bypass' && this.responseCache.isCacheable(request) ? buildCacheKey(provider, request) : null;
+    let cached = cacheKey && cacheMode !== 'refresh' ? this.responseCache.get(cacheKey) : null;
+    let similarPrompt;
+
+    // Without an exact match, look for the answer to a prompt with the same meaning
+    const semantic = !cached && cacheMode !== 'bypass' && this.semanticCache?.isCacheable(provider, request)
+      ? await this.searchSemanticCache(provider, request, { lookup: cacheMode !== 'refresh', sessionId, signal: cancelSignal })
+      : null;
+    if (semantic?.match) {
+      const { value, prompt, similarity } = semantic.match;
+      cached = value;
+      similarPrompt = { prompt, similarity };
+    }
+
+    let answer;
+    if (cached) {
+      answer = { provider, request, ...cached, attempts: 0, fallbackFrom: [], cached: true, ...(similarPrompt && { similarPrompt }) };
+    } else if (request.chunking && !provider.measureRequest(request).fits) {
+      // Attached files are split under the prompt as the instruction; otherwise the prompt itself is split
+      const { result, attempts, chunks } = await this.mapReduce(provider, request, {
+        instruction: request.attachments ? request.prompt : null,
+        input: request.attachments ? formatFiles(request.attachments) : request.prompt,
+        history,
+        signal: cancelSignal,
+      });
+      answer = { provider, request, result, attempts, fallbackFrom: [], chunks };
+    } else {
+      provider.checkContextWindow(request);
+
+      const { signal, dispose } = createRequestSignal({ parentSignal: cancelSignal });
+      const progress = progressToken === undefined
+        ? null
+        : new ProgressReporter(notification => this.server.notification(notification), progressToken);
+      let streamed = false;
+      const onChunk = progress && ((chunk) => {
+        streamed = true;
+        progress.update(chunk);
+      });
+
+      try {
+        answer = await this.completeWithFallback(provider, request, { args, history, fallback, signal, onChunk, isStreamed: () => streamed });
+        progress?.finish();
+        if (request.responseFormat) {
+          answer = await this.completeStructuredOutput(answer, { signal });
+        }
+      } finally {
+        dispose();
+      }
+    }
+
+    if (!cached) {
+      this.recordUsage({ ...answer, request }, { sessionId });
+      // Answers from a fallback model are not cached, so the requested model answers once it recovers
+      if (answer.fallbackFrom.length === 0) {
+        const { result, structured, chunks } = answer;
+        const value = { result, ...(structured && { structured }), ...(chunks && { chunks }) };
+        if (cacheKey) {
+          this.responseCache.set(cacheKey, value);
+        }
+        if (semantic) {
+          this.semanticCache.set(semantic.scope, request.prompt, semantic.embedding, value);
+        }
+      }
+    }
+
+    if (sessionId) {
+      this.sessions.append(sessionId, [
+        { ...request.messages[request.messages.length - 1], ...(request.images && { images: request.images }) },
+        { role: 'assistant', content: answer.result.text, provider: answer.provider.name, model: answer.result.model },
+      ]);
+    }
+
+    return { ...answer, request, latencyMs: Date.now() - started };
+  }
+
+  /**
+   * Embeds the prompt of a request and, when `lookup` is set, finds the
+   * stored answer to the most similar prompt
+   * @returns {Promise<{scope: string, embedding: number[], match: Object|null}|null>} - null when the prompt could not be embedded
+   */
+  async searchSemanticCache(provider, request, { lookup, sessionId, signal: cancelSignal }) {
+    const { signal, dispose } = createRequestSignal({ parentSignal: cancelSignal });
     try {
-      if (process.env.NODE_ENV !== 'test') logger.debug(`Gemini request - model: ${model}, temperature: ${temperature}`);
-      
-      const geminiModel = this.gemini.getGenerativeModel({ 
-        model: model,
-        generationConfig: {
-          temperature: temperature,
+      const embedding = await this.semanticCache.embed(request.prompt, { signal, sessionId });
+      if (!embedding) {
+        return null;
+      }
+      const scope = buildScopeKey(provider, request);
+      return { scope, embedding, match: lookup ? this.semanticCache.find(scope, embedding) : null };
+    } finally {
+      dispose();
+    }
+  }
+
+  /**
+   * Parses a JSON answer and checks it against the requested schema. Output
+   * that fails is sent back to the model that produced it together with the
+   * problems found, up to STRUCTURED_OUTPUT_MAX_REPAIRS times.
+   * @param {Object} answer - Result of completeWithFallback
+   * @param {Object} context
+   * @param {AbortSignal} context.signal
+   */
+  async completeStructuredOutput(answer, { signal }) {
+    const maxRepairs = getMaxRepairAttempts();
+    const { provider, request } = answer;
+    let messages = request.messages;
+
+    for (let repairs = 0; ; repairs++) {
+      const { value, errors } = parseStructuredOutput(answer.result.text, request.responseFormat);
+      if (errors.length === 0) {
+        return { ...answer, structured: { value, repairs } };
+      }
+      if (repairs === maxRepairs) {
+        throw new StructuredOutputError(
+          `${provider.displayName} ${answer.result.model} did not return valid JSON after ${repairs} repair attempts: ${errors.join('; ')}`
+        );
+      }
+
+      if (process.env.NODE_ENV !== 'test') logger.warn(`${provider.displayName} returned invalid JSON, asking for a repair: ${errors.join('; ')}`);
+      // The rejected output is model output rather than user input, so it is not run through the prompt checks
+      messages = [
+        ...messages,
+        { role: 'assistant', content: answer.result.text },
+        { role: 'user', content: buildRepairPrompt(errors) },
+      ];
+      const repaired = await this.completeWithFallback(provider, { ...request, messages }, { fallback: false, signal, onChunk: null, isStreamed: () => false });
+      const usage = answer.result.usage && repaired.result.usage && {
+        inputTokens: answer.result.usage.inputTokens + repaired.result.usage.inputTokens,
+        outputTokens: answer.result.usage.outputTokens + repaired.result.usage.outputTokens,
+      };
+      answer = {
+        ...answer,
+        result: { ...repaired.result, ...(usage && { usage }) },
+        attempts: answer.attempts + repaired.attempts,
+      };
+    }
+  }
+
+  /**
+   * Sends the same prompt to several provider models concurrently. Each
+   * model answers on its own (no fallback), and models that fail are
+   * reported next to the answers of the others.
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context]
+   * @param {AbortSignal} [context.signal]
+   */
+  async handleCompareModels(args = {}, { signal } = {}) {
+    validatePrompt(args.prompt);
+    const targets = validateComparisonTargets(args.models);
+    const entries = await this.askEach(targets, args, { signal });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 MODEL COMPARISON:\n\n${formatComparison(entries)}`,
         },
-      });
-      
-      const result = await geminiModel.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      ],
+      _meta: { answers: entries.map(describeEntry) },
+    };
+  }
+
+  /**
+   * Asks several models the same question, then has a judge model merge
+   * their answers into one with points of agreement, disagreement and a
+   * confidence note. Every sub-call, the judge included, counts against
+   * the rate limit.
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context]
+   * @param {AbortSignal} [context.signal]
+   */
+  async handleConsensus(args = {}, { signal } = {}) {
+    const question = validatePrompt(args.prompt);
+    const targets = validateComparisonTargets(args.models);
+    const judgeTarget = args.judge === undefined
+      ? getDefaultJudge() ?? targets[0]
+      : validateProviderTarget(args.judge);
 
+    const entries = await this.askEach(targets, args, { signal, beforeEach: () => this.rateLimiter.checkLimit() });
+    const answers = entries.filter(entry => entry.error === undefined);
+    if (answers.length === 0) {
+      throw new APIError(`None of the models answered: ${entries.map(entry => `${entry.label}: ${entry.error}`).join('; ')}`, 'Consensus');
+    }
+
+    let verdict;
+    const started = Date.now();
+    try {
+      verdict = await this.runJudge(judgeTarget, question, answers, { signal });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      const label = `${this.providers.get(judgeTarget.provider)?.displayName ?? judgeTarget.provider} ${judgeTarget.model ?? 'default model'}`;
       return {
         content: [
           {
             type: 'text',
-            text: `🤖 GEMINI RESPONSE (${model}):\n\n${text}`,
+            text: `🤖 CONSENSUS FAILED (judge ${label}: ${this.getErrorMessage(error)}):\n\n${formatComparison(entries)}`,
           },
         ],
+        _meta: { answers: entries.map(describeEntry) },
       };
+    }
+    const judge = this.describeAnswer({ ...verdict, latencyMs: Date.now() - started });
+
+    const considered = entries.map((entry) => {
+      if (entry.error !== undefined) {
+        return `- ${entry.label}: Error: ${entry.error}`;
+      }
+      return `- ${entry.label} (${entry.latencyMs}ms)${entry.metadata.truncated ? ` ⚠️ cut off (${entry.metadata.finishReason})` : ''}`;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 CONSENSUS (judge: ${verdict.provider.displayName} ${verdict.result.model}):\n\n${verdict.result.text}\n\n### Answers considered\n${considered.join('\n')}`,
+        },
+        {
+          type: 'text',
+          text: formatResponseMetadata(judge),
+        },
+      ],
+      _meta: { judge, answers: entries.map(describeEntry) },
+    };
+  }
+
+  /**
+   * Runs the steps of a pipeline in order, expanding each prompt template
+   * with the input and the outputs of earlier steps. Every step counts
+   * against the rate limit. If a step fails, the results of the steps
+   * before it are returned along with the error.
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context]
+   * @param {AbortSignal} [context.signal]
+   */
+  async handleRunPipeline(args = {}, { signal } = {}) {
+    if (args.input !== undefined && typeof args.input !== 'string') {
+      throw new ValidationError('Invalid input: must be a string');
+    }
+    const steps = parsePipeline(args.steps, { hasInput: args.input !== undefined });
+    const values = { input: args.input };
+    const sections = [];
+    const metadata = [];
+
+    for (const [index, step] of steps.entries()) {
+      const number = index + 1;
+      const title = `Step ${number}${step.name ? `: ${step.name}` : ''}`;
+      const started = Date.now();
+
+      try {
+        const provider = this.providers.get(step.provider);
+        if (!provider) {
+          throw new ValidationError(`Unknown provider: ${step.provider}`);
+        }
+        this.rateLimiter.checkLimit();
+
+        const prompt = expandTemplate(step.prompt, values);
+        const answer = await this.ask(provider, { ...step.args, prompt, model: step.model }, { signal });
+        const { provider: answeredBy, result } = answer;
+        const latencyMs = Date.now() - started;
+        const stepMetadata = this.describeAnswer({ ...answer, latencyMs });
+
+        metadata.push({ step: number, ...stepMetadata });
+        sections.push(`### ${title} (${answeredBy.displayName} ${result.model}, ${latencyMs}ms)\n${stepMetadata.warning ? `⚠️ ${stepMetadata.warning}\n` : ''}${result.text}`);
+        values.previous = result.text;
+        values[`step${number}`] = result.text;
+        if (step.name) {
+          values[step.name] = result.text;
+        }
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        sections.push(`### ${title}\nError: ${this.getErrorMessage(error)}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🤖 PIPELINE FAILED AT STEP ${number} OF ${steps.length}:\n\n${sections.join('\n\n')}`,
+            },
+          ],
+          _meta: { steps: [...metadata, { step: number, latencyMs: Date.now() - started, error: this.getErrorMessage(error) }] },
+        };
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 PIPELINE RESULT (${steps.length} ${steps.length === 1 ? 'step' : 'steps'}):\n\n${sections.join('\n\n')}`,
+        },
+      ],
+      _meta: { steps: metadata },
+    };
+  }
+
+  /**
+   * Runs `ask` for each provider/model pair concurrently, without fallback,
+   * collecting either the answer or the error of each. The shared arguments
+   * are adapted to each model (see adaptSharedArguments).
+   * @param {Array<{provider: string, model: string|undefined}>} targets
+   * @param {Object} args - Tool arguments; only SHARED_ARGUMENTS are forwarded
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.beforeEach] - Called before each sub-call; throwing fails that call
+   * @returns {Promise<Array<{label: string, text?: string, error?: string, latencyMs: number, usage?: Object, metadata?: Object}>>}
+   *   - `metadata` is the response metadata of each answer
+   */
+  async askEach(targets, args, { signal, beforeEach } = {}) {
+    const shared = Object.fromEntries(SHARED_ARGUMENTS.filter(name => args[name] !== undefined).map(name => [name, args[name]]));
+
+    const entries = await Promise.all(targets.map(async (target) => {
+      const provider = this.providers.get(target.provider);
+      const label = `${provider?.displayName ?? target.provider} ${target.model ?? 'default model'}`;
+      const started = Date.now();
+
+      try {
+        if (!provider) {
+          throw new ValidationError(`Unknown provider: ${target.provider}`);
+        }
+        beforeEach?.();
+        const answer = await this.ask(provider, this.adaptSharedArguments(provider, target.model, shared), { signal, fallback: false });
+        const { result } = answer;
+        const latencyMs = Date.now() - started;
+        return {
+          label: `${provider.displayName} ${result.model}`,
+          text: result.text,
+          usage: result.usage,
+          latencyMs,
+          metadata: this.describeAnswer({ ...answer, latencyMs }),
+        };
+      } catch (error) {
+        return { label, error: this.getErrorMessage(error), latencyMs: Date.now() - started };
+      }
+    }));
+
+    if (signal?.aborted) {
+      throw new CancelledError(ERROR_MESSAGES.REQUEST_CANCELLED);
+    }
+    return entries;
+  }
+
+  /**
+   * Tool arguments of one model in a comparison: temperature is left out
+   * for models that do not accept it and max_tokens is capped at the
+   * model's output limit, so one reasoning model in the list does not fail
+   * because of settings meant for the others
+   * @param {BaseProvider} provider
+   * @param {string|undefined} model
+   * @param {Object} shared - Tool arguments to forward
+   * @returns {Object}
+   */
+  adaptSharedArguments(provider, model, shared) {
+    const capabilities = provider.getModelInfo(model ?? provider.getDefaultModel());
+    const args = { ...shared, model };
+    if (!capabilities.temperature) {
+      delete args.temperature;
+    }
+    if (capabilities.maxOutputTokens && args.max_tokens > capabilities.maxOutputTokens) {
+      args.max_tokens = capabilities.maxOutputTokens;
+    }
+    return args;
+  }
+
+  /**
+   * Sends the judge prompt built from the answers to the judge model
+   */
+  async runJudge(target, question, answers, { signal: cancelSignal } = {}) {
+    const judge = this.providers.get(target.provider);
+    if (!judge) {
+      throw new ValidationError(`Unknown provider: ${target.provider}`);
+    }
+    judge.ensureConfigured();
+    this.rateLimiter.checkLimit();
+
+    const request = await judge.validateRequest({ prompt: question, model: target.model }, { signal: cancelSignal });
+    // The answers are model output rather than user input, so they are not run through the prompt checks
+    request.messages = [{ role: 'user', content: buildJudgePrompt(question, answers) }];
+    judge.checkContextWindow(request);
+
+    const { signal, dispose } = createRequestSignal({ parentSignal: cancelSignal });
+    try {
+      const verdict = await this.completeWithFallback(judge, request, { fallback: false, signal, onChunk: null, isStreamed: () => false });
+      this.recordUsage(verdict);
+      return verdict;
+    } finally {
+      dispose();
+    }
+  }
+
+  /**
+   * Adds an answer to the usage ledger. Token counts the backend did not
+   * report are estimated from the request and the answer text.
+   * @param {{provider: BaseProvider, request: Object, result: Object}} answer
+   * @param {Object} [options]
+   * @param {string|null} [options.sessionId]
+   */
+  recordUsage({ provider, request, result }, { sessionId = null } = {}) {
+    const usage = result.usage ?? {
+      inputTokens: provider.countTokens(request).inputTokens,
+      outputTokens: estimateTokens(result.text),
+    };
+    return this.usage.record({ provider: provider.name, model: result.model, usage, estimated: !result.usage, sessionId });
+  }
+
+  /**
+   * Embeds texts with a provider's embedding model. Like completions, the
+   * call is checked against the budgets and provider rate limits first and
+   * recorded in the usage ledger afterwards.
+   * @param {BaseProvider} provider - A provider with an `embed` method
+   * @param {string[]} texts
+   * @param {Object} [options]
+   * @param {string} [options.model] - Embedding model (default: the provider's)
+   * @param {AbortSignal} [options.signal]
+   * @param {string|null} [options.sessionId] - Session the usage is recorded under
+   * @returns {Promise<number[][]>} - One vector per text
+   */
+  async embedTexts(provider, texts, { model = provider.getDefaultEmbeddingModel(), signal, sessionId = null } = {}) {
+    const request = { model, messages: texts.map(text => ({ role: 'user', content: text })) };
+    // Embedding models generate no output tokens
+    const measurement = { inputTokens: texts.reduce((total, text) => total + estimateTokens(text), 0), reservedOutputTokens: 0 };
+
+    const releaseBudget = this.admit(provider, request, measurement);
+    try {
+      const { embeddings, usage } = await provider.embed(texts, { model, signal });
+      this.usage.record({
+        provider: provider.name,
+        model,
+        usage: usage ?? { inputTokens: measurement.inputTokens, outputTokens: 0 },
+        estimated: !usage,
+        sessionId,
+      });
+      return embeddings;
+    } finally {
+      releaseBudget();
+    }
+  }
+
+  /**
+   * Sends the request to `provider` and, when it fails with an error the
+   * provider considers worth falling back on (quota, 5xx, unreachable), to
+   * each entry of the tool's fallback chain in turn. Candidates whose
+   * circuit is open, whose cost could exceed a hard budget limit or that
+   * are over their provider rate limit are skipped without calling the
+   * backend.
+   *
+   * If every candidate fails, the error of the requested provider is thrown.
+   * @returns {Promise<{provider: BaseProvider, request: Object, result: Object, attempts: number, fallbackFrom: Array}>}
+   *   - `request` is the request sent to the provider that answered
+   */
+  async completeWithFallback(provider, request, { args, history, fallback, signal, onChunk, isStreamed }) {
+    const fallbackFrom = [];
+    let primaryError;
+    const candidates = fallback ? this.getCandidates(provider, request, { args, history, signal }) : [{ provider, request }];
+
+    for await (const candidate of candidates) {
+      let releaseBudget;
+      try {
+        releaseBudget = this.admit(candidate.provider, candidate.request);
+      } catch (error) {
+        if (!(error instanceof BudgetExceededError || error instanceof RateLimitError)) {
+          throw error;
+        }
+        primaryError ??= error;
+        fallbackFrom.push({ provider: candidate.provider.name, model: candidate.request.model, error: error.message });
+        continue;
+      }
+
+      const breaker = this.circuitBreakers.get(candidate.provider, candidate.request.model);
+      if (!breaker.tryAcquire()) {
+        releaseBudget();
+        const open = this.circuitBreakers.openError(candidate.provider, candidate.request.model);
+        primaryError ??= open;
+        fallbackFrom.push({ provider: candidate.provider.name, model: candidate.request.model, error: open.message });
+        continue;
+      }
+
+      try {
+        if (process.env.NODE_ENV !== 'test') logger.debug(`${candidate.provider.displayName} request - model: ${candidate.request.model}, temperature: ${candidate.request.temperature}`);
+        const { result, attempts } = await this.completeWithRetry(candidate.provider, candidate.request, { signal, onChunk, isStreamed });
+        breaker.recordSuccess();
+        return { provider: candidate.provider, request: candidate.request, result, attempts, fallbackFrom };
+      } catch (error) {
+        // Report the cancellation or timeout itself rather than the SDK's abort error
+        if (signal.aborted) {
+          breaker.release();
+          throw signal.reason;
+        }
+
+        const mapped = candidate.provider.mapError(error);
+        primaryError ??= mapped;
+        // Only failures of the backend itself count towards opening the circuit
+        const backendFailure = candidate.provider.shouldFallback(error);
+        if (backendFailure) {
+          breaker.recordFailure(mapped.message);
+        } else {
+          breaker.release();
+        }
+        // Text already relayed to the client cannot be taken back
+        if (isStreamed() || !backendFailure) {
+          throw mapped;
+        }
+
+        if (process.env.NODE_ENV !== 'test') logger.warn(`${candidate.provider.displayName} ${candidate.request.model} failed, trying fallback: ${mapped.message}`);
+        fallbackFrom.push({ provider: candidate.provider.name, model: candidate.request.model, error: mapped.message });
+      } finally {
+        releaseBudget();
+      }
+    }
+
+    throw primaryError;
+  }
+
+  /**
+   * Checks a call against the budgets and the provider rate limits before
+   * it is sent
+   * @param {BaseProvider} provider
+   * @param {Object} request - Validated request
+   * @param {Object} [measurement] - Result of provider.measureRequest(request), measured when not given
+   * @returns {Function} - Releases the budget reservation once the call has finished
+   */
+  admit(provider, request, measurement = provider.measureRequest(request)) {
+    const releaseBudget = this.budget.reserve(provider, request, measurement);
+    try {
+      this.providerRateLimiter.acquire(provider, request, measurement);
     } catch (error) {
-      if (error.message?.includes('quota')) {
-        throw new APIError('Gemini quota exceeded. Please try again later.', 'Gemini');
-      } else if (error.message?.includes('API key')) {
-        throw new ConfigurationError('Invalid Gemini API key');
-      } else {
-        throw new APIError(`Gemini API error: ${error.message}`, 'Gemini');
+      releaseBudget();
+      throw error;
+    }
+    return releaseBudget;
+  }
+
+  /**
+   * Yields the requested provider followed by the usable entries of its
+   * fallback chain, each with a request validated by that provider.
+   * Entries naming unknown or unconfigured providers, or models that
+   * cannot serve the original arguments, are skipped. Nothing more is
+   * prepared once `signal` is aborted.
+   */
+  async *getCandidates(provider, request, { args, history, signal }) {
+    yield { provider, request };
+
+    for (const entry of getFallbackChain(provider.toolName)) {
+      signal.throwIfAborted();
+      const fallback = this.providers.get(entry.provider);
+      if (!fallback?.isConfigured()) {
+        if (process.env.NODE_ENV !== 'test') logger.warn(`Skipping fallback ${entry.provider}: provider not configured`);
+        continue;
+      }
+
+      let fallbackRequest;
+      try {
+        fallbackRequest = await fallback.validateRequest({ ...args, model: entry.model }, { signal });
+        fallbackRequest.messages = [...history, ...fallbackRequest.messages];
+        fallback.checkContextWindow(fallbackRequest);
+      } catch (error) {
+        signal.throwIfAborted();
+        if (process.env.NODE_ENV !== 'test') logger.warn(`Skipping fallback ${entry.provider}: ${error.message}`);
+        continue;
       }
+
+      yield { provider: fallback, request: fallbackRequest };
     }
   }
 
+  async completeWithRetry(provider, request, { signal, onChunk, isStreamed }) {
+    return withRetry(
+      () => raceWithSignal(provider.complete(request, { onChunk, signal }), signal),
+      {
+        ...provider.getRetryPolicy(),
+        signal,
+        isRetryable: error => !isStreamed() && provider.isRetryable(error),
+        onRetry: (error, attempt, delayMs) => {
+          if (process.env.NODE_ENV !== 'test') logger.warn(`${provider.displayName} attempt ${attempt} failed (${error.message}), retrying in ${delayMs}ms`);
+        },
+      }
+    );
+  }
+
+  /**
+   * Counts the tokens an ask call with these arguments would send, including
+   * attachments and session history, and how they compare to the model's
+   * context window. Nothing is sent to the provider.
+   * @param {Object} args - Tool arguments
+   */
+  async handleCountTokens(args = {}) {
+    const target = validateProviderTarget(args);
+    const provider = this.providers.get(target.provider);
+    if (!provider) {
+      throw new ValidationError(`Unknown provider: ${target.provider}`);
+    }
+    provider.ensureConfigured();
+
+    const request = await provider.validateRequest(
+      Object.fromEntries(COUNTED_ARGUMENTS.filter(key => args[key] !== undefined).map(key => [key, args[key]]))
+    );
+    if (args.session_id !== undefined) {
+      request.messages = [...this.sessions.getMessages(validateSessionId(args.session_id)), ...request.messages];
+    }
+
+    const { inputTokens, method, contextWindow, reservedOutputTokens, fits } = provider.measureRequest(request);
+    const count = {
+      provider: provider.name,
+      model: request.model,
+      inputTokens,
+      method,
+      contextWindow,
+      reservedOutputTokens,
+      ...(contextWindow && { remainingTokens: contextWindow - inputTokens - reservedOutputTokens }),
+      fits,
+    };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 TOKEN COUNT (${provider.displayName} ${request.model}):\n\n${JSON.stringify(count, null, 2)}`,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Applies an instruction (summarizing by default) to text or files too
+   * large for the model's context window: see mapReduce.
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context]
+   * @param {AbortSignal} [context.signal]
+   */
+  async handleSummarizeLarge(args = {}, { signal } = {}) {
+    const target = validateProviderTarget(args);
+    const provider = this.providers.get(target.provider);
+    if (!provider) {
+      throw new ValidationError(`Unknown provider: ${target.provider}`);
+    }
+    provider.ensureConfigured();
+
+    if (args.text === undefined && args.attachments === undefined) {
+      throw new ValidationError('Invalid input: text or attachments is required');
+    }
+    const text = args.text === undefined ? undefined : validatePrompt(args.text);
+    const files = validateAttachments(args.attachments);
+    const instruction = args.instruction === undefined ? DEFAULTS.CHUNKING.DEFAULT_INSTRUCTION : validatePrompt(args.instruction);
+    const chunkTokens = validateChunkTokens(args.chunk_tokens);
+
+    const request = await provider.validateRequest({
+      ...Object.fromEntries(SUMMARIZE_ARGUMENTS.filter(key => args[key] !== undefined).map(key => [key, args[key]])),
+      prompt: instruction,
+    }, { signal });
+    const input = [text, files && formatFiles(files)].filter(Boolean).join('\n\n');
+
+    const started = Date.now();
+    const { result, attempts, chunks, calls } = await this.mapReduce(provider, request, { instruction, input, chunkTokens, signal });
+    this.recordUsage({ provider, request, result });
+    const metadata = this.describeAnswer({ provider, result, latencyMs: Date.now() - started });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 SUMMARY (${provider.displayName} ${result.model}, ${chunks} ${chunks === 1 ? 'chunk' : 'chunks'}):\n\n${result.text}`,
+        },
+        {
+          type: 'text',
+          text: formatResponseMetadata(metadata),
+        },
+      ],
+      _meta: { ...metadata, chunks, calls, attempts },
+    };
+  }
+
+  /**
+   * Splits `input` into chunks that fit in the model's context window,
+   * applies the instruction to each chunk (several at a time, up to
+   * CHUNKING_CONCURRENCY) and combines the partial results with a final
+   * prompt. Results too large to combine in one call are combined in
+   * groups first. Every call counts against the rate limit, gets its own
+   * timeout and carries the session `history`; there is no fallback, since
+   * the chunks are sized for this model.
+   * @param {BaseProvider} provider
+   * @param {Object} request - Validated request supplying the model and generation parameters
+   * @param {Object} options
+   * @param {string|null} options.instruction - What to do with the input; null when the input is itself the request
+   * @param {string} options.input
+   * @param {Array} [options.history]
+   * @param {number} [options.chunkTokens] - Upper limit on the chunk size
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{result: {text: string, model: string, usage?: Object}, attempts: number, chunks: number, calls: number}>}
+   */
+  async mapReduce(provider, request, { instruction, input, history = [], chunkTokens, signal: cancelSignal }) {
+    const withPrompt = content => ({ ...request, messages: [...history, { role: 'user', content }] });
+    const countTokens = text => provider.countTokens({ model: request.model, messages: [{ role: 'user', content: text }] }).inputTokens;
+
+    const { MAX_CHUNKS, MIN_CHUNK_TOKENS, DEFAULT_CHUNK_TOKENS, SAFETY_MARGIN_TOKENS } = DEFAULTS.CHUNKING;
+    const overhead = provider.measureRequest(withPrompt(buildMapPrompt(instruction, '', MAX_CHUNKS, MAX_CHUNKS)));
+    const available = overhead.contextWindow
+      ? overhead.contextWindow - overhead.reservedOutputTokens - overhead.inputTokens - SAFETY_MARGIN_TOKENS
+      : Infinity;
+    if (available < MIN_CHUNK_TOKENS) {
+      throw new ValidationError(`Context window of ${request.model} is too small to process the input in chunks; lower max_tokens or shorten the session`);
+    }
+
+    const maxTokens = Math.min(chunkTokens ?? (Number.isFinite(available) ? available : DEFAULT_CHUNK_TOKENS), available);
+    const chunks = splitText(input, maxTokens, countTokens);
+    if (chunks.length > MAX_CHUNKS) {
+      throw new ValidationError(`Input too long: it splits into ${chunks.length} chunks, more than the ${MAX_CHUNKS} allowed`);
+    }
+
+    let attempts = 0;
+    let calls = 0;
+    let usage;
+    const complete = async (content) => {
+      this.rateLimiter.checkLimit();
+      const { signal, dispose } = createRequestSignal({ parentSignal: cancelSignal });
+      try {
+        const answer = await this.completeWithFallback(provider, withPrompt(content), { fallback: false, signal, onChunk: null, isStreamed: () => false });
+        attempts += answer.attempts;
+        calls++;
+        if (answer.result.usage) {
+          usage = {
+            inputTokens: (usage?.inputTokens ?? 0) + answer.result.usage.inputTokens,
+            outputTokens: (usage?.outputTokens ?? 0) + answer.result.usage.outputTokens,
+          };
+        }
+        return answer.result;
+      } finally {
+        dispose();
+      }
+    };
+
+    const concurrency = getChunkConcurrency();
+    let results = await mapWithConcurrency(chunks, concurrency, (chunk, index) => complete(buildMapPrompt(instruction, chunk, index + 1, chunks.length)));
+
+    while (results.length > 1) {
+      const texts = results.map(result => result.text);
+      const groups = groupResults(texts, group => provider.measureRequest(withPrompt(buildReducePrompt(instruction, group))).fits);
+      if (groups.length === texts.length) {
+        throw new ValidationError(`Partial results are too long to combine within the context window of ${request.model}; lower max_tokens`);
+      }
+      const final = groups.length === 1;
+      results = await mapWithConcurrency(groups, concurrency, (group, index) => (
+        group.length === 1 ? results[texts.indexOf(group[0])] : complete(buildReducePrompt(instruction, group, { final }))
+      ));
+    }
+
+    return { result: { ...results[0], ...(usage && { usage }) }, attempts, chunks: chunks.length, calls };
+  }
+
+  /**
+   * Aggregates the usage ledger by the requested fields
+   * @param {Object} args - Tool arguments
+   */
+  handleGetUsage(args = {}) {
+    const query = parseUsageQuery(args);
+    const summary = {
+      ...this.usage.summarize(query),
+      currency: 'USD',
+      ledger: this.usage.filePath ?? 'memory',
+    };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 USAGE:\n\n${JSON.stringify(summary, null, 2)}`,
+        },
+      ],
+    };
+  }
+
+  handleListSessions() {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 SESSIONS:\n\n${JSON.stringify(this.sessions.list(), null, 2)}`,
+        },
+      ],
+    };
+  }
+
+  handleGetSession(args = {}) {
+    const session = this.sessions.get(validateSessionId(args.session_id));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 SESSION ${session.id}:\n\n${JSON.stringify(session, null, 2)}`,
+        },
+      ],
+    };
+  }
+
+  handleForkSession(args = {}) {
+    const sourceId = validateSessionId(args.session_id);
+    const newId = args.new_session_id === undefined ? undefined : validateSessionId(args.new_session_id);
+    const fork = this.sessions.fork(sourceId, newId);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 SESSION FORKED: ${sourceId} -> ${fork.id} (${fork.messages.length} messages)`,
+        },
+      ],
+    };
+  }
+
+  handleDeleteSession(args = {}) {
+    const sessionId = validateSessionId(args.session_id);
+    this.sessions.delete(sessionId);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 SESSION DELETED: ${sessionId}`,
+        },
+      ],
+    };
+  }
+
   handleServerInfo() {
     const info = {
       name: process.env.MCP_SERVER_NAME || 'AI Bridge',
       version: process.env.MCP_SERVER_VERSION || '1.0.0',
-      openai: {
-        configured: !!this.openai,
-        models: this.openai ? MODELS.OPENAI : [],
+      ...Object.fromEntries(this.providers.list().map(provider => [provider.name, provider.getInfo()])),
+      rateLimits: {
+        maxRequests: this.rateLimiter.maxRequests,
+        windowMs: this.rateLimiter.windowMs,
+        remaining: this.rateLimiter.getRemaining(),
+        providers: this.providerRateLimiter.getStatus(),
       },
-      gemini: {
-        configured: !!this.gemini,
-        models: this.gemini ? MODELS.GEMINI : [],
+      health: {
+        failureThreshold: this.circuitBreakers.options.failureThreshold,
+        resetTimeoutMs: this.circuitBreakers.options.resetTimeoutMs,
+        circuits: this.circuitBreakers.getStatus(),
       },
-      rateLimits: {
-        maxRequests: DEFAULTS.RATE_LIMIT.MAX_REQUESTS,
-        windowMs: DEFAULTS.RATE_LIMIT.WINDOW_MS,
+      sessions: {
+        count: this.sessions.sessions.size,
+        maxSessions: this.sessions.maxSessions,
+        maxMessages: this.sessions.maxMessages,
+        persistent: !!this.sessions.filePath,
+      },
+      cache: this.responseCache.getStats(),
+      semanticCache: this.semanticCache?.getStats() ?? { enabled: false },
+      usage: {
+        entries: this.usage.entries.length,
+        persistent: !!this.usage.filePath,
+      },
+      budgets: {
+        limits: this.budget.getStatus(),
+        persistent: !!this.usage.filePath,
       },
       security: {
         inputValidation: true,
@@ -301,23 +1234,29 @@ class AIBridgeServer {
     };
   }
 
-  formatError(error) {
+  getErrorMessage(error) {
     // Don't expose stack traces or sensitive information
-    const message = error instanceof AIBridgeError 
+    return error instanceof AIBridgeError 
       ? error.message 
       : 'An unexpected error occurred';
-      
+  }
+
+  formatError(error) {
     return {
       content: [
         {
           type: 'text',
-          text: `Error: ${message}`,
+          text: `Error: ${this.getErrorMessage(error)}`,
         },
       ],
     };
   }
 
   async run() {
+    await this.refreshModels();
+    await this.sessions.load();
+    await this.usage.load();
+    await this.responseCache.load();
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     if (process.env.NODE_ENV !== 'test') logger.info('AI Bridge MCP server running');
@@ -330,8 +1269,9 @@ export { AIBridgeServer };
 // Run the server if this is the main module
 // Only run in production, not during tests
 if (process.env.NODE_ENV !== 'test' && process.env.NODE_ENV !== 'development') {
-  const server = new AIBridgeServer();
-  server.run().catch((error) => {
+  // The constructor validates the configuration, so it runs inside the guarded startup too
+  const start = async () => new AIBridgeServer().run();
+  start().catch((error) => {
     if (process.env.NODE_ENV !== 'test') logger.error('Failed to start server:', error);
     process.exit(1);
   });
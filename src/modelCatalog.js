@@ -0,0 +1,134 @@
+/**
+ * Capabilities of the models offered by the built-in providers.
+ *
+ * Each entry records:
+ * - contextWindow / maxOutputTokens: token limits
+ * - text: accepts text-only prompts (false for vision-only models)
+ * - temperature: accepts sampling parameters (temperature, top_p, penalties)
+ * - systemPrompt: accepts a system message
+ * - vision: accepts image input
+ * - jsonMode: supports JSON output mode
+ * - reasoning: reasoning model (output limit sent as max_completion_tokens)
+ * - reasoningEffort: accepts the reasoning_effort parameter
+ * - deprecationDate: ISO date after which the provider retires the model
+ */
+
+// Capabilities assumed for models the catalog does not know about (local
+// models, custom endpoints): permissive, since the server is the authority.
+export const DEFAULT_CAPABILITIES = {
+  contextWindow: null,
+  maxOutputTokens: null,
+  text: true,
+  temperature: true,
+  systemPrompt: true,
+  vision: false,
+  jsonMode: false,
+  reasoning: false,
+  reasoningEffort: false,
+  deprecationDate: null
+};
+
+const GPT_4O = {
+  ...DEFAULT_CAPABILITIES,
+  contextWindow: 128000,
+  maxOutputTokens: 16384,
+  vision: true,
+  jsonMode: true
+};
+
+const GPT_4_TURBO = {
+  ...DEFAULT_CAPABILITIES,
+  contextWindow: 128000,
+  maxOutputTokens: 4096,
+  vision: true,
+  jsonMode: true
+};
+
+const GPT_4 = {
+  ...DEFAULT_CAPABILITIES,
+  contextWindow: 8192,
+  maxOutputTokens: 8192
+};
+
+const REASONING = {
+  ...DEFAULT_CAPABILITIES,
+  temperature: false,
+  reasoning: true
+};
+
+const GEMINI_1_5_PRO = {
+  ...DEFAULT_CAPABILITIES,
+  contextWindow: 2097152,
+  maxOutputTokens: 8192,
+  vision: true,
+  jsonMode: true,
+  deprecationDate: '2025-09-24'
+};
+
+const GEMINI_1_5_FLASH = {
+  ...GEMINI_1_5_PRO,
+  contextWindow: 1048576
+};
+
+const GEMINI_1_0_PRO_VISION = {
+  ...DEFAULT_CAPABILITIES,
+  contextWindow: 12288,
+  maxOutputTokens: 4096,
+  text: false,
+  systemPrompt: false,
+  vision: true,
+  deprecationDate: '2024-07-12'
+};
+
+export const MODEL_CATALOG = {
+  OPENAI: {
+    'gpt-4o': GPT_4O,
+    'gpt-4o-mini': GPT_4O,
+    'gpt-4o-2024-11-20': GPT_4O,
+    'gpt-4o-2024-08-06': GPT_4O,
+    'gpt-4o-2024-05-13': { ...GPT_4O, maxOutputTokens: 4096 },
+    'gpt-4o-mini-2024-07-18': GPT_4O,
+    'chatgpt-4o-latest': GPT_4O,
+    'gpt-4-turbo': GPT_4_TURBO,
+    'gpt-4-turbo-2024-04-09': GPT_4_TURBO,
+    'gpt-4': GPT_4,
+    'gpt-4-0613': GPT_4,
+    'o1': { ...REASONING, contextWindow: 200000, maxOutputTokens: 100000, vision: true, jsonMode: true, reasoningEffort: true },
+    'o1-mini': { ...REASONING, contextWindow: 128000, maxOutputTokens: 65536, systemPrompt: false, deprecationDate: '2025-10-27' },
+    'o1-preview': { ...REASONING, contextWindow: 128000, maxOutputTokens: 32768, systemPrompt: false, deprecationDate: '2025-07-28' },
+    'o1-pro': { ...REASONING, contextWindow: 200000, maxOutputTokens: 100000, vision: true, jsonMode: true, reasoningEffort: true },
+    'o3-mini': { ...REASONING, contextWindow: 200000, maxOutputTokens: 100000, jsonMode: true, reasoningEffort: true },
+    'gpt-3.5-turbo': { ...DEFAULT_CAPABILITIES, contextWindow: 16385, maxOutputTokens: 4096, jsonMode: true }
+  },
+  GEMINI: {
+    'gemini-1.5-pro-latest': GEMINI_1_5_PRO,
+    'gemini-1.5-pro-002': GEMINI_1_5_PRO,
+    'gemini-1.5-pro': GEMINI_1_5_PRO,
+    'gemini-1.5-flash-latest': GEMINI_1_5_FLASH,
+    'gemini-1.5-flash': GEMINI_1_5_FLASH,
+    'gemini-1.5-flash-002': GEMINI_1_5_FLASH,
+    'gemini-1.5-flash-8b': GEMINI_1_5_FLASH,
+    'gemini-1.0-pro-vision-latest': GEMINI_1_0_PRO_VISION,
+    'gemini-pro-vision': GEMINI_1_0_PRO_VISION
+  }
+};
+
+/**
+ * Looks up the capabilities of a model, falling back to DEFAULT_CAPABILITIES
+ * for models the catalog does not know.
+ * @param {string} service - Catalog key (e.g. 'OPENAI')
+ * @param {string} model
+ * @returns {Object}
+ */
+export function getModelCapabilities(service, model) {
+  return MODEL_CATALOG[service]?.[model] || DEFAULT_CAPABILITIES;
+}
+
+/**
+ * @param {Object} capabilities - Catalog entry
+ * @param {Date} [now]
+ * @returns {boolean} - true once the model's deprecation date has passed
+ */
+export function isDeprecated(capabilities, now = new Date()) {
+  return !!capabilities.deprecationDate && new Date(capabilities.deprecationDate) <= now;
+}
@@ -0,0 +1,138 @@
+import { DEFAULTS, ERROR_MESSAGES } from './constants.js';
+import { ValidationError } from './errors.js';
+import { validateProviderTarget } from './validators.js';
+
+export const PIPELINE_TOOL = {
+  name: 'run_pipeline',
+  description: 'Run a sequence of prompts through one or more models, feeding each step the outputs of earlier steps',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      input: {
+        type: 'string',
+        description: 'Text available to every step as {{input}}',
+      },
+      steps: {
+        type: 'array',
+        description: 'Steps run in order. Prompts may reference {{input}}, {{previous}}, {{step1}}, {{step2}}, ... or the name of an earlier step',
+        minItems: 1,
+        maxItems: DEFAULTS.PIPELINE.MAX_STEPS,
+        items: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Optional name other steps can reference as {{name}}',
+            },
+            provider: {
+              type: 'string',
+              description: 'Provider name as listed by server_info (e.g. openai, gemini, local)',
+            },
+            model: {
+              type: 'string',
+              description: "The model to use (default: the provider's default model)",
+            },
+            prompt: {
+              type: 'string',
+              description: 'Prompt template for this step',
+            },
+            system: {
+              type: 'string',
+              description: 'System prompt for this step',
+            },
+            temperature: {
+              type: 'number',
+              description: 'Temperature for this step',
+            },
+            max_tokens: {
+              type: 'integer',
+              description: 'Maximum number of tokens this step may generate',
+              minimum: 1,
+            },
+          },
+          required: ['provider', 'prompt'],
+        },
+      },
+    },
+    required: ['steps'],
+  },
+};
+
+// Per-step arguments forwarded to the ask call
+export const STEP_ARGUMENTS = ['system', 'temperature', 'max_tokens'];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const RESERVED_NAMES = new Set(['input', 'previous']);
+
+/**
+ * Names of the placeholders used in a template, in order of appearance
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function getPlaceholders(template) {
+  return [...template.matchAll(PLACEHOLDER)].map(match => match[1]);
+}
+
+/**
+ * Replaces every placeholder with its value. Expansion happens server-side
+ * before the prompt security check, which would otherwise reject the
+ * `{{...}}` syntax as template injection; the expanded prompt is checked
+ * like any other.
+ * @param {string} template
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+export function expandTemplate(template, values) {
+  return template.replace(PLACEHOLDER, (match, name) => values[name]);
+}
+
+/**
+ * Validates the steps of a pipeline before anything runs: every step needs
+ * a provider and a prompt template, names must be unique, and templates may
+ * only reference the input and steps that come before them.
+ * @param {*} steps
+ * @param {Object} [options]
+ * @param {boolean} [options.hasInput] - Whether an input was given
+ * @returns {Array<{name: string|undefined, provider: string, model: string|undefined, prompt: string, args: Object}>}
+ */
+export function parsePipeline(steps, { hasInput = false } = {}) {
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > DEFAULTS.PIPELINE.MAX_STEPS) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_PIPELINE_STEPS);
+  }
+
+  const available = new Set(hasInput ? ['input'] : []);
+
+  return steps.map((step, index) => {
+    const number = index + 1;
+    const target = validateProviderTarget(step, `Invalid step ${number}: ${ERROR_MESSAGES.INVALID_PROVIDER_TARGET}`);
+
+    if (typeof step.prompt !== 'string' || !step.prompt.trim()) {
+      throw new ValidationError(`Invalid step ${number}: prompt must be a non-empty string`);
+    }
+
+    for (const name of getPlaceholders(step.prompt)) {
+      if (name === 'previous' && index > 0) {
+        continue;
+      }
+      if (!available.has(name)) {
+        throw new ValidationError(
+          name === 'input'
+            ? `Invalid step ${number}: {{input}} is used but no input was given`
+            : `Invalid step ${number}: {{${name}}} does not refer to the input or an earlier step`
+        );
+      }
+    }
+
+    const name = step.name === undefined ? undefined : String(step.name).trim();
+    if (name !== undefined) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || RESERVED_NAMES.has(name) || /^step\d+$/.test(name) || available.has(name)) {
+        throw new ValidationError(`Invalid step ${number}: name must be a unique identifier other than input, previous or stepN`);
+      }
+      available.add(name);
+    }
+    available.add(`step${number}`);
+
+    const args = Object.fromEntries(STEP_ARGUMENTS.filter(key => step[key] !== undefined).map(key => [key, step[key]]));
+    return { name, ...target, prompt: step.prompt, args };
+  });
+}
@@ -0,0 +1,110 @@
+import { ConfigurationError } from './errors.js';
+
+/**
+ * List prices in USD per million tokens, keyed by provider name and model.
+ * Model keys also match dated versions (gpt-4o-2024-08-06 is priced as
+ * gpt-4o); '*' prices every other model of a provider. Local models run on
+ * your own hardware and cost nothing.
+ */
+export const DEFAULT_PRICING = {
+  openai: {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-2024-05-13': { input: 5, output: 15 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'chatgpt-4o-latest': { input: 5, output: 15 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'o1': { input: 15, output: 60 },
+    'o1-mini': { input: 1.1, output: 4.4 },
+    'o1-preview': { input: 15, output: 60 },
+    'o1-pro': { input: 150, output: 600 },
+    'o3-mini': { input: 1.1, output: 4.4 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    'text-embedding-ada-002': { input: 0.1, output: 0 },
+  },
+  gemini: {
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-flash-8b': { input: 0.0375, output: 0.15 },
+    'gemini-1.0-pro-vision': { input: 0.5, output: 1.5 },
+    'gemini-pro-vision': { input: 0.5, output: 1.5 },
+  },
+  local: {
+    '*': { input: 0, output: 0 },
+  },
+};
+
+const isPrice = price => price !== null && typeof price === 'object'
+  && [price.input, price.output].every(value => typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+/**
+ * The pricing table: DEFAULT_PRICING with the entries of MODEL_PRICING (a
+ * JSON object in the same format) added or overriding per model, e.g.
+ * {"groq": {"llama-3.3-70b-versatile": {"input": 0.59, "output": 0.79}}}
+ * @param {Object} [env]
+ * @returns {Object<string, Object<string, {input: number, output: number}>>}
+ */
+export function getPricing(env = process.env) {
+  if (!env.MODEL_PRICING) {
+    return DEFAULT_PRICING;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env.MODEL_PRICING);
+  } catch (error) {
+    throw new ConfigurationError('MODEL_PRICING must be a JSON object');
+  }
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ConfigurationError('MODEL_PRICING must be a JSON object');
+  }
+
+  const pricing = { ...DEFAULT_PRICING };
+  for (const [provider, models] of Object.entries(overrides)) {
+    if (models === null || typeof models !== 'object' || Array.isArray(models)) {
+      throw new ConfigurationError(`MODEL_PRICING.${provider} must map model names to prices`);
+    }
+    for (const [model, price] of Object.entries(models)) {
+      if (!isPrice(price)) {
+        throw new ConfigurationError(`MODEL_PRICING.${provider}.${model} must be {"input": <USD per 1M tokens>, "output": <USD per 1M tokens>}`);
+      }
+    }
+    pricing[provider] = { ...pricing[provider], ...models };
+  }
+  return pricing;
+}
+
+/**
+ * Looks up the price of a model: an exact entry, else the longest model key
+ * the name starts with, else the provider's '*' entry
+ * @param {Object} pricing - Result of getPricing
+ * @param {string} provider
+ * @param {string} model
+ * @returns {{input: number, output: number}|null} - null when the model is not priced
+ */
+export function findPrice(pricing, provider, model) {
+  const models = pricing[provider];
+  if (!models) {
+    return null;
+  }
+  if (models[model]) {
+    return models[model];
+  }
+
+  const prefix = Object.keys(models)
+    .filter(key => key !== '*' && model.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : models['*'] ?? null;
+}
+
+/**
+ * Dollar cost of a call
+ * @param {{input: number, output: number}} price - USD per million tokens
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @returns {number}
+ */
+export function computeCost(price, { inputTokens = 0, outputTokens = 0 }) {
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
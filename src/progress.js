@@ -0,0 +1,68 @@
+import { DEFAULTS } from './constants.js';
+import logger from './logger.js';
+
+/**
+ * Relays streamed text to the MCP client as `notifications/progress`
+ * messages tied to the progress token of the originating request.
+ *
+ * Chunks are coalesced so that fast streams do not flood the client with
+ * one notification per token: text is flushed at most once per
+ * `intervalMs`, and whatever is left is flushed by `finish()`. `progress`
+ * is the number of characters received so far and `message` carries the
+ * text received since the previous notification.
+ */
+export class ProgressReporter {
+  /**
+   * @param {Function} notify - Sends a notification (usually server.notification)
+   * @param {string|number} progressToken - Token from the request's `_meta`
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - Minimum time between notifications
+   */
+  constructor(notify, progressToken, { intervalMs = DEFAULTS.STREAMING.PROGRESS_INTERVAL_MS } = {}) {
+    this.notify = notify;
+    this.progressToken = progressToken;
+    this.intervalMs = intervalMs;
+    this.received = 0;
+    this.pending = '';
+    this.lastSent = 0;
+  }
+
+  update(chunk) {
+    if (!chunk) {
+      return;
+    }
+
+    this.received += chunk.length;
+    this.pending += chunk;
+
+    if (Date.now() - this.lastSent >= this.intervalMs) {
+      this.flush();
+    }
+  }
+
+  finish() {
+    if (this.pending) {
+      this.flush();
+    }
+  }
+
+  flush() {
+    const notification = {
+      method: 'notifications/progress',
+      params: {
+        progressToken: this.progressToken,
+        progress: this.received,
+        message: this.pending,
+      },
+    };
+    this.pending = '';
+    this.lastSent = Date.now();
+
+    // Progress is best effort: a failed notification must not fail the call
+    Promise.resolve()
+      .then(() => this.notify(notification))
+      .catch((error) => {
+        if (process.env.NODE_ENV !== 'test') logger.warn('Failed to send progress notification:', error.message);
+      });
+  }
+}
@@ -0,0 +1,571 @@
+import { AIBridgeError, APIError, ConfigurationError, ValidationError } from '../errors.js';
+import { DEFAULTS, MODELS } from '../constants.js';
+import { getModelCapabilities } from '../modelCatalog.js';
+import { getRetryPolicy } from '../retry.js';
+import {
+  validatePrompt,
+  validateModel,
+  validateTemperature,
+  validateSystemPrompt,
+  validateMaxTokens,
+  validateTopP,
+  validateTopK,
+  validatePenalty,
+  validateSeed,
+  validateStopSequences,
+  validateReasoningEffort,
+  validateResponseFormat,
+  validateImages,
+  validateChunking,
+} from '../validators.js';
+import { IMAGE_MIME_TYPES } from '../images.js';
+import { formatAttachments, validateAttachments } from '../attachments.js';
+import { estimateTokens } from '../tokens.js';
+import { buildFormatInstruction } from '../structuredOutput.js';
+
+/**
+ * Optional generation parameters a provider can opt into, keyed by tool
+ * argument name. `key` is the name used in the validated request object;
+ * parameters with a `capability` are only accepted for models whose catalog
+ * entry has that capability.
+ */
+export const GENERATION_PARAMETERS = {
+  system: {
+    key: 'system',
+    schema: () => ({
+      type: 'string',
+      description: 'System prompt that sets the behavior of the model',
+    }),
+    validate: (value) => validateSystemPrompt(value),
+  },
+  max_tokens: {
+    key: 'maxTokens',
+    schema: (defaults) => ({
+      type: 'integer',
+      description: 'Maximum number of tokens to generate',
+      minimum: 1,
+      maximum: defaults.MAX_TOKENS,
+    }),
+    validate: (value, service) => validateMaxTokens(value, service),
+  },
+  top_p: {
+    key: 'topP',
+    capability: 'temperature',
+    schema: () => ({
+      type: 'number',
+      description: 'Nucleus sampling: only consider tokens within this cumulative probability (0-1)',
+      minimum: 0,
+      maximum: 1,
+    }),
+    validate: (value) => validateTopP(value),
+  },
+  top_k: {
+    key: 'topK',
+    schema: (defaults) => ({
+      type: 'integer',
+      description: `Only sample from the K most likely tokens (1-${defaults.MAX_TOP_K})`,
+      minimum: 1,
+      maximum: defaults.MAX_TOP_K,
+    }),
+    validate: (value, service) => validateTopK(value, service),
+  },
+  stop: {
+    key: 'stop',
+    schema: (defaults) => ({
+      type: 'array',
+      items: { type: 'string' },
+      maxItems: defaults.MAX_STOP_SEQUENCES,
+      description: `Sequences that end generation (up to ${defaults.MAX_STOP_SEQUENCES}; a single string is also accepted)`,
+    }),
+    validate: (value, service) => validateStopSequences(value, service),
+  },
+  seed: {
+    key: 'seed',
+    schema: () => ({
+      type: 'integer',
+      description: 'Seed for best-effort deterministic sampling',
+    }),
+    validate: (value) => validateSeed(value),
+  },
+  reasoning_effort: {
+    key: 'reasoningEffort',
+    capability: 'reasoningEffort',
+    schema: () => ({
+      type: 'string',
+      description: 'How much effort reasoning models spend thinking before answering',
+      enum: ['low', 'medium', 'high'],
+    }),
+    validate: (value) => validateReasoningEffort(value),
+  },
+  presence_penalty: {
+    key: 'presencePenalty',
+    capability: 'temperature',
+    schema: (defaults) => ({
+      type: 'number',
+      description: `Penalize tokens that already appeared, encouraging new topics (${defaults.MIN_PENALTY}-${defaults.MAX_PENALTY})`,
+      minimum: defaults.MIN_PENALTY,
+      maximum: defaults.MAX_PENALTY,
+    }),
+    validate: (value, service) => validatePenalty(value, 'presence_penalty', service),
+  },
+  frequency_penalty: {
+    key: 'frequencyPenalty',
+    capability: 'temperature',
+    schema: (defaults) => ({
+      type: 'number',
+      description: `Penalize tokens by how often they appeared, reducing repetition (${defaults.MIN_PENALTY}-${defaults.MAX_PENALTY})`,
+      minimum: defaults.MIN_PENALTY,
+      maximum: defaults.MAX_PENALTY,
+    }),
+    validate: (value, service) => validatePenalty(value, 'frequency_penalty', service),
+  },
+  images: {
+    key: 'images',
+    capability: 'vision',
+    schema: () => ({
+      type: 'array',
+      description: `Images sent with the prompt (up to ${DEFAULTS.IMAGES.MAX_IMAGES}, ${DEFAULTS.IMAGES.MAX_BYTES / (1024 * 1024)}MB each), as base64 data or the path of a file inside IMAGE_INPUT_DIR`,
+      minItems: 1,
+      maxItems: DEFAULTS.IMAGES.MAX_IMAGES,
+      items: {
+        type: 'object',
+        properties: {
+          data: {
+            type: 'string',
+            description: 'Base64 encoded image, or a data: URL',
+          },
+          path: {
+            type: 'string',
+            description: 'Path of an image file inside IMAGE_INPUT_DIR',
+          },
+          mime_type: {
+            type: 'string',
+            enum: IMAGE_MIME_TYPES,
+            description: 'Expected image type; checked against the content',
+          },
+        },
+      },
+    }),
+    validate: (value) => validateImages(value),
+  },
+  response_format: {
+    key: 'responseFormat',
+    capability: 'jsonMode',
+    schema: () => ({
+      type: 'object',
+      description: 'Return JSON instead of text: {"type": "json_object"} for any JSON object, or {"type": "json_schema", "schema": {...}} for output matching a JSON Schema. The parsed value is returned as structured content',
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['json_object', 'json_schema'],
+        },
+        schema: {
+          type: 'object',
+          description: 'JSON Schema the output must match, with type object at the top level (json_schema only)',
+        },
+        name: {
+          type: 'string',
+          description: 'Name of the schema (default: response)',
+        },
+        strict: {
+          type: 'boolean',
+          description: 'Ask the provider to enforce the schema while generating, where supported',
+        },
+      },
+      required: ['type'],
+    }),
+    validate: (value) => validateResponseFormat(value),
+  },
+};
+
+/**
+ * Base class for the AI backends exposed by the bridge.
+ *
+ * A provider owns its SDK client and everything specific to that backend:
+ * initialization from the environment, the models it serves, the schema of
+ * its `ask_*` tool, request execution and the mapping of SDK failures onto
+ * the bridge's error types. Subclasses must implement `initialize` and
+ * `complete`; the remaining methods have sensible defaults driven by the
+ * `service` key into `DEFAULTS` and `MODELS`.
+ */
+export class BaseProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Registry key, also used in server_info (e.g. 'openai')
+   * @param {string} options.displayName - Human readable name (e.g. 'OpenAI')
+   * @param {string} options.toolName - MCP tool exposed for this provider (e.g. 'ask_openai')
+   * @param {string} options.service - Key into DEFAULTS/MODELS (e.g. 'OPENAI')
+   * @param {string} [options.description] - MCP tool description
+   * @param {string[]} [options.parameters] - Supported GENERATION_PARAMETERS
+   * @param {string} [options.envPrefix] - Prefix of provider specific settings (defaults to '<service>_')
+   */
+  constructor({ name, displayName, toolName, service, description, parameters = [], envPrefix = `${service}_` }) {
+    this.name = name;
+    this.displayName = displayName;
+    this.toolName = toolName;
+    this.service = service;
+    this.description = description || `Ask ${displayName} a question`;
+    this.parameters = parameters;
+    this.envPrefix = envPrefix;
+    this.client = null;
+    // Last measurement of each request, see measureRequest
+    this.measurements = new WeakMap();
+  }
+
+  /**
+   * Creates the SDK client from the environment.
+   * @param {Object} env - Environment variables (usually process.env)
+   * @returns {boolean} - true if the provider is now configured
+   */
+  initialize(env) {
+    throw new Error(`${this.constructor.name} must implement initialize()`);
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  get notConfiguredMessage() {
+    return `${this.displayName} API key not configured`;
+  }
+
+  /**
+   * Header label used when formatting responses (e.g. 'OPENAI')
+   */
+  get label() {
+    return this.displayName.toUpperCase();
+  }
+
+  getDefaultModel() {
+    return DEFAULTS[this.service].MODEL;
+  }
+
+  listModels() {
+    return MODELS[this.service];
+  }
+
+  /**
+   * Returns the catalog entry describing what a model supports
+   * @param {string} model
+   */
+  getModelInfo(model) {
+    return getModelCapabilities(this.service, model);
+  }
+
+  /**
+   * Hook for providers that discover their models at runtime. Called by the
+   * server on startup; static providers have nothing to refresh.
+   */
+  async refreshModels() {}
+
+  getToolDefinition() {
+    const defaults = DEFAULTS[this.service];
+
+    return {
+      name: this.toolName,
+      description: this.description,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          prompt: {
+            type: 'string',
+            description: `The prompt to send to ${this.displayName}`,
+          },
+          model: this.getModelSchema(),
+          temperature: {
+            type: 'number',
+            // Not declared as the schema default: clients would then always send it, but reasoning models reject it
+            description: `Temperature for response generation (${defaults.MIN_TEMPERATURE}-${defaults.MAX_TEMPERATURE}, default ${defaults.TEMPERATURE}; not sent to models without temperature support)`,
+            minimum: defaults.MIN_TEMPERATURE,
+            maximum: defaults.MAX_TEMPERATURE,
+          },
+          ...Object.fromEntries(this.getAvailableParameters().map(name => [name, GENERATION_PARAMETERS[name].schema(defaults)])),
+          attachments: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Paths or glob patterns of local text files that the bridge reads and appends to the prompt. Only available when the server sets ATTACHMENT_ROOTS, and files must be inside those directories',
+          },
+          chunking: {
+            type: 'boolean',
+            description: "If the prompt and attachments do not fit in the model's context window, split them into chunks, process those separately and combine the results instead of failing",
+          },
+          session_id: {
+            type: 'string',
+            description: 'Continue (or start) a conversation session; earlier messages in the session are sent as context',
+          },
+          cache: {
+            type: 'string',
+            enum: ['bypass', 'refresh'],
+            description: 'Response cache: bypass it, or refresh it by asking the model again and storing the new answer (default: answer repeated questions from the cache)',
+          },
+        },
+        required: ['prompt'],
+      },
+    };
+  }
+
+  /**
+   * Supported parameters that at least one of the provider's models accepts
+   */
+  getAvailableParameters() {
+    const models = this.listModels();
+
+    return this.parameters.filter((name) => {
+      const { capability } = GENERATION_PARAMETERS[name];
+      return !capability || models.length === 0 || models.some(model => this.getModelInfo(model)[capability]);
+    });
+  }
+
+  getModelSchema() {
+    // Vision-only models cannot answer text prompts, so they are only offered when images can be sent
+    const acceptsImages = this.parameters.includes('images');
+    const models = this.listModels().filter(model => acceptsImages || this.getModelInfo(model).text);
+    const defaultModel = this.getDefaultModel();
+    const visionOnly = models.filter(model => !this.getModelInfo(model).text);
+    const schema = {
+      type: 'string',
+      description: [
+        defaultModel ? `The model to use (default: ${defaultModel})` : 'The model to use',
+        ...(visionOnly.length > 0 ? [`${visionOnly.join(', ')} require images`] : []),
+      ].join('; '),
+    };
+
+    if (models.length > 0) {
+      schema.enum = models;
+    }
+    if (defaultModel) {
+      schema.default = defaultModel;
+    }
+    return schema;
+  }
+
+  /**
+   * Validates tool arguments and normalizes them into a request object
+   * @param {Object} args - Raw tool arguments
+   * @returns {{prompt: string, messages: Array<{role: string, content: string}>, model: string, temperature: number}}
+   *   plus the camelCase key of every supported generation parameter that was provided, the loaded
+   *   `attachments` and `chunking` when set
+   */
+  validateRequest(args = {}) {
+    const prompt = validatePrompt(args.prompt);
+    // File contents are read by the bridge itself, so they bypass the prompt length limit and checks
+    const attachments = validateAttachments(args.attachments);
+    const request = {
+      prompt,
+      messages: [{ role: 'user', content: attachments ? formatAttachments(prompt, attachments) : prompt }],
+      ...(attachments && { attachments }),
+      model: validateModel(args.model, this.service, {
+        models: this.listModels(),
+        defaultModel: this.getDefaultModel(),
+      }),
+      temperature: validateTemperature(args.temperature, this.service),
+    };
+
+    for (const name of this.parameters) {
+      const { key, validate } = GENERATION_PARAMETERS[name];
+      const value = validate(args[name], this.service);
+      if (value !== undefined) {
+        request[key] = value;
+      }
+    }
+
+    if (validateChunking(args.chunking)) {
+      if (request.responseFormat || request.images) {
+        throw new ValidationError('Invalid chunking: cannot be combined with response_format or images');
+      }
+      request.chunking = true;
+    }
+
+    this.applyModelCapabilities(request, args);
+
+    if (request.responseFormat) {
+      request.system = [request.system, buildFormatInstruction(request.responseFormat)].filter(Boolean).join('\n\n');
+    }
+    return request;
+  }
+
+  /**
+   * Adapts a validated request to what its model supports: rejects
+   * parameters the caller explicitly set but the model does not accept,
+   * and drops defaults (such as temperature) the model would reject.
+   */
+  applyModelCapabilities(request, args) {
+    const { model } = request;
+    const capabilities = this.getModelInfo(model);
+    const isSet = name => args[name] !== undefined && args[name] !== null;
+
+    if (!capabilities.text && !request.images) {
+      throw new ValidationError(`Model ${model} requires image input and cannot answer text-only prompts`);
+    }
+
+    if (!capabilities.temperature) {
+      if (isSet('temperature')) {
+        throw new ValidationError(`Model ${model} does not support temperature`);
+      }
+      delete request.temperature;
+    }
+
+    for (const name of this.parameters) {
+      const { capability } = GENERATION_PARAMETERS[name];
+      if (capability && !capabilities[capability] && isSet(name)) {
+        throw new ValidationError(`Model ${model} does not support ${name}`);
+      }
+    }
+
+    if (request.maxTokens !== undefined && capabilities.maxOutputTokens && request.maxTokens > capabilities.maxOutputTokens) {
+      throw new ValidationError(
+        `Invalid max_tokens value: model ${model} generates at most ${capabilities.maxOutputTokens} tokens`
+      );
+    }
+  }
+
+  /**
+   * Counts the input tokens of a request. The default estimates from the
+   * text length; providers with a local tokenizer override this.
+   * @param {Object} request - Result of validateRequest, with any session history
+   * @returns {{inputTokens: number, method: string}}
+   */
+  countTokens(request) {
+    const texts = [request.system, ...request.messages.map(message => message.content)].filter(Boolean);
+
+    return {
+      inputTokens: texts.reduce((total, text) => total + estimateTokens(text), 0) + this.countImageTokens(request),
+      method: 'estimate',
+    };
+  }
+
+  countImageTokens(request) {
+    const historyImages = request.messages.slice(0, -1).reduce((total, message) => total + (message.images?.length ?? 0), 0);
+    return (historyImages + (request.images?.length ?? 0)) * DEFAULTS.TOKENS.IMAGE_TOKENS;
+  }
+
+  /**
+   * Measures a request against its model's context window. The output
+   * reserved is the requested max_tokens, or a default share of the model's
+   * output limit when none was requested.
+   *
+   * The context window check, the budget and the rate limits all measure
+   * the same request, so the result is kept until a field it depends on
+   * is replaced.
+   * @param {Object} request - Result of validateRequest, with any session history
+   * @returns {{inputTokens: number, method: string, contextWindow: number|null, reservedOutputTokens: number, fits: boolean}}
+   *   - `contextWindow` is null (and `fits` always true) for models the catalog does not know
+   */
+  measureRequest(request) {
+    const inputs = [request.messages, request.system, request.model, request.maxTokens, request.images];
+    const previous = this.measurements.get(request);
+    if (previous && previous.inputs.every((value, i) => value === inputs[i])) {
+      return previous.measurement;
+    }
+
+    const { contextWindow, maxOutputTokens } = this.getModelInfo(request.model);
+    const { inputTokens, method } = this.countTokens(request);
+    const reservedOutputTokens = request.maxTokens ?? Math.min(maxOutputTokens ?? Infinity, DEFAULTS.TOKENS.DEFAULT_OUTPUT_RESERVE);
+
+    const measurement = {
+      inputTokens,
+      method,
+      contextWindow,
+      reservedOutputTokens,
+      fits: !contextWindow || inputTokens + reservedOutputTokens <= contextWindow,
+    };
+    this.measurements.set(request, { inputs, measurement });
+    return measurement;
+  }
+
+  /**
+   * Rejects requests that do not fit in their model's context window
+   * @param {Object} request - Result of validateRequest, with any session history
+   */
+  checkContextWindow(request) {
+    const { inputTokens, contextWindow, reservedOutputTokens, fits } = this.measureRequest(request);
+
+    if (!fits) {
+      throw new ValidationError(
+        `Prompt too long for ${request.model}: ${inputTokens} input tokens plus ${reservedOutputTokens} output tokens exceed its ${contextWindow} token context window`
+      );
+    }
+  }
+
+  /**
+   * Sends a validated request to the backend. Providers send `messages`
+   * (the conversation so far, ending with the user prompt) rather than
+   * `prompt` so that session history is preserved. `images`, when present,
+   * belong to the last message (the prompt); earlier turns of a session
+   * carry theirs as `message.images`.
+   *
+   * When `onChunk` is given the provider uses its streaming API and calls
+   * it with each piece of text as it arrives; the resolved value still
+   * holds the complete text.
+   * @param {Object} request - Result of validateRequest
+   * @param {Object} [options]
+   * @param {Function} [options.onChunk] - Receives streamed text chunks
+   * @param {AbortSignal} [options.signal] - Aborts the request on cancellation or timeout
+   * @returns {Promise<{text: string, model: string, usage?: {inputTokens: number, outputTokens: number}, finishReason?: string}>}
+   *   - `usage` is included when the backend reports token counts
+   *   - `finishReason` is the backend's reason for ending the answer, normalized with normalizeFinishReason
+   */
+  async complete(request, options) {
+    throw new Error(`${this.constructor.name} must implement complete()`);
+  }
+
+  /**
+   * Maps an SDK error onto the bridge's error types. Errors that are already
+   * AIBridgeErrors are passed through untouched.
+   * @param {Error} error
+   * @returns {AIBridgeError}
+   */
+  mapError(error) {
+    if (error instanceof AIBridgeError) {
+      return error;
+    }
+    return new APIError(`${this.displayName} API error: ${error.message}`, this.displayName);
+  }
+
+  /**
+   * Whether a failed `complete` call is transient and safe to repeat:
+   * timeouts, rate limiting and server errors. Errors caused by the request
+   * itself (validation, authentication, unknown model) are not retried.
+   * @param {Error} error - Raw error thrown by `complete`
+   */
+  isRetryable(error) {
+    if (error instanceof AIBridgeError) {
+      return false;
+    }
+    const status = error?.status;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Whether a failure that survived retries should move the call on to the
+   * tool's fallback chain. Defaults to the transient errors of `isRetryable`.
+   * @param {Error} error - Raw error thrown by `complete`
+   */
+  shouldFallback(error) {
+    return this.isRetryable(error);
+  }
+
+  /**
+   * @param {Object} [env]
+   * @returns {{maxAttempts: number, baseDelayMs: number, maxDelayMs: number}}
+   */
+  getRetryPolicy(env = process.env) {
+    return getRetryPolicy(env, this.envPrefix);
+  }
+
+  getInfo() {
+    const models = this.isConfigured() ? this.listModels() : [];
+
+    return {
+      configured: this.isConfigured(),
+      models,
+      catalog: Object.fromEntries(models.map(model => [model, this.getModelInfo(model)])),
+    };
+  }
+
+  ensureConfigured() {
+    if (!this.isConfigured()) {
+      throw new ConfigurationError(this.notConfiguredMessage);
+    }
+  }
+}
@@ -0,0 +1,187 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { BaseProvider } from './base.js';
+import { ERROR_MESSAGES } from '../constants.js';
+import { AIBridgeError, APIError, ConfigurationError } from '../errors.js';
+import { normalizeFinishReason } from '../responseMetadata.js';
+
+const GEMINI_SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+/**
+ * Converts a JSON Schema into the OpenAPI subset Gemini accepts as
+ * `responseSchema`. Returns null for schemas it cannot express (anyOf,
+ * oneOf, allOf, recursive $refs); those are left to the bridge's own
+ * validation of the output.
+ * @param {Object} schema
+ * @param {Object} [root] - Schema that $refs resolve against
+ * @param {number} [depth]
+ * @returns {Object|null}
+ */
+export function toGeminiSchema(schema, root = schema, depth = 0) {
+  if (depth > 10 || !schema || typeof schema !== 'object' || schema.anyOf || schema.oneOf || schema.allOf) {
+    return null;
+  }
+  if (schema.$ref) {
+    const [, group, name] = schema.$ref.match(/^#\/(\$defs|definitions)\/(.+)$/) || [];
+    return group ? toGeminiSchema(root[group]?.[name], root, depth + 1) : null;
+  }
+
+  const types = [].concat(schema.type ?? []);
+  const type = types.find(candidate => candidate !== 'null');
+  if (!GEMINI_SCHEMA_TYPES.includes(type) || types.length > (types.includes('null') ? 2 : 1)) {
+    return null;
+  }
+
+  const converted = {
+    type: type.toUpperCase(),
+    ...(schema.description && { description: schema.description }),
+    ...((schema.nullable || types.includes('null')) && { nullable: true }),
+    ...(type === 'string' && Array.isArray(schema.enum) && { enum: schema.enum.map(String) }),
+  };
+
+  if (type === 'object' && schema.properties) {
+    const properties = {};
+    for (const [key, property] of Object.entries(schema.properties)) {
+      properties[key] = toGeminiSchema(property, root, depth + 1);
+      if (!properties[key]) {
+        return null;
+      }
+    }
+    converted.properties = properties;
+    if (schema.required?.length) {
+      converted.required = schema.required;
+    }
+  }
+
+  if (type === 'array' && schema.items) {
+    converted.items = toGeminiSchema(schema.items, root, depth + 1);
+    if (!converted.items) {
+      return null;
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * The `usage` and `finishReason` of a result from a generateContent response
+ */
+function describeResponse(response) {
+  const finishReason = response?.candidates?.[0]?.finishReason;
+
+  return {
+    ...(response?.usageMetadata && {
+      usage: { inputTokens: response.usageMetadata.promptTokenCount, outputTokens: response.usageMetadata.candidatesTokenCount },
+    }),
+    ...(finishReason && { finishReason: normalizeFinishReason(finishReason) }),
+  };
+}
+
+export class GeminiProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'gemini',
+      displayName: 'Gemini',
+      toolName: 'ask_gemini',
+      service: 'GEMINI',
+      description: 'Ask Google Gemini AI a question',
+      parameters: ['system', 'max_tokens', 'top_p', 'top_k', 'stop', 'response_format', 'images'],
+    });
+  }
+
+  get notConfiguredMessage() {
+    return ERROR_MESSAGES.GEMINI_NOT_CONFIGURED;
+  }
+
+  initialize(env) {
+    this.client = null;
+
+    if (!env.GOOGLE_AI_API_KEY) {
+      return false;
+    }
+
+    this.client = new GoogleGenerativeAI(env.GOOGLE_AI_API_KEY);
+    return true;
+  }
+
+  async complete(request, { onChunk, signal } = {}) {
+    const { messages, model, temperature, system } = request;
+    const capabilities = this.getModelInfo(model);
+    const responseSchema = request.responseFormat?.schema && toGeminiSchema(request.responseFormat.schema);
+    const geminiModel = this.client.getGenerativeModel({
+      model: model,
+      generationConfig: {
+        temperature: temperature,
+        ...(request.maxTokens !== undefined && { maxOutputTokens: request.maxTokens }),
+        ...(request.topP !== undefined && { topP: request.topP }),
+        ...(request.topK !== undefined && { topK: request.topK }),
+        ...(request.stop !== undefined && { stopSequences: request.stop }),
+        ...(request.responseFormat && { responseMimeType: 'application/json' }),
+        ...(responseSchema && { responseSchema }),
+      },
+      ...(system && capabilities.systemPrompt && { systemInstruction: { role: 'system', parts: [{ text: system }] } }),
+    });
+    const contents = system && !capabilities.systemPrompt
+      ? [{ role: 'user', content: system }, ...messages]
+      : messages;
+
+    const payload = {
+      contents: contents.map((message, i) => {
+        const images = i === contents.length - 1 && request.images ? request.images : message.images;
+        return {
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: message.content }, ...(images || []).map(({ mimeType, data }) => ({ inlineData: { mimeType, data } }))],
+        };
+      }),
+    };
+
+    if (onChunk) {
+      const result = await geminiModel.generateContentStream(payload);
+      // The aggregated response rejects as well when the stream fails; the
+      // error is thrown from the loop below, and leaving this rejection
+      // unhandled would end the process
+      Promise.resolve(result.response).catch(() => {});
+      let text = '';
+      for await (const chunk of result.stream) {
+        // The SDK cannot be aborted, so stop consuming the stream ourselves
+        signal?.throwIfAborted();
+        const delta = chunk.text();
+        text += delta;
+        onChunk(delta);
+      }
+      // Resolves to the aggregated response once the stream is done
+      return { text, model, ...describeResponse(await result.response) };
+    }
+
+    const result = await geminiModel.generateContent(payload);
+    const response = await result.response;
+
+    return {
+      text: response.text(),
+      model,
+      ...describeResponse(response),
+    };
+  }
+
+  isRetryable(error) {
+    // The SDK only reports the HTTP status inside the message: "[503 Service Unavailable] ..."
+    const status = parseInt(error?.message?.match(/\[(\d{3}) /)?.[1]);
+    return !(error instanceof AIBridgeError) && super.isRetryable({ status });
+  }
+
+  shouldFallback(error) {
+    return (!(error instanceof AIBridgeError) && !!error?.message?.includes('quota')) || super.shouldFallback(error);
+  }
+
+  mapError(error) {
+    if (error instanceof AIBridgeError) {
+      return error;
+    }
+    if (error.message?.includes('quota')) {
+      return new APIError('Gemini quota exceeded. Please try again later.', 'Gemini');
+    }
+    if (error.message?.includes('API key')) {
+      return new ConfigurationError('Invalid Gemini API key');
+    }
+    return new APIError(`Gemini API error: ${error.message}`, 'Gemini');
+  }
+}
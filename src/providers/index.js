@@ -0,0 +1,32 @@
+import { ProviderRegistry } from './registry.js';
+import { OpenAIProvider } from './openai.js';
+import { GeminiProvider } from './gemini.js';
+import { LocalProvider } from './local.js';
+import { OpenAICompatibleProvider, getEndpointNames } from './openaiCompatible.js';
+
+export { BaseProvider } from './base.js';
+export { ProviderRegistry } from './registry.js';
+export { OpenAIProvider } from './openai.js';
+export { GeminiProvider } from './gemini.js';
+export { LocalProvider, LOCAL_API_FORMATS } from './local.js';
+export { OpenAICompatibleProvider } from './openaiCompatible.js';
+
+/**
+ * Builds the registry of built-in providers plus one provider per endpoint
+ * listed in OPENAI_COMPATIBLE_PROVIDERS. New backends are added here (or
+ * registered on a custom registry passed to AIBridgeServer) without
+ * touching the server itself.
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ */
+export function createDefaultRegistry(env = process.env) {
+  const registry = new ProviderRegistry()
+    .register(new OpenAIProvider())
+    .register(new GeminiProvider())
+    .register(new LocalProvider());
+
+  for (const name of getEndpointNames(env)) {
+    registry.register(new OpenAICompatibleProvider(name));
+  }
+
+  return registry;
+}
@@ -0,0 +1,333 @@
+import { BaseProvider } from './base.js';
+import { toResult, withSystemMessage } from './openai.js';
+import { DEFAULTS, ERROR_MESSAGES } from '../constants.js';
+import { AIBridgeError, APIError, ConfigurationError, ValidationError } from '../errors.js';
+import { createRequestSignal } from '../cancellation.js';
+import { normalizeFinishReason } from '../responseMetadata.js';
+
+export const LOCAL_API_FORMATS = {
+  OLLAMA: 'ollama',
+  OPENAI: 'openai'
+};
+
+// Endpoints for each supported local server flavour
+const ENDPOINTS = {
+  [LOCAL_API_FORMATS.OLLAMA]: { models: '/api/tags', chat: '/api/chat', embeddings: '/api/embed' },
+  [LOCAL_API_FORMATS.OPENAI]: { models: '/v1/models', chat: '/v1/chat/completions', embeddings: '/v1/embeddings' }
+};
+
+/**
+ * The `usage` and `finishReason` of a final Ollama chat response
+ */
+function describeOllamaResponse(body) {
+  return {
+    ...(body.eval_count !== undefined && {
+      usage: { inputTokens: body.prompt_eval_count, outputTokens: body.eval_count },
+    }),
+    ...(body.done_reason && { finishReason: normalizeFinishReason(body.done_reason) }),
+  };
+}
+
+/**
+ * Locally hosted models served by Ollama, or by any server speaking the
+ * OpenAI chat completions format (llama.cpp server, LM Studio, ...).
+ *
+ * Unlike the hosted providers, the model list is not static: it is
+ * discovered from the local server and refreshed on startup or when a
+ * request names a model that has not been seen yet.
+ */
+export class LocalProvider extends BaseProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - fetch implementation (injectable for tests)
+   */
+  constructor({ fetch = globalThis.fetch } = {}) {
+    super({
+      name: 'local',
+      displayName: 'Local',
+      toolName: 'ask_local',
+      service: 'LOCAL',
+      description: 'Ask a locally hosted model (Ollama or llama.cpp server) a question',
+      parameters: ['system', 'max_tokens', 'top_p', 'top_k', 'stop', 'seed', 'presence_penalty', 'frequency_penalty'],
+      envPrefix: 'LOCAL_AI_',
+    });
+    this.fetch = fetch;
+    this.models = [];
+  }
+
+  get notConfiguredMessage() {
+    return ERROR_MESSAGES.LOCAL_NOT_CONFIGURED;
+  }
+
+  initialize(env) {
+    this.client = null;
+    this.models = [];
+
+    if (!env.LOCAL_AI_BASE_URL) {
+      return false;
+    }
+
+    let baseUrl;
+    try {
+      baseUrl = new URL(env.LOCAL_AI_BASE_URL);
+    } catch (error) {
+      throw new ConfigurationError(`Invalid LOCAL_AI_BASE_URL: ${env.LOCAL_AI_BASE_URL}`);
+    }
+
+    const apiFormat = (env.LOCAL_AI_API_FORMAT || DEFAULTS.LOCAL.API_FORMAT).toLowerCase();
+    if (!ENDPOINTS[apiFormat]) {
+      throw new ConfigurationError(
+        `Invalid LOCAL_AI_API_FORMAT: must be one of ${Object.values(LOCAL_API_FORMATS).join(', ')}`
+      );
+    }
+
+    this.client = {
+      baseUrl: baseUrl.toString().replace(/\/+$/, ''),
+      apiFormat,
+      defaultModel: env.LOCAL_AI_DEFAULT_MODEL || null,
+    };
+    return true;
+  }
+
+  getDefaultModel() {
+    return this.client?.defaultModel || this.models[0] || null;
+  }
+
+  listModels() {
+    return this.models;
+  }
+
+  /**
+   * Discovers the models of the local server. The request is bounded by
+   * REQUEST_TIMEOUT_MS, so a server that accepts connections but never
+   * answers cannot hang the call, and also aborts with `signal`.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   */
+  async refreshModels({ signal: cancelSignal } = {}) {
+    const { apiFormat } = this.client;
+    const { signal, dispose } = createRequestSignal({ parentSignal: cancelSignal });
+    let body;
+    try {
+      body = await this.request(ENDPOINTS[apiFormat].models, undefined, signal);
+    } finally {
+      dispose();
+    }
+
+    this.models = apiFormat === LOCAL_API_FORMATS.OLLAMA
+      ? (body.models || []).map(model => model.name)
+      : (body.data || []).map(model => model.id);
+
+    return this.models;
+  }
+
+  /**
+   * @param {Object} args - Raw tool arguments
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts model discovery
+   */
+  async validateRequest(args = {}, { signal } = {}) {
+    // Pick up models pulled since the last discovery before rejecting a name
+    if (this.models.length === 0 || (args.model && !this.models.includes(args.model))) {
+      try {
+        await this.refreshModels({ signal });
+      } catch (error) {
+        throw this.mapError(error);
+      }
+    }
+
+    if (this.models.length === 0) {
+      throw new ValidationError('No models available on the local model server');
+    }
+
+    return super.validateRequest(args);
+  }
+
+  async complete(request, { onChunk, signal } = {}) {
+    const { model, temperature } = request;
+    const { apiFormat } = this.client;
+    // Local models are text-only, so images from earlier session turns are left out
+    const messages = withSystemMessage(request).map(({ role, content }) => ({ role, content }));
+    const stream = !!onChunk;
+
+    if (apiFormat === LOCAL_API_FORMATS.OLLAMA) {
+      const payload = {
+        model,
+        messages,
+        stream,
+        options: {
+          temperature,
+          ...(request.maxTokens !== undefined && { num_predict: request.maxTokens }),
+          ...(request.topP !== undefined && { top_p: request.topP }),
+          ...(request.topK !== undefined && { top_k: request.topK }),
+          ...(request.stop !== undefined && { stop: request.stop }),
+          ...(request.seed !== undefined && { seed: request.seed }),
+          ...(request.presencePenalty !== undefined && { presence_penalty: request.presencePenalty }),
+          ...(request.frequencyPenalty !== undefined && { frequency_penalty: request.frequencyPenalty }),
+        },
+      };
+
+      if (stream) {
+        // Ollama streams newline-delimited JSON objects; the last one carries the counts
+        let last = {};
+        const text = await this.streamLines(ENDPOINTS[apiFormat].chat, payload, (line) => {
+          const event = JSON.parse(line);
+          // A model that fails mid-stream reports it in a line of its own
+          if (event.error) {
+            throw new APIError(`Local model server error: ${event.error}`, 'Local');
+          }
+          if (event.done) {
+            last = event;
+          }
+          return event.message?.content;
+        }, onChunk, signal);
+        return { text, model, ...describeOllamaResponse(last) };
+      }
+
+      const body = await this.request(ENDPOINTS[apiFormat].chat, payload, signal);
+      return {
+        text: body.message?.content ?? '',
+        model: body.model || model,
+        ...describeOllamaResponse(body),
+      };
+    }
+
+    // llama.cpp server and friends accept top_k alongside the OpenAI parameters
+    const payload = {
+      model,
+      messages,
+      temperature,
+      ...(request.maxTokens !== undefined && { max_tokens: request.maxTokens }),
+      ...(request.topP !== undefined && { top_p: request.topP }),
+      ...(request.topK !== undefined && { top_k: request.topK }),
+      ...(request.stop !== undefined && { stop: request.stop }),
+      ...(request.seed !== undefined && { seed: request.seed }),
+      ...(request.presencePenalty !== undefined && { presence_penalty: request.presencePenalty }),
+      ...(request.frequencyPenalty !== undefined && { frequency_penalty: request.frequencyPenalty }),
+    };
+
+    if (stream) {
+      // OpenAI-style servers stream server-sent events: "data: {...}" lines ending with "data: [DONE]"
+      let finishReason;
+      let usage;
+      const text = await this.streamLines(ENDPOINTS[apiFormat].chat, { ...payload, stream }, (line) => {
+        const data = line.replace(/^data:\s*/, '');
+        if (!line.startsWith('data:') || data === '[DONE]') {
+          return undefined;
+        }
+        const event = JSON.parse(data);
+        if (event.error) {
+          throw new APIError(`Local model server error: ${event.error.message ?? event.error}`, 'Local');
+        }
+        finishReason = event.choices?.[0]?.finish_reason || finishReason;
+        usage = event.usage || usage;
+        return event.choices?.[0]?.delta?.content;
+      }, onChunk, signal);
+      return { text, model, ...toResult(usage, finishReason) };
+    }
+
+    const body = await this.request(ENDPOINTS[apiFormat].chat, payload, signal);
+    return {
+      text: body.choices?.[0]?.message?.content ?? '',
+      model: body.model || model,
+      ...toResult(body.usage, body.choices?.[0]?.finish_reason),
+    };
+  }
+
+  /**
+   * Embeds texts with an embedding model served by the local server
+   * @param {string[]} texts
+   * @param {Object} [options]
+   * @param {string} [options.model]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{embeddings: number[][], usage?: {inputTokens: number, outputTokens: number}}>} - One vector per text
+   */
+  async embed(texts, { model = this.getDefaultEmbeddingModel(), signal } = {}) {
+    this.ensureConfigured();
+    const { apiFormat } = this.client;
+    const body = await this.request(ENDPOINTS[apiFormat].embeddings, { model, input: texts }, signal);
+    const inputTokens = apiFormat === LOCAL_API_FORMATS.OLLAMA ? body.prompt_eval_count : body.usage?.prompt_tokens;
+
+    return {
+      embeddings: apiFormat === LOCAL_API_FORMATS.OLLAMA ? body.embeddings : body.data.map(item => item.embedding),
+      ...(inputTokens !== undefined && { usage: { inputTokens, outputTokens: 0 } }),
+    };
+  }
+
+  getDefaultEmbeddingModel() {
+    return DEFAULTS.SEMANTIC_CACHE.LOCAL_EMBEDDING_MODEL;
+  }
+
+  async request(path, payload, signal) {
+    const response = await this.send(path, payload, signal);
+    return response.json();
+  }
+
+  /**
+   * Posts a streaming request and feeds each line of the response body
+   * through `parseLine`, forwarding the text it returns to `onChunk`.
+   * @returns {Promise<string>} - The complete text
+   */
+  async streamLines(path, payload, parseLine, onChunk, signal) {
+    const response = await this.send(path, payload, signal);
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    const handleLine = (line) => {
+      if (!line.trim()) {
+        return;
+      }
+      const delta = parseLine(line.trim());
+      if (delta) {
+        text += delta;
+        onChunk(delta);
+      }
+    };
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+
+    return text;
+  }
+
+  async send(path, payload, signal) {
+    const response = await this.fetch(`${this.client.baseUrl}${path}`, payload
+      ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload), signal }
+      : { method: 'GET', signal });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(detail || response.statusText || `HTTP ${response.status}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+
+    return response;
+  }
+
+  shouldFallback(error) {
+    // An unreachable server will not come back within this call
+    return (!(error instanceof AIBridgeError) && !error?.status) || super.shouldFallback(error);
+  }
+
+  mapError(error) {
+    if (error instanceof AIBridgeError) {
+      return error;
+    }
+    if (error.status === 404) {
+      return new APIError(`Local model not found: ${error.message}`, 'Local');
+    }
+    if (!error.status) {
+      // fetch rejects without a status when the server cannot be reached
+      return new APIError(`Local model server unreachable at ${this.client?.baseUrl}: ${error.message}`, 'Local');
+    }
+    return new APIError(`Local model server error: ${error.message}`, 'Local');
+  }
+}
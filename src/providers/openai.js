@@ -0,0 +1,227 @@
+import OpenAI from 'openai';
+import { BaseProvider } from './base.js';
+import { DEFAULTS, ERROR_MESSAGES } from '../constants.js';
+import { AIBridgeError, APIError, ConfigurationError } from '../errors.js';
+import { validateAPIKey } from '../validators.js';
+import { countChatTokens, getOpenAIEncoding } from '../tokens.js';
+import { normalizeFinishReason } from '../responseMetadata.js';
+
+/**
+ * Prepends the system prompt, if any, to the conversation in chat
+ * completions format. Models without system message support get it as a
+ * leading user message instead.
+ */
+export function withSystemMessage({ system, messages }, supportsSystem = true) {
+  if (!system) {
+    return messages;
+  }
+  return [{ role: supportsSystem ? 'system' : 'user', content: system }, ...messages];
+}
+
+/**
+ * Attaches images to their messages as chat completions content parts.
+ * `images` belong to the last message (the prompt); earlier session turns
+ * carry their own.
+ */
+export function withImages(messages, images) {
+  return messages.map(({ images: messageImages, ...message }, i) => {
+    const attached = i === messages.length - 1 && images ? images : messageImages;
+    if (!attached) {
+      return message;
+    }
+    const content = [
+      { type: 'text', text: message.content },
+      ...attached.map(({ mimeType, data }) => ({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } })),
+    ];
+    return { ...message, content };
+  });
+}
+
+/**
+ * Translates a validated response_format into the chat completions
+ * `response_format` parameter (JSON mode or structured outputs)
+ */
+export function toResponseFormat({ type, schema, name, strict }) {
+  if (type === 'json_object') {
+    return { type };
+  }
+  return { type, json_schema: { name, schema, ...(strict !== undefined && { strict }) } };
+}
+
+/**
+ * The `usage` and `finishReason` of a result from chat completions fields
+ */
+export function toResult(usage, finishReason) {
+  return {
+    ...(usage && { usage: { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens } }),
+    ...(finishReason && { finishReason: normalizeFinishReason(finishReason) }),
+  };
+}
+
+export class OpenAIProvider extends BaseProvider {
+  /**
+   * @param {Object} [options] - Overrides for subclasses targeting other endpoints
+   */
+  constructor(options = {}) {
+    super({
+      name: 'openai',
+      displayName: 'OpenAI',
+      toolName: 'ask_openai',
+      service: 'OPENAI',
+      description: 'Ask OpenAI GPT models a question',
+      parameters: ['system', 'max_tokens', 'top_p', 'stop', 'seed', 'presence_penalty', 'frequency_penalty', 'reasoning_effort', 'response_format', 'images'],
+      ...options,
+    });
+  }
+
+  get notConfiguredMessage() {
+    return ERROR_MESSAGES.OPENAI_NOT_CONFIGURED;
+  }
+
+  /**
+   * Whether streamed completions may ask for a final usage chunk
+   * (`stream_options.include_usage`)
+   */
+  get streamsUsage() {
+    return true;
+  }
+
+  initialize(env) {
+    this.client = null;
+
+    if (!env.OPENAI_API_KEY) {
+      return false;
+    }
+
+    // Gateways in front of OpenAI issue keys in their own formats
+    if (!env.OPENAI_BASE_URL) {
+      validateAPIKey(env.OPENAI_API_KEY, 'OPENAI');
+    }
+
+    this.client = new OpenAI({
+      apiKey: env.OPENAI_API_KEY,
+      ...(env.OPENAI_BASE_URL && { baseURL: env.OPENAI_BASE_URL }),
+    });
+    return true;
+  }
+
+  async complete(request, { onChunk, signal } = {}) {
+    const params = this.buildParams(request);
+
+    if (onChunk) {
+      const stream = await this.client.chat.completions.create({
+        ...params,
+        stream: true,
+        ...(this.streamsUsage && { stream_options: { include_usage: true } }),
+      }, { signal, maxRetries: 0 });
+      let text = '';
+      let finishReason;
+      let usage;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content || '';
+        finishReason = chunk.choices[0]?.finish_reason || finishReason;
+        usage = chunk.usage || usage;
+        text += delta;
+        onChunk(delta);
+      }
+      return { text, model: request.model, ...toResult(usage, finishReason) };
+    }
+
+    const completion = await this.client.chat.completions.create(params, { signal, maxRetries: 0 });
+
+    return {
+      text: completion.choices[0].message.content,
+      model: request.model,
+      ...toResult(completion.usage, completion.choices[0].finish_reason),
+    };
+  }
+
+  /**
+   * Embeds texts with the embeddings API
+   * @param {string[]} texts
+   * @param {Object} [options]
+   * @param {string} [options.model]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{embeddings: number[][], usage?: {inputTokens: number, outputTokens: number}}>} - One vector per text
+   */
+  async embed(texts, { model = this.getDefaultEmbeddingModel(), signal } = {}) {
+    this.ensureConfigured();
+    const response = await this.client.embeddings.create({ model, input: texts }, { signal, maxRetries: 0 });
+    return {
+      embeddings: response.data.map(item => item.embedding),
+      ...(response.usage && { usage: { inputTokens: response.usage.prompt_tokens, outputTokens: 0 } }),
+    };
+  }
+
+  getDefaultEmbeddingModel() {
+    return DEFAULTS.SEMANTIC_CACHE.OPENAI_EMBEDDING_MODEL;
+  }
+
+  /**
+   * Translates a validated request into chat completions parameters
+   */
+  buildParams(request) {
+    const { model } = request;
+    const capabilities = this.getModelInfo(model);
+
+    return {
+      model: model,
+      messages: withImages(withSystemMessage(request, capabilities.systemPrompt), request.images),
+      ...(request.temperature !== undefined && { temperature: request.temperature }),
+      // Reasoning models count hidden reasoning tokens against a separate limit
+      ...(request.maxTokens !== undefined && {
+        [capabilities.reasoning ? 'max_completion_tokens' : 'max_tokens']: request.maxTokens,
+      }),
+      ...(request.reasoningEffort !== undefined && { reasoning_effort: request.reasoningEffort }),
+      ...(request.topP !== undefined && { top_p: request.topP }),
+      ...(request.stop !== undefined && { stop: request.stop }),
+      ...(request.seed !== undefined && { seed: request.seed }),
+      ...(request.presencePenalty !== undefined && { presence_penalty: request.presencePenalty }),
+      ...(request.frequencyPenalty !== undefined && { frequency_penalty: request.frequencyPenalty }),
+      ...(request.responseFormat && { response_format: toResponseFormat(request.responseFormat) }),
+    };
+  }
+
+  countTokens(request) {
+    const encoding = getOpenAIEncoding(request.model);
+    const messages = withSystemMessage(request, this.getModelInfo(request.model).systemPrompt);
+    // Very long inputs are estimated, so counting them stays fast
+    const length = messages.reduce((total, message) => total + message.content.length, 0);
+    if (!encoding || length > DEFAULTS.TOKENS.MAX_ENCODED_LENGTH) {
+      return super.countTokens(request);
+    }
+
+    return {
+      inputTokens: countChatTokens(messages, encoding) + this.countImageTokens(request),
+      method: `tiktoken ${encoding}`,
+    };
+  }
+
+  isRetryable(error) {
+    // An exhausted quota is reported as a 429 but does not clear by waiting
+    if (error?.code === 'insufficient_quota') {
+      return false;
+    }
+    if (error?.name === 'APIConnectionError' || error?.name === 'APIConnectionTimeoutError') {
+      return true;
+    }
+    return super.isRetryable(error);
+  }
+
+  shouldFallback(error) {
+    return error?.code === 'insufficient_quota' || super.shouldFallback(error);
+  }
+
+  mapError(error) {
+    if (error instanceof AIBridgeError) {
+      return error;
+    }
+    if (error.status === 429) {
+      return new APIError(`${this.displayName} rate limit exceeded. Please try again later.`, this.displayName);
+    }
+    if (error.status === 401) {
+      return new ConfigurationError(`Invalid ${this.displayName} API key`);
+    }
+    return new APIError(`${this.displayName} API error: ${error.message}`, this.displayName);
+  }
+}
@@ -0,0 +1,116 @@
+import OpenAI from 'openai';
+import { OpenAIProvider } from './openai.js';
+import { ConfigurationError } from '../errors.js';
+
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Returns the environment variable prefix for a named endpoint,
+ * e.g. 'groq' -> 'OPENAI_COMPAT_GROQ_'
+ */
+export function getEndpointEnvPrefix(name) {
+  return `OPENAI_COMPAT_${name.toUpperCase()}_`;
+}
+
+/**
+ * Parses OPENAI_COMPATIBLE_PROVIDERS into a list of endpoint names.
+ * @param {Object} env
+ * @returns {string[]}
+ */
+export function getEndpointNames(env) {
+  const names = (env.OPENAI_COMPATIBLE_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const name of names) {
+    if (!PROVIDER_NAME_PATTERN.test(name)) {
+      throw new ConfigurationError(`Invalid OpenAI-compatible provider name: ${name}`);
+    }
+  }
+
+  return [...new Set(names)];
+}
+
+/**
+ * Any endpoint speaking the OpenAI chat completions API: Azure OpenAI,
+ * OpenRouter, Groq, DeepSeek, vLLM or an internal gateway. Each configured
+ * endpoint is registered as its own provider with an `ask_<name>` tool.
+ *
+ * Configuration is read from `OPENAI_COMPAT_<NAME>_*` variables:
+ * BASE_URL (required), MODELS (required, comma separated), API_KEY,
+ * DEFAULT_MODEL, API_VERSION, HEADERS (JSON object) and DISPLAY_NAME.
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(name) {
+    super({
+      name,
+      displayName: name,
+      toolName: `ask_${name}`,
+      envPrefix: getEndpointEnvPrefix(name),
+    });
+    this.models = [];
+    this.defaultModel = null;
+  }
+
+  get notConfiguredMessage() {
+    return `${this.displayName} endpoint not configured`;
+  }
+
+  initialize(env) {
+    this.client = null;
+
+    const setting = (key) => env[`${this.envPrefix}${key}`];
+    const baseURL = setting('BASE_URL');
+    if (!baseURL) {
+      return false;
+    }
+
+    this.displayName = setting('DISPLAY_NAME') || this.name;
+    this.description = `Ask ${this.displayName} (OpenAI-compatible endpoint) a question`;
+
+    this.models = (setting('MODELS') || '').split(',').map(model => model.trim()).filter(Boolean);
+    if (this.models.length === 0) {
+      throw new ConfigurationError(`${this.envPrefix}MODELS must list at least one model`);
+    }
+
+    this.defaultModel = setting('DEFAULT_MODEL') || this.models[0];
+    if (!this.models.includes(this.defaultModel)) {
+      throw new ConfigurationError(`${this.envPrefix}DEFAULT_MODEL must be one of ${this.models.join(', ')}`);
+    }
+
+    let headers;
+    try {
+      headers = setting('HEADERS') ? JSON.parse(setting('HEADERS')) : undefined;
+    } catch (error) {
+      throw new ConfigurationError(`${this.envPrefix}HEADERS must be a JSON object`);
+    }
+    if (headers !== undefined && (typeof headers !== 'object' || headers === null || Array.isArray(headers))) {
+      throw new ConfigurationError(`${this.envPrefix}HEADERS must be a JSON object`);
+    }
+
+    const apiVersion = setting('API_VERSION');
+
+    this.client = new OpenAI({
+      // Servers without authentication (e.g. vLLM) still need a non-empty key for the SDK
+      apiKey: setting('API_KEY') || 'unused',
+      baseURL,
+      ...(headers && { defaultHeaders: headers }),
+      ...(apiVersion && { defaultQuery: { 'api-version': apiVersion } }),
+    });
+    return true;
+  }
+
+  // Not every server implementing the API accepts stream_options
+  get streamsUsage() {
+    return false;
+  }
+
+  getDefaultModel() {
+    return this.defaultModel;
+  }
+
+  listModels() {
+    return this.models;
+  }
+}
@@ -0,0 +1,44 @@
+import { ConfigurationError } from '../errors.js';
+
+/**
+ * Keeps track of the providers known to the server, indexed both by
+ * provider name and by the MCP tool each one exposes.
+ */
+export class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.name)) {
+      throw new ConfigurationError(`Provider already registered: ${provider.name}`);
+    }
+    if (this.getByToolName(provider.toolName)) {
+      throw new ConfigurationError(`Tool already registered: ${provider.toolName}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  getByToolName(toolName) {
+    for (const provider of this.providers.values()) {
+      if (provider.toolName === toolName) {
+        return provider;
+      }
+    }
+    return undefined;
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  configured() {
+    return this.list().filter(provider => provider.isConfigured());
+  }
+}
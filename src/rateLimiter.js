@@ -1,43 +1,237 @@
-import { RateLimitError } from './errors.js';
+import { ConfigurationError, RateLimitError } from './errors.js';
 import { DEFAULTS, ERROR_MESSAGES } from './constants.js';
 
+const MINUTE_MS = 60000;
+
+/**
+ * Token bucket rate limiter.
+ *
+ * Each identifier has a bucket holding up to `maxRequests` tokens that
+ * refills continuously at `maxRequests` per `windowMs`. A call takes one
+ * token (or `amount`, e.g. the tokens of a prompt) and is rejected when the
+ * bucket does not hold enough, so bursts up to the capacity are allowed
+ * and the average rate never exceeds the limit. Only the token count and
+ * the time of the last refill are stored per identifier.
+ */
 export class RateLimiter {
-  constructor(maxRequests = DEFAULTS.RATE_LIMIT.MAX_REQUESTS, windowMs = DEFAULTS.RATE_LIMIT.WINDOW_MS) {
+  /**
+   * @param {number} [maxRequests] - Capacity of each bucket, refilled once per window
+   * @param {number} [windowMs]
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Clock (injectable for tests)
+   */
+  constructor(maxRequests = DEFAULTS.RATE_LIMIT.MAX_REQUESTS, windowMs = DEFAULTS.RATE_LIMIT.WINDOW_MS, { now = Date.now } = {}) {
     this.maxRequests = maxRequests;
     this.windowMs = windowMs;
-    this.requests = new Map();
-  }
-
-  checkLimit(identifier = 'global') {
-    const now = Date.now();
-    const userRequests = this.requests.get(identifier) || [];
-    
-    // Remove old requests outside the window
-    const validRequests = userRequests.filter(timestamp => now - timestamp < this.windowMs);
-    
-    if (validRequests.length >= this.maxRequests) {
-      const oldestRequest = validRequests[0];
-      const resetTime = new Date(oldestRequest + this.windowMs);
-      throw new RateLimitError(
-        `${ERROR_MESSAGES.RATE_LIMIT_EXCEEDED} Reset at ${resetTime.toISOString()}`
-      );
+    this.now = now;
+    this.buckets = new Map();
+  }
+
+  // Adds the tokens that accumulated since the bucket was last used
+  refill(identifier) {
+    const now = this.now();
+    const bucket = this.buckets.get(identifier) ?? { tokens: this.maxRequests, updatedAt: now };
+    bucket.tokens = Math.min(this.maxRequests, bucket.tokens + ((now - bucket.updatedAt) * this.maxRequests) / this.windowMs);
+    bucket.updatedAt = now;
+    this.buckets.set(identifier, bucket);
+    return bucket;
+  }
+
+  // Milliseconds until the bucket holds `tokens` tokens
+  timeUntil(bucket, tokens) {
+    return Math.max(0, Math.ceil(((tokens - bucket.tokens) * this.windowMs) / this.maxRequests));
+  }
+
+  /**
+   * Milliseconds until `amount` can be taken
+   * @param {string} [identifier]
+   * @param {number} [amount]
+   * @returns {number} - 0 when it can be taken now, Infinity when it exceeds the capacity
+   */
+  getWaitMs(identifier = 'global', amount = 1) {
+    if (amount > this.maxRequests) {
+      return Infinity;
     }
-    
-    // Add current request
-    validRequests.push(now);
-    this.requests.set(identifier, validRequests);
-    
+    return this.timeUntil(this.refill(identifier), amount);
+  }
+
+  /**
+   * Takes `amount` without checking the limit; see checkLimit
+   * @returns {{remaining: number, reset: Date}} - `reset` is when the bucket is full again
+   */
+  consume(identifier = 'global', amount = 1) {
+    const bucket = this.refill(identifier);
+    bucket.tokens -= amount;
+
     return {
-      remaining: this.maxRequests - validRequests.length,
-      reset: new Date(validRequests[0] + this.windowMs)
+      remaining: Math.max(0, Math.floor(bucket.tokens)),
+      reset: new Date(this.now() + this.timeUntil(bucket, this.maxRequests)),
     };
   }
 
+  /**
+   * Takes `amount` from the bucket of `identifier`, or throws a
+   * RateLimitError when it does not hold enough
+   * @param {string} [identifier]
+   * @param {number} [amount]
+   * @returns {{remaining: number, reset: Date}}
+   */
+  checkLimit(identifier = 'global', amount = 1) {
+    const waitMs = this.getWaitMs(identifier, amount);
+    if (waitMs > 0) {
+      const resetTime = Number.isFinite(waitMs) ? new Date(this.now() + waitMs) : null;
+      throw new RateLimitError(
+        resetTime ? `${ERROR_MESSAGES.RATE_LIMIT_EXCEEDED} Reset at ${resetTime.toISOString()}` : ERROR_MESSAGES.RATE_LIMIT_EXCEEDED
+      );
+    }
+    return this.consume(identifier, amount);
+  }
+
+  /**
+   * Tokens left in the bucket of an identifier
+   * @param {string} [identifier]
+   * @returns {number}
+   */
+  getRemaining(identifier = 'global') {
+    return Math.max(0, Math.floor(this.refill(identifier).tokens));
+  }
+
   reset(identifier) {
     if (identifier) {
-      this.requests.delete(identifier);
+      this.buckets.delete(identifier);
     } else {
-      this.requests.clear();
+      this.buckets.clear();
+    }
+  }
+}
+
+/**
+ * Settings of the server-wide limit from RATE_LIMIT_MAX_REQUESTS and
+ * RATE_LIMIT_WINDOW_MS
+ * @param {Object} [env]
+ * @returns {{maxRequests: number, windowMs: number}}
+ */
+export function getRateLimitOptions(env = process.env) {
+  return {
+    maxRequests: parseInt(env.RATE_LIMIT_MAX_REQUESTS) || DEFAULTS.RATE_LIMIT.MAX_REQUESTS,
+    windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS) || DEFAULTS.RATE_LIMIT.WINDOW_MS,
+  };
+}
+
+const isRate = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Provider quotas from RATE_LIMITS, a JSON object mapping a provider name
+ * (shared by all its models) or `provider:model` to requests per minute
+ * and/or tokens per minute, e.g.
+ * {"openai": {"rpm": 500}, "openai:gpt-4o": {"rpm": 100, "tpm": 30000}}
+ * @param {Object} [env]
+ * @returns {Array<{key: string, provider: string, model?: string, rpm?: number, tpm?: number}>}
+ */
+export function getProviderRateLimits(env = process.env) {
+  if (!env.RATE_LIMITS) {
+    return [];
+  }
+
+  let config;
+  try {
+    config = JSON.parse(env.RATE_LIMITS);
+  } catch (error) {
+    throw new ConfigurationError('RATE_LIMITS must be a JSON object');
+  }
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigurationError('RATE_LIMITS must be a JSON object');
+  }
+
+  return Object.entries(config).map(([key, limit]) => {
+    const { rpm, tpm } = limit ?? {};
+    if ((rpm === undefined && tpm === undefined) || ![rpm, tpm].every(value => value === undefined || isRate(value))) {
+      throw new ConfigurationError(`RATE_LIMITS.${key} must be {"rpm": <requests per minute>, "tpm": <tokens per minute>} with at least one positive integer`);
+    }
+    // Model names may contain colons themselves (llama3.1:8b), so only the first one separates the provider
+    const separator = key.indexOf(':');
+    const provider = separator === -1 ? key : key.slice(0, separator);
+    const model = separator === -1 ? undefined : key.slice(separator + 1);
+    if (!provider || model === '') {
+      throw new ConfigurationError(`RATE_LIMITS.${key}: keys must be a provider name or provider:model`);
     }
+    return { key, provider, ...(model && { model }), ...(rpm !== undefined && { rpm }), ...(tpm !== undefined && { tpm }) };
+  });
+}
+
+/**
+ * Requests-per-minute and tokens-per-minute limits per provider and per
+ * model, mirroring the quotas of the backends so that calls over quota are
+ * turned away (or sent down the fallback chain) before reaching them.
+ *
+ * Token limits count the prompt tokens plus the output tokens the call may
+ * generate (max_tokens or the default output reserve), as providers do when
+ * admitting a request.
+ */
+export class ProviderRateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.limits] - See getProviderRateLimits
+   * @param {Function} [options.now] - Clock (injectable for tests)
+   */
+  constructor({ limits = getProviderRateLimits(), now = Date.now } = {}) {
+    this.limits = limits.map(limit => ({
+      ...limit,
+      requests: limit.rpm && new RateLimiter(limit.rpm, MINUTE_MS, { now }),
+      tokens: limit.tpm && new RateLimiter(limit.tpm, MINUTE_MS, { now }),
+    }));
+    this.now = now;
+  }
+
+  /**
+   * Admits a call, taking a request and its tokens from every limit that
+   * applies, or throws a RateLimitError without taking anything
+   * @param {BaseProvider} provider
+   * @param {Object} request - Validated request
+   * @param {Object} [measurement] - Result of provider.measureRequest(request)
+   */
+  acquire(provider, request, measurement) {
+    const limits = this.limits.filter(limit => limit.provider === provider.name && (!limit.model || limit.model === request.model));
+    if (limits.length === 0) {
+      return;
+    }
+
+    let tokens = 0;
+    if (limits.some(limit => limit.tokens)) {
+      const { inputTokens, reservedOutputTokens } = measurement ?? provider.measureRequest(request);
+      tokens = inputTokens + reservedOutputTokens;
+    }
+
+    for (const limit of limits) {
+      if (limit.tokens && tokens > limit.tpm) {
+        throw new RateLimitError(`Request too large for the rate limit of ${limit.key}: it needs up to ${tokens} tokens, and the limit is ${limit.tpm} tokens per minute`);
+      }
+      const waits = [
+        limit.requests && [limit.requests.getWaitMs(limit.key), `${limit.rpm} requests per minute`],
+        limit.tokens && [limit.tokens.getWaitMs(limit.key, tokens), `${limit.tpm} tokens per minute (this call needs up to ${tokens})`],
+      ].filter(wait => wait && wait[0] > 0);
+      if (waits.length > 0) {
+        const waitMs = Math.max(...waits.map(([ms]) => ms));
+        throw new RateLimitError(
+          `Rate limit exceeded for ${limit.key}: ${waits.map(([, description]) => description).join(' and ')}. Reset at ${new Date(this.now() + waitMs).toISOString()}`
+        );
+      }
+    }
+
+    for (const limit of limits) {
+      limit.requests?.consume(limit.key);
+      limit.tokens?.consume(limit.key, tokens);
+    }
+  }
+
+  /**
+   * Remaining requests and tokens of every limit, for server_info
+   */
+  getStatus() {
+    return this.limits.map(({ key, rpm, tpm, requests, tokens }) => ({
+      key,
+      ...(rpm && { rpm, requestsRemaining: requests.getRemaining(key) }),
+      ...(tpm && { tpm, tokensRemaining: tokens.getRemaining(key) }),
+    }));
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,88 @@
+// Provider specific finish reasons mapped onto the OpenAI names
+const FINISH_REASON_ALIASES = {
+  stop: 'stop',
+  end_turn: 'stop',
+  length: 'length',
+  max_tokens: 'length',
+  content_filter: 'content_filter',
+  safety: 'content_filter',
+  recitation: 'content_filter',
+  blocklist: 'content_filter',
+  prohibited_content: 'content_filter',
+  spii: 'content_filter',
+  tool_calls: 'tool_calls',
+  function_call: 'tool_calls',
+};
+
+/**
+ * Normalizes the reason a backend gives for ending its answer: `stop`,
+ * `length` (hit max_tokens or the context window), `content_filter` (safety
+ * or recitation filters) or `tool_calls`. Other reasons are lowercased.
+ * @param {string|null|undefined} reason - e.g. 'stop', 'MAX_TOKENS', 'SAFETY'
+ * @returns {string|undefined}
+ */
+export function normalizeFinishReason(reason) {
+  if (!reason) {
+    return undefined;
+  }
+  const key = String(reason).toLowerCase();
+  return FINISH_REASON_ALIASES[key] ?? key;
+}
+
+/**
+ * Explains why an answer is incomplete, or returns null when it is not
+ * @param {string|undefined} finishReason - Normalized finish reason
+ * @returns {string|null}
+ */
+export function getTruncationWarning(finishReason) {
+  if (finishReason === 'length') {
+    return 'The answer was cut off because it reached the output token limit (max_tokens); it is incomplete.';
+  }
+  if (finishReason === 'content_filter') {
+    return "The answer was cut off or withheld by the provider's safety filter; it may be incomplete.";
+  }
+  return null;
+}
+
+/**
+ * Describes how an answer was produced, for the `_meta` of tool results
+ * @param {Object} details
+ * @param {string} details.provider
+ * @param {string} details.model - Model that actually answered
+ * @param {number} details.latencyMs
+ * @param {{inputTokens: number, outputTokens: number}} [details.usage]
+ * @param {string} [details.finishReason] - Normalized finish reason
+ * @returns {{provider: string, model: string, latencyMs: number, usage?: Object, finishReason?: string, truncated: boolean, warning?: string}}
+ */
+export function buildResponseMetadata({ provider, model, latencyMs, usage, finishReason }) {
+  const warning = getTruncationWarning(finishReason);
+
+  return {
+    provider,
+    model,
+    latencyMs,
+    ...(usage && { usage }),
+    ...(finishReason && { finishReason }),
+    truncated: warning !== null,
+    ...(warning && { warning }),
+  };
+}
+
+/**
+ * Renders response metadata as the text block that follows an answer
+ * @param {Object} metadata - Result of buildResponseMetadata
+ * @returns {string}
+ */
+export function formatResponseMetadata({ provider, model, latencyMs, usage, finishReason, warning }) {
+  const lines = [
+    'Response metadata:',
+    `- Model: ${provider} ${model}`,
+    `- Tokens: ${usage ? `${usage.inputTokens ?? '?'} prompt, ${usage.outputTokens ?? '?'} completion` : 'not reported'}`,
+    `- Latency: ${latencyMs}ms`,
+    `- Finish reason: ${finishReason ?? 'not reported'}`,
+  ];
+  if (warning) {
+    lines.push(`⚠️ ${warning}`);
+  }
+  return lines.join('\n');
+}
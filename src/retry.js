@@ -0,0 +1,116 @@
+import { DEFAULTS } from './constants.js';
+
+/**
+ * Reads the retry settings for a provider. `RETRY_MAX_ATTEMPTS` applies to
+ * every provider and can be overridden per provider with
+ * `<envPrefix>RETRY_MAX_ATTEMPTS` (e.g. OPENAI_RETRY_MAX_ATTEMPTS).
+ * @param {Object} env - Environment variables (usually process.env)
+ * @param {string} [envPrefix] - Provider specific prefix
+ * @returns {{maxAttempts: number, baseDelayMs: number, maxDelayMs: number}}
+ */
+export function getRetryPolicy(env, envPrefix = '') {
+  const maxAttempts = parseInt(env[`${envPrefix}RETRY_MAX_ATTEMPTS`] ?? env.RETRY_MAX_ATTEMPTS);
+
+  return {
+    maxAttempts: maxAttempts >= 1 ? maxAttempts : DEFAULTS.RETRY.MAX_ATTEMPTS,
+    baseDelayMs: parseInt(env.RETRY_BASE_DELAY_MS) || DEFAULTS.RETRY.BASE_DELAY_MS,
+    maxDelayMs: parseInt(env.RETRY_MAX_DELAY_MS) || DEFAULTS.RETRY.MAX_DELAY_MS,
+  };
+}
+
+/**
+ * Extracts the delay requested by the server from `retry-after-ms` or
+ * `Retry-After` (seconds or an HTTP date). Accepts both plain header objects
+ * (openai SDK errors) and fetch `Headers`.
+ * @param {Error} error
+ * @param {number} [now]
+ * @returns {number|null} - Delay in milliseconds, or null when not given
+ */
+export function getRetryAfterMs(error, now = Date.now()) {
+  const headers = error?.headers;
+  if (!headers) {
+    return null;
+  }
+  const header = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) ?? null;
+
+  const retryAfterMs = parseFloat(header('retry-after-ms'));
+  if (retryAfterMs >= 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = header('retry-after');
+  if (retryAfter === null) {
+    return null;
+  }
+  const seconds = parseFloat(retryAfter);
+  if (seconds >= 0) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with jitter: the delay before retry `attempt` (1-based)
+ * is drawn from the upper half of `baseDelayMs * 2^(attempt - 1)`, capped at
+ * `maxDelayMs`, so concurrent callers do not retry in lockstep.
+ */
+export function getBackoffDelayMs(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs `operation` until it succeeds, fails with an error `isRetryable`
+ * rejects, or `maxAttempts` is reached. The last error is rethrown as is.
+ *
+ * A server asking for a longer `Retry-After` than `maxDelayMs` is not
+ * waited for: the error is returned so the caller can move on.
+ * @param {Function} operation - Called with the 1-based attempt number
+ * @param {Object} options
+ * @param {number} options.maxAttempts
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {Function} [options.isRetryable] - Decides whether an error is transient
+ * @param {AbortSignal} [options.signal] - Stops retrying once aborted
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before waiting
+ * @returns {Promise<{result: *, attempts: number}>}
+ */
+export async function withRetry(operation, { maxAttempts, baseDelayMs, maxDelayMs, isRetryable = () => true, signal, onRetry }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { result: await operation(attempt), attempts: attempt };
+    } catch (error) {
+      if (attempt >= maxAttempts || signal?.aborted || !isRetryable(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      if (retryAfterMs > maxDelayMs) {
+        throw error;
+      }
+      const delayMs = retryAfterMs ?? getBackoffDelayMs(attempt, { baseDelayMs, maxDelayMs });
+
+      onRetry?.(error, attempt, delayMs);
+      await sleep(delayMs, signal);
+    }
+  }
+}
@@ -0,0 +1,272 @@
+import { DEFAULTS } from './constants.js';
+import { ConfigurationError } from './errors.js';
+import { buildCacheKey, getCacheOptions } from './cache.js';
+import logger from './logger.js';
+
+/**
+ * Cosine similarity of two vectors of the same length
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} - Between -1 and 1; 0 when either vector is all zeros
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * What must match exactly for a stored answer to be reused for a similar
+ * prompt: everything in the request except the prompt itself, i.e. the
+ * provider, model, parameters, system prompt, session history and the
+ * contents of attached files and images
+ * @param {BaseProvider} provider
+ * @param {Object} request - Validated request, with any session history
+ * @returns {string}
+ */
+export function buildScopeKey(provider, request) {
+  const { messages, attachments, ...fields } = request;
+  return buildCacheKey(provider, { ...fields, history: messages.slice(0, -1), files: attachments });
+}
+
+// Calls the provider directly, without budgets, rate limits or usage tracking
+const embedDirectly = async (provider, texts, options) => (await provider.embed(texts, options)).embeddings;
+
+/**
+ * Embedder backed by a provider with an `embed` method (OpenAI, local
+ * servers, OpenAI-compatible endpoints)
+ */
+export class ProviderEmbedder {
+  /**
+   * @param {BaseProvider} provider
+   * @param {string} [model] - Embedding model (default: the provider's)
+   * @param {Function} [embedTexts] - `(provider, texts, {model, signal, sessionId})` resolving to one vector per text; the server passes its own so embedding calls are budgeted, rate limited and recorded
+   */
+  constructor(provider, model, embedTexts = embedDirectly) {
+    this.provider = provider;
+    this.model = model;
+    this.embedTexts = embedTexts;
+    this.name = model ? `${provider.name} ${model}` : provider.name;
+  }
+
+  async embed(texts, { signal, sessionId } = {}) {
+    return this.embedTexts(this.provider, texts, { ...(this.model && { model: this.model }), signal, sessionId });
+  }
+}
+
+/**
+ * Settings of the semantic cache from the environment. Size, expiry and
+ * which temperatures are cached follow the response cache.
+ * SEMANTIC_CACHE_PROVIDERS lists the providers whose prompts may be
+ * embedded (comma separated); see SemanticCache for the default.
+ * @param {Object} [env]
+ */
+export function getSemanticCacheOptions(env = process.env) {
+  const threshold = parseFloat(env.SEMANTIC_CACHE_THRESHOLD);
+  if (env.SEMANTIC_CACHE_THRESHOLD !== undefined && !(threshold > 0 && threshold <= 1)) {
+    throw new ConfigurationError('SEMANTIC_CACHE_THRESHOLD must be a number above 0 and at most 1');
+  }
+
+  const { maxEntries, ttlMs, allowNondeterministic } = getCacheOptions(env);
+  const providers = env.SEMANTIC_CACHE_PROVIDERS
+    ? env.SEMANTIC_CACHE_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : null;
+
+  return {
+    threshold: env.SEMANTIC_CACHE_THRESHOLD === undefined ? DEFAULTS.SEMANTIC_CACHE.THRESHOLD : threshold,
+    providers,
+    maxEntries,
+    ttlMs,
+    allowNondeterministic,
+  };
+}
+
+/**
+ * Creates the semantic cache when SEMANTIC_CACHE=true or an embedder is
+ * given. The built-in embedder is the provider named by
+ * SEMANTIC_CACHE_EMBEDDER (default openai), using
+ * SEMANTIC_CACHE_EMBEDDING_MODEL when set.
+ * @param {Object} options
+ * @param {ProviderRegistry} options.providers
+ * @param {{name?: string, embed: Function}} [options.embedder] - Custom embedder: `embed(texts, {signal, sessionId})` resolves to one vector per text
+ * @param {Function} [options.embedTexts] - How the built-in embedder calls its provider (see ProviderEmbedder)
+ * @param {Object} [options.env]
+ * @returns {SemanticCache|null} - null when the semantic cache is off or no embedder is available
+ */
+export function createSemanticCache({ providers, embedder, embedTexts, env = process.env }) {
+  if (!embedder && env.SEMANTIC_CACHE !== 'true') {
+    return null;
+  }
+
+  if (!embedder) {
+    const name = env.SEMANTIC_CACHE_EMBEDDER || DEFAULTS.SEMANTIC_CACHE.EMBEDDER;
+    const provider = providers.get(name);
+    if (!provider || typeof provider.embed !== 'function') {
+      throw new ConfigurationError(`Invalid SEMANTIC_CACHE_EMBEDDER: ${name} does not provide embeddings`);
+    }
+    if (!provider.isConfigured()) {
+      if (process.env.NODE_ENV !== 'test') logger.warn(`Semantic cache disabled: ${provider.notConfiguredMessage}`);
+      return null;
+    }
+    embedder = new ProviderEmbedder(provider, env.SEMANTIC_CACHE_EMBEDDING_MODEL, embedTexts);
+  }
+
+  return new SemanticCache({ embedder, ...getSemanticCacheOptions(env) });
+}
+
+/**
+ * Cache of answers looked up by the meaning of the prompt rather than its
+ * exact text.
+ *
+ * Prompts are embedded, and a stored answer is reused when the cosine
+ * similarity of its prompt to the new one reaches `threshold` and the rest
+ * of the request (see buildScopeKey) is identical. Entries are kept in
+ * memory, expire after `ttlMs` and the least recently used are evicted
+ * beyond `maxEntries`.
+ *
+ * Embedding sends the prompt to the embedder, so prompts to the local
+ * provider, which are meant to stay on this machine, are only cached when
+ * the embedder is local too, unless `providers` lists the providers to
+ * cache explicitly.
+ */
+export class SemanticCache {
+  /**
+   * @param {Object} options
+   * @param {{name?: string, embed: Function}} options.embedder
+   * @param {number} [options.threshold]
+   * @param {number} [options.maxEntries]
+   * @param {number} [options.ttlMs]
+   * @param {boolean} [options.allowNondeterministic] - Also cache requests with a temperature above 0
+   * @param {string[]|null} [options.providers] - Providers whose prompts may be embedded (default: see above)
+   * @param {Function} [options.now] - Clock (injectable for tests)
+   */
+  constructor({
+    embedder,
+    threshold = DEFAULTS.SEMANTIC_CACHE.THRESHOLD,
+    maxEntries = DEFAULTS.CACHE.MAX_ENTRIES,
+    ttlMs = DEFAULTS.CACHE.TTL_MS,
+    allowNondeterministic = false,
+    providers = null,
+    now = Date.now,
+  }) {
+    this.embedder = embedder;
+    this.threshold = threshold;
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.allowNondeterministic = allowNondeterministic;
+    this.providers = providers;
+    this.now = now;
+    this.entries = [];
+    this.stats = { hits: 0, misses: 0, embeddingErrors: 0 };
+  }
+
+  /**
+   * Whether answers to a request may be cached
+   * @param {BaseProvider} provider
+   * @param {Object} request - Validated request
+   * @returns {boolean}
+   */
+  isCacheable(provider, request) {
+    return this.maxEntries > 0 && (request.temperature === 0 || this.allowNondeterministic) && this.mayEmbed(provider);
+  }
+
+  // Whether prompts to a provider may be sent to the embedder
+  mayEmbed(provider) {
+    if (this.providers) {
+      return this.providers.includes(provider.name);
+    }
+    return provider.name !== 'local' || this.embedder.provider?.name === 'local';
+  }
+
+  /**
+   * Embeds a prompt, or returns null when the embedder fails (or its call
+   * is over budget or rate limited) so the call can go ahead without the
+   * cache
+   * @param {string} prompt
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {string|null} [options.sessionId] - Session the embedding call is recorded under
+   * @returns {Promise<number[]|null>}
+   */
+  async embed(prompt, { signal, sessionId } = {}) {
+    try {
+      const [embedding] = await this.embedder.embed([prompt], { signal, sessionId });
+      return embedding;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      this.stats.embeddingErrors++;
+      if (process.env.NODE_ENV !== 'test') logger.warn(`Semantic cache embedding failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Finds the stored answer whose prompt is most similar to the embedded
+   * one, counting a hit or a miss
+   * @param {string} scope - Result of buildScopeKey
+   * @param {number[]} embedding
+   * @returns {{prompt: string, similarity: number, value: Object}|null}
+   */
+  find(scope, embedding) {
+    const now = this.now();
+    this.entries = this.entries.filter(entry => entry.expiresAt > now);
+
+    let best = null;
+    for (const entry of this.entries) {
+      if (entry.scope !== scope || entry.embedding.length !== embedding.length) {
+        continue;
+      }
+      const similarity = cosineSimilarity(entry.embedding, embedding);
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+        best = { entry, similarity };
+      }
+    }
+
+    if (!best) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move to the end so the array order tracks recency for eviction
+    this.entries = [...this.entries.filter(entry => entry !== best.entry), best.entry];
+    this.stats.hits++;
+    return { prompt: best.entry.prompt, similarity: Math.round(best.similarity * 1000) / 1000, value: best.entry.value };
+  }
+
+  /**
+   * Stores an answer under its prompt's embedding
+   * @param {string} scope - Result of buildScopeKey
+   * @param {string} prompt
+   * @param {number[]} embedding
+   * @param {Object} value
+   */
+  set(scope, prompt, embedding, value) {
+    this.entries = this.entries.filter(entry => entry.scope !== scope || entry.prompt !== prompt);
+    this.entries.push({ scope, prompt, embedding, value, expiresAt: this.now() + this.ttlMs });
+    if (this.entries.length > this.maxEntries) {
+      this.entries = this.entries.slice(-this.maxEntries);
+    }
+  }
+
+  /**
+   * Hit and miss counts and settings, for server_info
+   */
+  getStats() {
+    return {
+      enabled: true,
+      embedder: this.embedder.name ?? 'custom',
+      threshold: this.threshold,
+      ...(this.providers && { providers: this.providers }),
+      entries: this.entries.length,
+      ...this.stats,
+    };
+  }
+}
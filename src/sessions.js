@@ -0,0 +1,249 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { DEFAULTS } from './constants.js';
+import { ValidationError } from './errors.js';
+import logger from './logger.js';
+
+export const SESSION_TOOLS = [
+  {
+    name: 'list_sessions',
+    description: 'List stored conversation sessions',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'get_session',
+    description: 'Show the message history of a conversation session',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'The session to show',
+        },
+      },
+      required: ['session_id'],
+    },
+  },
+  {
+    name: 'fork_session',
+    description: 'Copy a conversation session so it can continue in a different direction',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'The session to copy',
+        },
+        new_session_id: {
+          type: 'string',
+          description: 'Id for the copy (generated if omitted)',
+        },
+      },
+      required: ['session_id'],
+    },
+  },
+  {
+    name: 'delete_session',
+    description: 'Delete a conversation session',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'The session to delete',
+        },
+      },
+      required: ['session_id'],
+    },
+  },
+];
+
+/**
+ * Server-side conversation history for the ask tools.
+ *
+ * Sessions live in memory and are optionally mirrored to a JSON file so they
+ * survive restarts. Each session keeps at most `maxMessages` messages; the
+ * oldest are dropped first, and the least recently updated session is evicted
+ * once `maxSessions` is reached. User messages keep the content that was
+ * sent, attached files included, and the images sent with them.
+ */
+export class SessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file to persist sessions to
+   * @param {number} [options.maxSessions]
+   * @param {number} [options.maxMessages] - Per session
+   */
+  constructor({
+    filePath = process.env.SESSION_STORE_PATH,
+    maxSessions = DEFAULTS.SESSIONS.MAX_SESSIONS,
+    maxMessages = DEFAULTS.SESSIONS.MAX_MESSAGES,
+  } = {}) {
+    this.filePath = filePath || null;
+    this.maxSessions = maxSessions;
+    this.maxMessages = maxMessages;
+    this.sessions = new Map();
+    this.pendingWrite = Promise.resolve();
+    // Tail of the queued turns of each session
+    this.turns = new Map();
+  }
+
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && process.env.NODE_ENV !== 'test') {
+        logger.warn(`Failed to load sessions from ${this.filePath}:`, error.message);
+      }
+      return;
+    }
+
+    // Oldest first, so Map order tracks recency and the cap keeps the most recent sessions
+    const sessions = (data.sessions || [])
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+      .slice(-this.maxSessions);
+    for (const session of sessions) {
+      session.messages = session.messages.slice(-this.maxMessages);
+      this.sessions.set(session.id, session);
+    }
+  }
+
+  has(id) {
+    return this.sessions.has(id);
+  }
+
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw new ValidationError(`Session not found: ${id}`);
+    }
+    return session;
+  }
+
+  /**
+   * Returns the messages of a session, or an empty history for new sessions
+   */
+  getMessages(id) {
+    return this.sessions.get(id)?.messages.map(({ role, content, images }) => ({ role, content, ...(images && { images }) })) || [];
+  }
+
+  /**
+   * Runs a turn once the earlier turns of the same session have finished, so
+   * each turn reads the history the previous one appended
+   * @param {string} id
+   * @param {Function} turn - Reads and appends to the session
+   * @returns {Promise<*>} - Result of `turn`
+   */
+  serialize(id, turn) {
+    const result = (this.turns.get(id) || Promise.resolve()).then(turn);
+    const tail = result.catch(() => {});
+    this.turns.set(id, tail);
+    tail.then(() => {
+      if (this.turns.get(id) === tail) {
+        this.turns.delete(id);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Appends messages to a session, creating it if needed
+   */
+  append(id, messages) {
+    const now = new Date().toISOString();
+    let session = this.sessions.get(id);
+
+    if (!session) {
+      this.evictIfFull();
+      session = { id, createdAt: now, updatedAt: now, messages: [] };
+    }
+
+    session.messages.push(...messages.map(message => ({ ...message, timestamp: now })));
+    if (session.messages.length > this.maxMessages) {
+      session.messages = session.messages.slice(-this.maxMessages);
+    }
+    session.updatedAt = now;
+
+    // Re-insert so Map order tracks recency for eviction
+    this.sessions.delete(id);
+    this.sessions.set(id, session);
+    this.persist();
+
+    return session;
+  }
+
+  list() {
+    return [...this.sessions.values()].map(session => ({
+      id: session.id,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      messageCount: session.messages.length,
+    }));
+  }
+
+  fork(id, newId = randomUUID()) {
+    const source = this.get(id);
+    if (this.sessions.has(newId)) {
+      throw new ValidationError(`Session already exists: ${newId}`);
+    }
+
+    this.evictIfFull();
+    const now = new Date().toISOString();
+    const fork = {
+      id: newId,
+      forkedFrom: id,
+      createdAt: now,
+      updatedAt: now,
+      messages: source.messages.map(message => ({ ...message })),
+    };
+    this.sessions.set(newId, fork);
+    this.persist();
+
+    return fork;
+  }
+
+  delete(id) {
+    this.get(id);
+    this.sessions.delete(id);
+    this.persist();
+  }
+
+  evictIfFull() {
+    while (this.sessions.size >= this.maxSessions) {
+      const oldest = this.sessions.keys().next().value;
+      this.sessions.delete(oldest);
+    }
+  }
+
+  /**
+   * Writes the sessions to disk. Writes are serialized and go through a
+   * temporary file so a crash never leaves a truncated store behind.
+   */
+  persist() {
+    if (!this.filePath) {
+      return this.pendingWrite;
+    }
+
+    const data = JSON.stringify({ sessions: [...this.sessions.values()] });
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(`${this.filePath}.tmp`, data, 'utf8');
+        await rename(`${this.filePath}.tmp`, this.filePath);
+      })
+      .catch((error) => {
+        if (process.env.NODE_ENV !== 'test') logger.warn(`Failed to persist sessions to ${this.filePath}:`, error.message);
+      });
+
+    return this.pendingWrite;
+  }
+}
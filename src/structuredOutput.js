@@ -0,0 +1,258 @@
+import { DEFAULTS } from './constants.js';
+
+export const RESPONSE_FORMAT_TYPES = ['json_object', 'json_schema'];
+
+/**
+ * Number of times invalid JSON output is sent back to the model for repair,
+ * from STRUCTURED_OUTPUT_MAX_REPAIRS
+ * @param {Object} [env]
+ * @returns {number}
+ */
+export function getMaxRepairAttempts(env = process.env) {
+  const value = parseInt(env.STRUCTURED_OUTPUT_MAX_REPAIRS);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULTS.STRUCTURED_OUTPUT.MAX_REPAIR_ATTEMPTS;
+}
+
+/**
+ * Instruction added to the system prompt of JSON requests. Models follow
+ * the native JSON modes more reliably when also told about the format, and
+ * OpenAI's json_object mode requires the word "JSON" in the conversation.
+ * @param {{type: string, schema?: Object}} responseFormat
+ * @returns {string}
+ */
+export function buildFormatInstruction({ type, schema }) {
+  const instruction = 'Respond with a single valid JSON value only, without explanations or code fences.';
+
+  return type === 'json_schema'
+    ? `${instruction} It must conform to this JSON Schema:\n${JSON.stringify(schema)}`
+    : `${instruction} It must be a JSON object.`;
+}
+
+/**
+ * Asks the model to correct output that failed validation
+ * @param {string[]} errors
+ * @returns {string}
+ */
+export function buildRepairPrompt(errors) {
+  return [
+    'Your previous reply was not valid:',
+    ...errors.map(error => `- ${error}`),
+    'Reply again with only the corrected JSON, without explanations or code fences.',
+  ].join('\n');
+}
+
+/**
+ * Parses model output as JSON and checks it against the requested format.
+ * Markdown code fences around the JSON are tolerated.
+ * @param {string} text
+ * @param {{type: string, schema?: Object}} responseFormat
+ * @returns {{value: *, errors: string[]}}
+ */
+export function parseStructuredOutput(text, { type, schema }) {
+  const json = text.trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { value: undefined, errors: [`Output is not valid JSON: ${error.message}`] };
+  }
+
+  if (type === 'json_object') {
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+    return { value, errors: isObject ? [] : [`$ must be an object`] };
+  }
+  return { value, errors: validateAgainstSchema(value, schema) };
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeOf(value) === type;
+}
+
+function resolveRef(ref, root) {
+  if (ref === '#') {
+    return root;
+  }
+  const match = ref.match(/^#\/(\$defs|definitions)\/(.+)$/);
+  return match ? root[match[1]]?.[match[2]] : undefined;
+}
+
+/**
+ * Finds a $ref in a schema that does not resolve, or that leads back to
+ * itself without descending into a property or item (through $refs, allOf,
+ * anyOf or oneOf), which no value could ever satisfy. Recursive schemas
+ * such as trees, whose $refs are nested in properties or items, are fine.
+ * @param {Object} root
+ * @returns {string|null} - Description of the problem
+ */
+export function findRefProblem(root) {
+  const done = new Set();
+  const visiting = new Set();
+  // Subschemas that apply to the same value as `schema`
+  const sameValue = schema => [
+    typeof schema.$ref === 'string' ? resolveRef(schema.$ref, root) : undefined,
+    ...[schema.allOf, schema.anyOf, schema.oneOf].flatMap(list => (Array.isArray(list) ? list : [])),
+  ].filter(subschema => subschema && typeof subschema === 'object');
+  const isCyclic = (schema) => {
+    if (done.has(schema)) {
+      return false;
+    }
+    if (visiting.has(schema)) {
+      return true;
+    }
+    visiting.add(schema);
+    const cyclic = sameValue(schema).some(isCyclic);
+    visiting.delete(schema);
+    done.add(schema);
+    return cyclic;
+  };
+
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') {
+      return null;
+    }
+    if (typeof node.$ref === 'string') {
+      if (!resolveRef(node.$ref, root)) {
+        return `unresolvable $ref ${node.$ref}`;
+      }
+      if (isCyclic(node)) {
+        return `circular $ref ${node.$ref}`;
+      }
+    }
+    for (const child of Object.values(node)) {
+      const problem = walk(child);
+      if (problem) {
+        return problem;
+      }
+    }
+    return null;
+  };
+  return walk(root);
+}
+
+/**
+ * Validates a value against the commonly used subset of JSON Schema: type,
+ * enum, const, object properties (required, additionalProperties), array
+ * items and bounds, string length and pattern, numeric bounds, anyOf,
+ * oneOf, allOf and local $refs into $defs or definitions. Unknown keywords
+ * are ignored.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Location of `value` used in messages
+ * @param {Object} [root] - Schema that $refs resolve against
+ * @param {string[]} [followed] - $refs already followed for this value, to stop at cycles
+ * @returns {string[]} - One message per violation; empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = '$', root = schema, followed = []) {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+  if (schema.$ref) {
+    if (followed.includes(schema.$ref)) {
+      return [`${path}: circular $ref ${schema.$ref}`];
+    }
+    const target = resolveRef(schema.$ref, root);
+    return target
+      ? validateAgainstSchema(value, target, path, root, [...followed, schema.$ref])
+      : [`${path}: unresolvable $ref ${schema.$ref}`];
+  }
+
+  const errors = [];
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (schema.nullable && value === null) {
+    return [];
+  }
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(...validateAgainstSchema(item, properties[key], `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(item, schema.additionalProperties, `${path}.${key}`, root));
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`, root)));
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path} must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  const matching = subschemas => subschemas.filter(subschema => validateAgainstSchema(value, subschema, path, root, followed).length === 0);
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => errors.push(...validateAgainstSchema(value, subschema, path, root, followed)));
+  }
+  if (schema.anyOf && matching(schema.anyOf).length === 0) {
+    errors.push(`${path} must match at least one of the anyOf schemas`);
+  }
+  if (schema.oneOf && matching(schema.oneOf).length !== 1) {
+    errors.push(`${path} must match exactly one of the oneOf schemas`);
+  }
+
+  return errors;
+}
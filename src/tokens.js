@@ -0,0 +1,131 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import o200kBase from 'js-tiktoken/ranks/o200k_base';
+import cl100kBase from 'js-tiktoken/ranks/cl100k_base';
+import { DEFAULTS } from './constants.js';
+
+export const COUNT_TOKENS_TOOL = {
+  name: 'count_tokens',
+  description: 'Count the tokens an ask call would send and check that it fits in the model\'s context window',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      provider: {
+        type: 'string',
+        description: 'Provider name as listed by server_info (e.g. openai, gemini, local)',
+      },
+      model: {
+        type: 'string',
+        description: "The model to count for (default: the provider's default model)",
+      },
+      prompt: {
+        type: 'string',
+        description: 'The prompt to count',
+      },
+      system: {
+        type: 'string',
+        description: 'System prompt to include',
+      },
+      max_tokens: {
+        type: 'integer',
+        description: 'Output tokens the call would request; reserved out of the context window',
+        minimum: 1,
+      },
+      attachments: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Attachments to include, as for the ask tools',
+      },
+      session_id: {
+        type: 'string',
+        description: 'Include the history of this conversation session',
+      },
+    },
+    required: ['provider', 'prompt'],
+  },
+};
+
+// Arguments of count_tokens forwarded to the provider's request validation
+export const COUNTED_ARGUMENTS = ['model', 'prompt', 'system', 'max_tokens', 'attachments'];
+
+const RANKS = {
+  o200k_base: o200kBase,
+  cl100k_base: cl100kBase,
+};
+
+// Encoders are built on first use; loading the ranks takes a moment
+const encoders = new Map();
+
+/**
+ * Returns the tiktoken encoder for an encoding name
+ * @param {string} encoding - 'o200k_base' or 'cl100k_base'
+ * @returns {Tiktoken}
+ */
+export function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, new Tiktoken(RANKS[encoding]));
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * The tokenizer OpenAI uses for a model, or null when it is not known
+ * @param {string} model
+ * @returns {string|null}
+ */
+export function getOpenAIEncoding(model) {
+  if (/^(gpt-4o|chatgpt-4o|gpt-4\.[15]|o[134](-|$))/.test(model)) {
+    return 'o200k_base';
+  }
+  if (/^(gpt-4|gpt-3\.5)/.test(model)) {
+    return 'cl100k_base';
+  }
+  return null;
+}
+
+/**
+ * Rough token count for text whose tokenizer is not available locally
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / DEFAULTS.TOKENS.CHARS_PER_TOKEN);
+}
+
+const LONG_RUN = new RegExp(`\\S{${DEFAULTS.TOKENS.MAX_ENCODED_RUN},}`, 'g');
+
+/**
+ * Counts the tokens of a text with an encoder, estimating the runs without
+ * whitespace longer than MAX_ENCODED_RUN (base64, minified code, repeated
+ * characters) rather than encoding them, which could block the event loop
+ * for minutes
+ * @param {Tiktoken} encoder
+ * @param {string} text
+ * @returns {number}
+ */
+export function countTextTokens(encoder, text) {
+  let total = 0;
+  let start = 0;
+  for (const match of text.matchAll(LONG_RUN)) {
+    total += encoder.encode(text.slice(start, match.index)).length + estimateTokens(match[0]);
+    start = match.index + match[0].length;
+  }
+  return total + encoder.encode(text.slice(start)).length;
+}
+
+/**
+ * Counts the tokens of chat completions messages the way OpenAI bills them:
+ * the content of each message plus a few tokens of framing per message and
+ * for priming the reply.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {string} encoding
+ * @returns {number}
+ */
+export function countChatTokens(messages, encoding) {
+  const encoder = getEncoder(encoding);
+  const { MESSAGE_OVERHEAD, REPLY_OVERHEAD } = DEFAULTS.TOKENS;
+
+  return messages.reduce(
+    (total, message) => total + MESSAGE_OVERHEAD + encoder.encode(message.role).length + countTextTokens(encoder, message.content),
+    REPLY_OVERHEAD
+  );
+}
@@ -0,0 +1,238 @@
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { dirname } from 'path';
+import { ValidationError } from './errors.js';
+import { computeCost, findPrice, getPricing } from './pricing.js';
+import logger from './logger.js';
+
+export const USAGE_GROUPS = ['provider', 'model', 'session', 'day'];
+
+export const USAGE_TOOL = {
+  name: 'get_usage',
+  description: 'Show token usage and cost of model calls, aggregated by provider, model, session or day',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      group_by: {
+        type: 'array',
+        items: { type: 'string', enum: USAGE_GROUPS },
+        description: 'Fields to aggregate by (default: provider and model)',
+      },
+      since: {
+        type: 'string',
+        description: 'Only include calls at or after this ISO 8601 date or time',
+      },
+      until: {
+        type: 'string',
+        description: 'Only include calls before this ISO 8601 date or time',
+      },
+      provider: {
+        type: 'string',
+        description: 'Only include calls to this provider',
+      },
+      model: {
+        type: 'string',
+        description: 'Only include calls to this model',
+      },
+      session_id: {
+        type: 'string',
+        description: 'Only include calls made in this conversation session',
+      },
+    },
+  },
+};
+
+// Rounds dollar amounts for display, keeping fractions of a cent visible
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+function parseDate(value, name) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${name}: must be an ISO 8601 date or time`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validates the arguments of get_usage
+ * @param {Object} args - Tool arguments
+ * @returns {{groupBy: string[], since?: string, until?: string, provider?: string, model?: string, sessionId?: string}}
+ */
+export function parseUsageQuery(args = {}) {
+  const groupBy = args.group_by ?? ['provider', 'model'];
+  if (!Array.isArray(groupBy) || groupBy.some(field => !USAGE_GROUPS.includes(field)) || new Set(groupBy).size !== groupBy.length) {
+    throw new ValidationError(`Invalid group_by: must be a list of distinct fields out of ${USAGE_GROUPS.join(', ')}`);
+  }
+
+  const filters = {};
+  for (const [name, key] of [['provider', 'provider'], ['model', 'model'], ['session_id', 'sessionId']]) {
+    if (args[name] !== undefined) {
+      if (typeof args[name] !== 'string' || !args[name].trim()) {
+        throw new ValidationError(`Invalid ${name}: must be a non-empty string`);
+      }
+      filters[key] = args[name].trim();
+    }
+  }
+
+  return { groupBy, since: parseDate(args.since, 'since'), until: parseDate(args.until, 'until'), ...filters };
+}
+
+/**
+ * Ledger of the token usage and cost of every answered model call.
+ *
+ * Entries are kept in memory and, when `filePath` is set, appended to a
+ * JSONL file (one entry per line) that is read back on startup, so totals
+ * survive restarts. Cost is computed when the call is recorded, using the
+ * pricing table in effect at that time; calls to models without a price
+ * are recorded with a null cost.
+ */
+export class UsageLedger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSONL file to append entries to
+   * @param {Object} [options.pricing] - See getPricing
+   */
+  constructor({ filePath = process.env.USAGE_LEDGER_PATH, pricing = getPricing() } = {}) {
+    this.filePath = filePath || null;
+    this.pricing = pricing;
+    this.entries = [];
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    let data;
+    try {
+      data = await readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT' && process.env.NODE_ENV !== 'test') {
+        logger.warn(`Failed to load the usage ledger from ${this.filePath}:`, error.message);
+      }
+      return;
+    }
+
+    const loaded = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        loaded.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash is skipped rather than losing the whole ledger
+        if (process.env.NODE_ENV !== 'test') logger.warn(`Skipping unreadable usage ledger line in ${this.filePath}`);
+      }
+    }
+    this.entries = [...loaded, ...this.entries];
+  }
+
+  /**
+   * Records one answered call
+   * @param {Object} call
+   * @param {string} call.provider
+   * @param {string} call.model
+   * @param {{inputTokens: number, outputTokens: number}} call.usage
+   * @param {boolean} [call.estimated] - Whether the token counts were estimated because the backend did not report them
+   * @param {string|null} [call.sessionId]
+   * @returns {Object} - The ledger entry
+   */
+  record({ provider, model, usage, estimated = false, sessionId = null }) {
+    const price = findPrice(this.pricing, provider, model);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      provider,
+      model,
+      sessionId,
+      inputTokens: usage.inputTokens ?? 0,
+      outputTokens: usage.outputTokens ?? 0,
+      ...(estimated && { estimated }),
+      cost: price ? computeCost(price, usage) : null,
+    };
+
+    this.entries.push(entry);
+    this.persist(entry);
+    return entry;
+  }
+
+  /**
+   * Appends an entry to the ledger file. Appends are serialized so lines
+   * never interleave.
+   */
+  persist(entry) {
+    if (!this.filePath) {
+      return this.pendingWrite;
+    }
+
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+      })
+      .catch((error) => {
+        if (process.env.NODE_ENV !== 'test') logger.warn(`Failed to append to the usage ledger ${this.filePath}:`, error.message);
+      });
+
+    return this.pendingWrite;
+  }
+
+  /**
+   * Totals the entries matching the query, overall and per group
+   * @param {Object} query - Result of parseUsageQuery
+   * @returns {{totals: Object, groups: Array<Object>}}
+   */
+  summarize({ groupBy = ['provider', 'model'], since, until, provider, model, sessionId } = {}) {
+    const matching = this.entries.filter(entry => (!since || entry.timestamp >= since)
+      && (!until || entry.timestamp < until)
+      && (!provider || entry.provider === provider)
+      && (!model || entry.model === model)
+      && (!sessionId || entry.sessionId === sessionId));
+
+    const fieldOf = {
+      provider: entry => entry.provider,
+      model: entry => entry.model,
+      session: entry => entry.sessionId ?? null,
+      day: entry => entry.timestamp.slice(0, 10),
+    };
+    const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0, estimatedCalls: 0 });
+    const add = (totals, entry) => {
+      totals.calls++;
+      totals.inputTokens += entry.inputTokens;
+      totals.outputTokens += entry.outputTokens;
+      totals.cost += entry.cost ?? 0;
+      totals.unpricedCalls += entry.cost === null ? 1 : 0;
+      totals.estimatedCalls += entry.estimated ? 1 : 0;
+    };
+
+    const totals = emptyTotals();
+    const groups = new Map();
+    for (const entry of matching) {
+      add(totals, entry);
+      const fields = Object.fromEntries(groupBy.map(field => [field, fieldOf[field](entry)]));
+      const key = JSON.stringify(fields);
+      if (!groups.has(key)) {
+        groups.set(key, { ...fields, ...emptyTotals() });
+      }
+      add(groups.get(key), entry);
+    }
+
+    // Groups are ordered by their fields in turn, calls outside a session last
+    const compare = (a, b) => {
+      for (const field of groupBy) {
+        if (a[field] !== b[field]) {
+          return a[field] === null ? 1 : b[field] === null ? -1 : (a[field] < b[field] ? -1 : 1);
+        }
+      }
+      return 0;
+    };
+    const round = group => ({ ...group, cost: roundCost(group.cost) });
+    return {
+      totals: round(totals),
+      groups: [...groups.values()].sort(compare).map(round),
+    };
+  }
+}
@@ -1,6 +1,8 @@
 import { ValidationError } from './errors.js';
 import { DEFAULTS, ERROR_MESSAGES, MODELS } from './constants.js';
 import { securityCheck } from './security-optimized.js';
+import { RESPONSE_FORMAT_TYPES, findRefProblem } from './structuredOutput.js';
+import { IMAGE_MIME_TYPES, detectImageType, readImageFile } from './images.js';
 
 export function validatePrompt(prompt) {
   if (!prompt || typeof prompt !== 'string') {
@@ -49,11 +51,320 @@ export function validateTemperature(temperature, service = 'OPENAI') {
   return temp;
 }
 
-export function validateModel(model, service = 'OPENAI') {
-  const models = MODELS[service];
+export function validateSystemPrompt(system) {
+  if (system === undefined || system === null) {
+    return undefined;
+  }
+  
+  if (typeof system !== 'string' || system.trim().length === 0) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_SYSTEM_PROMPT);
+  }
+  
+  const trimmedSystem = system.trim();
+  
+  if (trimmedSystem.length > DEFAULTS.PROMPT.MAX_SYSTEM_LENGTH) {
+    throw new ValidationError(ERROR_MESSAGES.SYSTEM_PROMPT_TOO_LONG);
+  }
+  
+  // System prompts come from the same caller as the prompt, so they get the same checks
+  return securityCheck(trimmedSystem);
+}
+
+function validateNumberInRange(value, name, min, max, { integer = false } = {}) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    throw new ValidationError(`Invalid ${name} value: must be a number`);
+  }
+  
+  const number = Number(value);
+  
+  if (isNaN(number) || (typeof value === 'string' && value.trim() === '')) {
+    throw new ValidationError(`Invalid ${name} value: must be a number`);
+  }
+  
+  if (integer && !Number.isInteger(number)) {
+    throw new ValidationError(`Invalid ${name} value: must be an integer`);
+  }
+  
+  if (number < min || number > max) {
+    throw new ValidationError(`Invalid ${name} value: must be between ${min} and ${max}`);
+  }
+  
+  return number;
+}
+
+export function validateMaxTokens(maxTokens, service = 'OPENAI') {
+  return validateNumberInRange(maxTokens, 'max_tokens', 1, DEFAULTS[service].MAX_TOKENS, { integer: true });
+}
+
+export function validateTopP(topP) {
+  return validateNumberInRange(topP, 'top_p', 0, 1);
+}
+
+export function validateTopK(topK, service = 'GEMINI') {
+  return validateNumberInRange(topK, 'top_k', 1, DEFAULTS[service].MAX_TOP_K, { integer: true });
+}
+
+export function validatePenalty(penalty, name, service = 'OPENAI') {
+  return validateNumberInRange(penalty, name, DEFAULTS[service].MIN_PENALTY, DEFAULTS[service].MAX_PENALTY);
+}
+
+export function validateSeed(seed) {
+  return validateNumberInRange(seed, 'seed', Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER, { integer: true });
+}
+
+export function validateChunking(chunking) {
+  if (chunking === undefined || chunking === null) {
+    return undefined;
+  }
+  
+  if (typeof chunking !== 'boolean') {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_CHUNKING);
+  }
+  
+  return chunking;
+}
+
+export function validateCacheMode(cache) {
+  if (cache === undefined || cache === null) {
+    return undefined;
+  }
+  
+  if (cache !== 'bypass' && cache !== 'refresh') {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_CACHE_MODE);
+  }
+  
+  return cache;
+}
+
+export function validateChunkTokens(chunkTokens) {
+  return validateNumberInRange(chunkTokens, 'chunk_tokens', DEFAULTS.CHUNKING.MIN_CHUNK_TOKENS, Number.MAX_SAFE_INTEGER, { integer: true });
+}
+
+export function validateReasoningEffort(effort) {
+  if (effort === undefined || effort === null) {
+    return undefined;
+  }
+  
+  if (!['low', 'medium', 'high'].includes(effort)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_REASONING_EFFORT);
+  }
+  
+  return effort;
+}
+
+export function validateStopSequences(stop, service = 'OPENAI') {
+  if (stop === undefined || stop === null) {
+    return undefined;
+  }
+  
+  const sequences = typeof stop === 'string' ? [stop] : stop;
+  const max = DEFAULTS[service].MAX_STOP_SEQUENCES;
+  
+  if (!Array.isArray(sequences) || sequences.some(sequence => typeof sequence !== 'string' || sequence.length === 0)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_STOP);
+  }
+  
+  if (sequences.length > max) {
+    throw new ValidationError(`${ERROR_MESSAGES.INVALID_STOP}: at most ${max} sequences allowed`);
+  }
+  
+  if (sequences.some(sequence => sequence.length > DEFAULTS.PROMPT.MAX_STOP_SEQUENCE_LENGTH)) {
+    throw new ValidationError(
+      `${ERROR_MESSAGES.INVALID_STOP}: sequences must be at most ${DEFAULTS.PROMPT.MAX_STOP_SEQUENCE_LENGTH} characters`
+    );
+  }
+  
+  return sequences;
+}
+
+/**
+ * Validates the images argument of the ask tools. Each image is either
+ * base64 `data` (a data: URL is accepted too) or the `path` of a file inside
+ * IMAGE_INPUT_DIR. The type is detected from the content, and must match
+ * `mime_type` when one is given.
+ * @returns {Array<{mimeType: string, data: string}>|undefined} - Base64 encoded images
+ */
+export function validateImages(images) {
+  if (images === undefined || images === null) {
+    return undefined;
+  }
+  
+  if (!Array.isArray(images) || images.length === 0 || images.length > DEFAULTS.IMAGES.MAX_IMAGES) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_IMAGES);
+  }
+  
+  const { MAX_BYTES, MAX_TOTAL_BYTES } = DEFAULTS.IMAGES;
+  let totalBytes = 0;
+  
+  return images.map((image, index) => {
+    const invalid = reason => new ValidationError(`Invalid image ${index + 1}: ${reason}`);
+    if (!image || typeof image !== 'object' || (image.data === undefined) === (image.path === undefined)) {
+      throw invalid('must have either data or path');
+    }
+    if (image.mime_type !== undefined && !IMAGE_MIME_TYPES.includes(image.mime_type)) {
+      throw invalid(`mime_type must be one of ${IMAGE_MIME_TYPES.join(', ')}`);
+    }
+    
+    let bytes;
+    let declaredType = image.mime_type;
+    if (image.path !== undefined) {
+      if (typeof image.path !== 'string' || !image.path.trim()) {
+        throw invalid('path must be a non-empty string');
+      }
+      bytes = readImageFile(image.path.trim());
+    } else {
+      const dataUrl = typeof image.data === 'string' ? image.data.match(/^data:([^;,]+);base64,/) : null;
+      const base64 = typeof image.data === 'string' ? image.data.slice(dataUrl?.[0].length ?? 0).replace(/\s/g, '') : '';
+      if (!base64 || base64.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+        throw invalid('data must be base64 encoded');
+      }
+      // Check the size before decoding
+      if ((base64.length / 4) * 3 > MAX_BYTES + 2) {
+        throw invalid(`must be at most ${MAX_BYTES} bytes`);
+      }
+      bytes = Buffer.from(base64, 'base64');
+      declaredType ??= dataUrl?.[1];
+    }
     
+    const mimeType = detectImageType(bytes);
+    if (!mimeType) {
+      throw invalid(`must be one of ${IMAGE_MIME_TYPES.join(', ')}`);
+    }
+    if (declaredType && declaredType !== mimeType) {
+      throw invalid(`content is ${mimeType}, not ${declaredType}`);
+    }
+    if (bytes.length > MAX_BYTES) {
+      throw invalid(`must be at most ${MAX_BYTES} bytes`);
+    }
+    
+    totalBytes += bytes.length;
+    if (totalBytes > MAX_TOTAL_BYTES) {
+      throw new ValidationError(`${ERROR_MESSAGES.INVALID_IMAGES}: at most ${MAX_TOTAL_BYTES} bytes in total`);
+    }
+    
+    return { mimeType, data: bytes.toString('base64') };
+  });
+}
+
+// Compiles every `pattern` in a schema the way validateAgainstSchema does,
+// so an invalid one is reported before the model is called
+function validateSchemaPatterns(schema) {
+  if (Array.isArray(schema)) {
+    schema.forEach(validateSchemaPatterns);
+    return;
+  }
+  if (schema === null || typeof schema !== 'object') {
+    return;
+  }
+  if (typeof schema.pattern === 'string') {
+    try {
+      new RegExp(schema.pattern, 'u');
+    } catch (error) {
+      throw new ValidationError(`${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: invalid pattern ${JSON.stringify(schema.pattern)} (${error.message})`);
+    }
+  }
+  Object.values(schema).forEach(validateSchemaPatterns);
+}
+
+/**
+ * Validates the response_format argument of the ask tools
+ * @returns {{type: string, schema?: Object, name: string, strict?: boolean}|undefined}
+ */
+export function validateResponseFormat(format) {
+  if (format === undefined || format === null) {
+    return undefined;
+  }
+  
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(format) || !RESPONSE_FORMAT_TYPES.includes(format.type)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_RESPONSE_FORMAT);
+  }
+  
+  if (format.type === 'json_object') {
+    return { type: format.type, name: 'response' };
+  }
+  
+  if (!isObject(format.schema)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_RESPONSE_FORMAT);
+  }
+  if (format.name !== undefined && (typeof format.name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(format.name))) {
+    throw new ValidationError(`${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: name must be 1-64 letters, digits, _ or -`);
+  }
+  if (format.strict !== undefined && typeof format.strict !== 'boolean') {
+    throw new ValidationError(`${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: strict must be a boolean`);
+  }
+  // The parsed value is returned as the tool's structuredContent, which must be an object
+  if (format.schema.type !== 'object') {
+    throw new ValidationError(`${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: the top-level schema must have type object`);
+  }
+  
+  const serialized = JSON.stringify(format.schema);
+  if (serialized.length > DEFAULTS.STRUCTURED_OUTPUT.MAX_SCHEMA_LENGTH) {
+    throw new ValidationError(
+      `${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: schema must be at most ${DEFAULTS.STRUCTURED_OUTPUT.MAX_SCHEMA_LENGTH} characters`
+    );
+  }
+  // Descriptions in the schema reach the model as well, so they get the prompt checks
+  securityCheck(serialized);
+  validateSchemaPatterns(format.schema);
+  const refProblem = findRefProblem(format.schema);
+  if (refProblem) {
+    throw new ValidationError(`${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: ${refProblem}`);
+  }
+  
+  return {
+    type: format.type,
+    schema: format.schema,
+    name: format.name ?? 'response',
+    ...(format.strict !== undefined && { strict: format.strict }),
+  };
+}
+
+/**
+ * Validates a {provider, model} pair naming the model a call should use
+ * @param {*} target
+ * @param {string} [message] - Error message for invalid targets
+ * @returns {{provider: string, model: string|undefined}}
+ */
+export function validateProviderTarget(target, message = ERROR_MESSAGES.INVALID_PROVIDER_TARGET) {
+  if (!target || typeof target.provider !== 'string' || !target.provider.trim()) {
+    throw new ValidationError(message);
+  }
+  if (target.model !== undefined && (typeof target.model !== 'string' || !target.model.trim())) {
+    throw new ValidationError(message);
+  }
+  return { provider: target.provider.trim().toLowerCase(), model: target.model?.trim() };
+}
+
+/**
+ * Validates the provider/model pairs of a compare_models or consensus call
+ * @returns {Array<{provider: string, model: string|undefined}>}
+ */
+export function validateComparisonTargets(models) {
+  if (!Array.isArray(models) || models.length < 2 || models.length > DEFAULTS.COMPARE.MAX_MODELS) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_COMPARE_MODELS);
+  }
+  
+  const targets = models.map(target => validateProviderTarget(target, ERROR_MESSAGES.INVALID_COMPARE_MODELS));
+  
+  const keys = targets.map(({ provider, model }) => `${provider}:${model ?? ''}`);
+  if (new Set(keys).size !== keys.length) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_COMPARE_MODELS);
+  }
+  
+  return targets;
+}
+
+export function validateModel(model, service = 'OPENAI', { models = MODELS[service], defaultModel = DEFAULTS[service].MODEL } = {}) {
   if (!model) {
-    return DEFAULTS[service].MODEL;
+    if (!defaultModel) {
+      throw new ValidationError('Invalid model: no model specified and no default model available');
+    }
+    return defaultModel;
   }
   
   if (!models.includes(model)) {
@@ -63,6 +374,14 @@ export function validateModel(model, service = 'OPENAI') {
   return model;
 }
 
+export function validateSessionId(sessionId) {
+  if (typeof sessionId !== 'string' || !DEFAULTS.SESSIONS.ID_PATTERN.test(sessionId)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_SESSION_ID);
+  }
+  
+  return sessionId;
+}
+
 export function validateAPIKey(key, service) {
   if (!key) {
     return false;
@@ -0,0 +1,176 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { formatAttachments, getAttachmentRoots, globToRegExp, isBinary, loadAttachments } from '../src/attachments.js';
+import { ERROR_MESSAGES } from '../src/constants.js';
+import { ValidationError } from '../src/errors.js';
+
+describe('attachments', () => {
+  let root;
+  let project;
+  let docs;
+
+  beforeAll(() => {
+    root = mkdtempSync(join(tmpdir(), 'ai-bridge-attachments-'));
+    project = join(root, 'project');
+    docs = join(root, 'docs');
+    mkdirSync(join(project, 'src', 'lib'), { recursive: true });
+    mkdirSync(join(project, '.git'));
+    mkdirSync(docs);
+    writeFileSync(join(project, 'src', 'index.js'), 'export default 1;\n');
+    writeFileSync(join(project, 'src', 'lib', 'util.js'), 'export const util = 2;\n');
+    writeFileSync(join(project, 'src', 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+    writeFileSync(join(project, 'src', '.env'), 'SECRET=1\n');
+    writeFileSync(join(project, '.git', 'config'), '[core]\n');
+    writeFileSync(join(docs, 'README.md'), '# Docs\n');
+    writeFileSync(join(root, 'outside.txt'), 'private\n');
+    symlinkSync(join(root, 'outside.txt'), join(project, 'src', 'escape.js'));
+  });
+
+  afterAll(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  const load = (entries, options) => loadAttachments(entries, { roots: [project, docs], maxBytes: 1000, ...options });
+  const paths = files => files.map(file => file.path);
+
+  describe('helpers', () => {
+    test('should read the roots from ATTACHMENT_ROOTS', () => {
+      expect(getAttachmentRoots({ ATTACHMENT_ROOTS: '/a, /b ,' })).toEqual(['/a', '/b']);
+      expect(getAttachmentRoots({})).toEqual([]);
+    });
+
+    test('should convert glob patterns', () => {
+      expect(globToRegExp('src/*.js').test('src/index.js')).toBe(true);
+      expect(globToRegExp('src/*.js').test('src/lib/util.js')).toBe(false);
+      expect(globToRegExp('src/**/*.js').test('src/index.js')).toBe(true);
+      expect(globToRegExp('src/**/*.js').test('src/lib/util.js')).toBe(true);
+      expect(globToRegExp('file?.[jt]s').test('file1.ts')).toBe(true);
+      expect(globToRegExp('a.b').test('aXb')).toBe(false);
+    });
+
+    test('should reject malformed glob patterns', () => {
+      expect(() => globToRegExp('src/[z-a].js')).toThrow(ValidationError);
+      expect(() => globToRegExp('src/[z-a].js')).toThrow('Invalid attachments: src/[z-a].js is not a valid glob pattern');
+    });
+
+    test('should detect binary content', () => {
+      expect(isBinary(Buffer.from('plain text ✓'))).toBe(false);
+      expect(isBinary(Buffer.from([0x61, 0x00, 0x62]))).toBe(true);
+      expect(isBinary(Buffer.from([0xff, 0xfe, 0x41]))).toBe(true);
+    });
+
+    test('should wrap files in delimiters after the prompt', () => {
+      expect(formatAttachments('Review this', [{ path: 'src/a.js', content: 'x', bytes: 1 }])).toBe(
+        'Review this\n\nAttached files (1):\n\n===== BEGIN FILE: src/a.js (1 bytes) =====\nx\n===== END FILE: src/a.js ====='
+      );
+    });
+  });
+
+  describe('loading', () => {
+    test('should read paths relative to any root, or absolute', () => {
+      const files = load(['src/index.js', 'README.md', join(project, 'src', 'lib', 'util.js')]);
+
+      expect(paths(files)).toEqual(['src/index.js', 'README.md', 'src/lib/util.js']);
+      expect(files[0]).toEqual({ path: 'src/index.js', content: 'export default 1;\n', bytes: 18 });
+    });
+
+    test('should expand glob patterns, skipping hidden and binary files', () => {
+      expect(paths(load(['src/**/*']))).toEqual(['src/index.js', 'src/lib/util.js']);
+      expect(() => load(['**/config'])).toThrow('**/config matches no files');
+    });
+
+    test('should not read files twice', () => {
+      expect(paths(load(['src/index.js', 'src/*.js']))).toEqual(['src/index.js']);
+    });
+
+    test('should refuse anything outside the roots', () => {
+      expect(() => load(['../outside.txt'])).toThrow('../outside.txt is outside ATTACHMENT_ROOTS');
+      expect(() => load([join(root, 'outside.txt')])).toThrow('is outside ATTACHMENT_ROOTS');
+      expect(() => load(['src/escape.js'])).toThrow('src/escape.js is outside ATTACHMENT_ROOTS');
+      expect(() => load([`${root}/*.txt`])).toThrow('is outside ATTACHMENT_ROOTS');
+      expect(() => load(['src/index.js'], { roots: [] })).toThrow('set ATTACHMENT_ROOTS');
+    });
+
+    test('should report missing, binary and oversized files', () => {
+      expect(() => load(['src/missing.js'])).toThrow('cannot read src/missing.js');
+      expect(() => load(['src/*.py'])).toThrow('src/*.py matches no files');
+      expect(() => load(['src/logo.png'])).toThrow('src/logo.png is a binary file');
+      expect(() => load(['src'])).toThrow('src is not a file');
+      expect(() => load(['src/index.js', 'src/lib/util.js'], { maxBytes: 30 }))
+        .toThrow('src/lib/util.js (23 bytes) exceeds the budget of 30 bytes per request');
+    });
+  });
+
+  describe('ask tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', ATTACHMENT_ROOTS: project };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    test('should append the attached files to the prompt', async () => {
+      await handler({ params: { name: 'ask_openai', arguments: { prompt: 'Review these files', attachments: ['src/**/*.js'] } } });
+
+      const { content } = server.openai.chat.completions.create.mock.calls[0][0].messages[0];
+      expect(content).toMatch(/^Review these files\n\nAttached files \(2\):\n\n===== BEGIN FILE: src\/index\.js \(18 bytes\) =====\nexport default 1;\n/);
+      expect(content).toContain('===== END FILE: src/lib/util.js =====');
+    });
+
+    test('should keep the attached files in the session', async () => {
+      await handler({ params: { name: 'ask_openai', arguments: { prompt: 'Review this', attachments: ['src/index.js'], session_id: 's1' } } });
+
+      const { content } = server.sessions.getMessages('s1')[0];
+      expect(content).toMatch(/^Review this\n\nAttached files \(1\):\n\n===== BEGIN FILE: src\/index\.js \(18 bytes\) =====\nexport default 1;\n/);
+    });
+
+    test('should reject invalid attachments', async () => {
+      const result = await handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hi', attachments: 'src/index.js' } } });
+
+      expect(result.content[0].text).toBe(`Error: ${ERROR_MESSAGES.INVALID_ATTACHMENTS}`);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BudgetTracker, DEFAULT_BUDGET_LEDGER_PATH, getBudgetLimits, getPeriodBounds } from '../src/budget.js';
+import { BudgetExceededError } from '../src/errors.js';
+import { DEFAULT_PRICING } from '../src/pricing.js';
+import { UsageLedger } from '../src/usage.js';
+
+const NOW = Date.parse('2026-10-19T15:00:00.000Z');
+
+const entry = (timestamp, provider, cost) => ({ timestamp, provider, model: 'gpt-4o', sessionId: null, inputTokens: 0, outputTokens: 0, cost });
+
+// A provider whose requests measure 1000 prompt tokens plus their max_tokens
+const fakeProvider = name => ({
+  name,
+  measureRequest: request => ({ inputTokens: 1000, reservedOutputTokens: request.maxTokens ?? 1024 }),
+});
+
+describe('budgets', () => {
+  describe('getBudgetLimits', () => {
+    test('should read global and provider limits', () => {
+      const limits = getBudgetLimits({
+        BUDGETS: JSON.stringify({ global: { daily: { soft: 5, hard: 10 }, monthly: { hard: 100 } }, openai: { daily: { soft: 1 } } })
+      });
+
+      expect(limits).toEqual([
+        { scope: 'global', period: 'daily', soft: 5, hard: 10 },
+        { scope: 'global', period: 'monthly', hard: 100 },
+        { scope: 'openai', period: 'daily', soft: 1 }
+      ]);
+      expect(getBudgetLimits({})).toEqual([]);
+    });
+
+    test('should reject malformed limits', () => {
+      expect(() => getBudgetLimits({ BUDGETS: '10' })).toThrow('BUDGETS must be a JSON object');
+      expect(() => getBudgetLimits({ BUDGETS: '{"global": {"weekly": {"hard": 1}}}' })).toThrow('BUDGETS.global.weekly: the period must be daily or monthly');
+      expect(() => getBudgetLimits({ BUDGETS: '{"global": {"daily": {}}}' })).toThrow('with at least one of the two');
+      expect(() => getBudgetLimits({ BUDGETS: '{"global": {"daily": {"hard": "10"}}}' })).toThrow('BUDGETS.global.daily must be');
+      expect(() => getBudgetLimits({ BUDGETS: '{"openai": {"daily": {"soft": 3, "hard": 2}}}' })).toThrow('the soft limit must not exceed the hard limit');
+    });
+  });
+
+  test('should bound days and months in UTC', () => {
+    expect(getPeriodBounds('daily', new Date('2026-12-31T23:30:00.000Z'))).toEqual({ start: '2026-12-31T00:00:00.000Z', end: '2027-01-01T00:00:00.000Z' });
+    expect(getPeriodBounds('monthly', new Date('2026-12-31T23:30:00.000Z'))).toEqual({ start: '2026-12-01T00:00:00.000Z', end: '2027-01-01T00:00:00.000Z' });
+  });
+
+  describe('BudgetTracker', () => {
+    let ledger;
+
+    beforeEach(() => {
+      ledger = new UsageLedger({ filePath: null, pricing: DEFAULT_PRICING });
+      ledger.entries = [
+        entry('2026-09-30T12:00:00.000Z', 'openai', 50),
+        entry('2026-10-01T12:00:00.000Z', 'gemini', 3),
+        entry('2026-10-19T01:00:00.000Z', 'openai', 1.5),
+        entry('2026-10-19T02:00:00.000Z', 'gemini', 0.25)
+      ];
+    });
+
+    const tracker = limits => new BudgetTracker({ ledger, limits, now: () => NOW });
+
+    test('should count the spend of the current period only', () => {
+      const budget = tracker([]);
+
+      expect(budget.getSpent('global', 'daily')).toBe(1.75);
+      expect(budget.getSpent('global', 'monthly')).toBe(4.75);
+      expect(budget.getSpent('openai', 'daily')).toBe(1.5);
+      expect(budget.getSpent('gemini', 'monthly')).toBe(3.25);
+    });
+
+    test('should reject calls that could exceed a hard limit', () => {
+      const budget = tracker([{ scope: 'openai', period: 'daily', hard: 1.51 }]);
+
+      // 1000 prompt and 1024 completion tokens of gpt-4o cost up to $0.01274
+      expect(() => budget.reserve(fakeProvider('openai'), { model: 'gpt-4o' })).toThrow(BudgetExceededError);
+      expect(() => budget.reserve(fakeProvider('openai'), { model: 'gpt-4o' })).toThrow(
+        'The daily openai budget of $1.51 would be exceeded: $1.50 spent, and this call to openai gpt-4o may cost up to $0.01. The budget resets at 2026-10-20T00:00:00.000Z.'
+      );
+      expect(() => budget.reserve(fakeProvider('openai'), { model: 'gpt-4o', maxTokens: 100 })).not.toThrow();
+      expect(() => budget.reserve(fakeProvider('gemini'), { model: 'gemini-1.5-pro' })).not.toThrow();
+    });
+
+    test('should count calls in progress against each other', () => {
+      const budget = tracker([{ scope: 'global', period: 'daily', hard: 1.77 }]);
+      const provider = fakeProvider('openai');
+      const request = { model: 'gpt-4o', maxTokens: 500 }; // up to $0.0075
+
+      const releaseFirst = budget.reserve(provider, request);
+      const releaseSecond = budget.reserve(provider, request);
+      expect(() => budget.reserve(provider, request)).toThrow('$1.75 spent and $0.01 in progress, and this call to openai gpt-4o may cost up to $0.0075');
+
+      releaseFirst();
+      releaseFirst();
+      expect(() => budget.reserve(provider, request)).not.toThrow();
+      expect(() => budget.reserve(provider, request)).toThrow(BudgetExceededError);
+      releaseSecond();
+    });
+
+    test('should let calls to free and unpriced models through', () => {
+      const budget = tracker([{ scope: 'global', period: 'monthly', hard: 4 }]);
+
+      expect(() => budget.reserve(fakeProvider('openai'), { model: 'gpt-4o-mini' })).toThrow(BudgetExceededError);
+      expect(() => budget.reserve(fakeProvider('local'), { model: 'llama3.1:8b' })).not.toThrow();
+      expect(() => budget.reserve(fakeProvider('groq'), { model: 'mixtral' })).not.toThrow();
+    });
+
+    test('should warn about budgets past their soft limit', () => {
+      const budget = tracker([
+        { scope: 'global', period: 'daily', soft: 1, hard: 10 },
+        { scope: 'gemini', period: 'daily', soft: 0.5 },
+        { scope: 'global', period: 'monthly', hard: 4 }
+      ]);
+
+      expect(budget.getWarnings()).toEqual(['$1.75 of the daily global budget spent, reaching its soft limit of $1.00 (hard limit $10.00).']);
+      expect(budget.getStatus()).toEqual([
+        { scope: 'global', period: 'daily', soft: 1, hard: 10, spent: 1.75, resetsAt: '2026-10-20T00:00:00.000Z' },
+        { scope: 'gemini', period: 'daily', soft: 0.5, spent: 0.25, resetsAt: '2026-10-20T00:00:00.000Z' },
+        { scope: 'global', period: 'monthly', hard: 4, spent: 4.75, resetsAt: '2026-11-01T00:00:00.000Z' }
+      ]);
+    });
+  });
+
+  describe('server', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let directory;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      directory = mkdtempSync(join(tmpdir(), 'ai-bridge-budget-'));
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+      rmSync(directory, { recursive: true, force: true });
+    });
+
+    const createServer = (budgets, env = {}) => {
+      process.env = {
+        ...originalEnv,
+        OPENAI_API_KEY: 'sk-test-key',
+        GOOGLE_AI_API_KEY: 'test-gemini-key',
+        RETRY_MAX_ATTEMPTS: '1',
+        BUDGETS: JSON.stringify(budgets),
+        USAGE_LEDGER_PATH: join(directory, `${expect.getState().currentTestName.replace(/\W+/g, '-')}.jsonl`),
+        ...env
+      };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+      return server;
+    };
+
+    const call = (name, args) => handler({ params: { name, arguments: args } });
+    const spend = (provider, cost) => server.usage.record({ provider, model: 'gpt-4o', usage: { inputTokens: 0, outputTokens: 0 } }) && Object.assign(server.usage.entries.at(-1), { cost });
+
+    test('should reject calls over a hard limit before calling the API', async () => {
+      createServer({ openai: { daily: { hard: 2 } } });
+      spend('openai', 1.995);
+
+      const result = await call('ask_openai', { prompt: 'Hello', model: 'gpt-4o' });
+
+      expect(result.content[0].text).toMatch(/^Error: The daily openai budget of \$2\.00 would be exceeded: \$2\.00 spent, and this call to openai gpt-4o may cost up to \$0\.01/);
+      expect(server.openai.chat.completions.create).not.toHaveBeenCalled();
+      expect(server.usage.entries).toHaveLength(1);
+    });
+
+    test('should fall back to a provider within budget', async () => {
+      createServer({ openai: { daily: { hard: 2 } } }, { ASK_OPENAI_FALLBACK: 'gemini:gemini-1.5-pro' });
+      spend('openai', 2);
+
+      const result = await call('ask_openai', { prompt: 'Hello', model: 'gpt-4o' });
+
+      expect(result.content[0].text).toBe('🤖 GEMINI RESPONSE (gemini-1.5-pro, fallback from OpenAI gpt-4o):\n\nMock Gemini response content');
+      expect(result._meta.fallbackFrom).toEqual([{ provider: 'openai', model: 'gpt-4o', error: expect.stringContaining('budget of $2.00 would be exceeded') }]);
+      expect(server.openai.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    test('should report failed models in compare_models without stopping the others', async () => {
+      createServer({ openai: { monthly: { hard: 1 } } });
+      spend('openai', 1);
+
+      const result = await call('compare_models', { prompt: 'Hello', models: [{ provider: 'openai' }, { provider: 'gemini' }] });
+
+      expect(result._meta.answers).toEqual([
+        expect.objectContaining({ label: 'OpenAI default model', error: expect.stringContaining('The monthly openai budget') }),
+        expect.objectContaining({ provider: 'gemini', model: 'gemini-1.5-flash-latest' })
+      ]);
+    });
+
+    test('should warn once a soft limit is reached', async () => {
+      createServer({ global: { daily: { soft: 1 } } });
+      spend('gemini', 0.5);
+
+      const quiet = await call('ask_gemini', { prompt: 'Hello' });
+      expect(quiet.content).toHaveLength(2);
+      expect(quiet._meta.budgetWarnings).toBeUndefined();
+
+      spend('gemini', 0.5);
+      const warned = await call('ask_gemini', { prompt: 'Hello' });
+
+      expect(warned.content).toHaveLength(3);
+      expect(warned.content[2].text).toMatch(/^⚠️ \$1\.00\d* of the daily global budget spent, reaching its soft limit of \$1\.00\.$/);
+      expect(warned._meta.budgetWarnings).toEqual([expect.stringContaining('daily global budget')]);
+
+      const info = await call('server_info', {});
+      expect(info.content).toHaveLength(1);
+    });
+
+    test('should keep the spend across restarts and report it in server_info', async () => {
+      createServer({ global: { monthly: { soft: 0.5, hard: 1 } } });
+      server.openai.chat.completions.create.mockResolvedValue({
+        choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 40000, completion_tokens: 10000 }
+      });
+      await call('ask_openai', { prompt: 'Hello', model: 'gpt-4o' });
+      await server.usage.pendingWrite;
+
+      const restarted = createServer({ global: { monthly: { soft: 0.5, hard: 1 } } });
+      await restarted.usage.load();
+      const info = JSON.parse((await call('server_info', {})).content[0].text.replace('🤖 AI BRIDGE SERVER INFO:\n\n', ''));
+
+      expect(info.budgets).toEqual({
+        limits: [{ scope: 'global', period: 'monthly', soft: 0.5, hard: 1, spent: 0.2, resetsAt: expect.any(String) }],
+        persistent: true
+      });
+    });
+
+    test('should persist the ledger by default when budgets are set', () => {
+      createServer({ global: { daily: { hard: 1 } } }, { USAGE_LEDGER_PATH: '' });
+      expect(server.usage.filePath).toBe(DEFAULT_BUDGET_LEDGER_PATH);
+
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key' };
+      delete process.env.BUDGETS;
+      delete process.env.USAGE_LEDGER_PATH;
+      expect(new AIBridgeServer().usage.filePath).toBeNull();
+    });
+  });
+});
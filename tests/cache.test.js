@@ -0,0 +1,263 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ResponseCache, buildCacheKey, getCacheOptions } from '../src/cache.js';
+
+const openai = { name: 'openai' };
+const gemini = { name: 'gemini' };
+
+const request = (overrides = {}) => ({
+  prompt: 'Hello',
+  messages: [{ role: 'user', content: 'Hello' }],
+  model: 'gpt-4o-mini',
+  temperature: 0,
+  ...overrides
+});
+
+describe('response cache', () => {
+  describe('buildCacheKey', () => {
+    test('should give equal requests the same key, whatever their key order', () => {
+      const { model, ...rest } = request({ maxTokens: 10, stop: ['END'] });
+
+      expect(buildCacheKey(openai, { model, ...rest })).toBe(buildCacheKey(openai, request({ stop: ['END'], maxTokens: 10 })));
+      expect(buildCacheKey(openai, request({ topP: undefined }))).toBe(buildCacheKey(openai, request()));
+      expect(buildCacheKey(openai, request())).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should tell apart requests that could be answered differently', () => {
+      const keys = [
+        buildCacheKey(openai, request()),
+        buildCacheKey(gemini, request()),
+        buildCacheKey(openai, request({ model: 'gpt-4o' })),
+        buildCacheKey(openai, request({ temperature: 0.2 })),
+        buildCacheKey(openai, request({ system: 'Be brief' })),
+        buildCacheKey(openai, request({ maxTokens: 10 })),
+        buildCacheKey(openai, request({ messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hey' }, { role: 'user', content: 'Hello' }] }))
+      ];
+
+      expect(new Set(keys).size).toBe(keys.length);
+    });
+  });
+
+  test('should read its settings from the environment', () => {
+    expect(getCacheOptions({})).toEqual({ filePath: null, maxEntries: 500, ttlMs: 3600000, allowNondeterministic: false });
+    expect(getCacheOptions({
+      RESPONSE_CACHE_PATH: '/tmp/cache.json',
+      RESPONSE_CACHE_MAX_ENTRIES: '0',
+      RESPONSE_CACHE_TTL_MS: '60000',
+      RESPONSE_CACHE_NONDETERMINISTIC: 'true'
+    })).toEqual({ filePath: '/tmp/cache.json', maxEntries: 0, ttlMs: 60000, allowNondeterministic: true });
+  });
+
+  describe('ResponseCache', () => {
+    let now;
+    const createCache = options => new ResponseCache({ maxEntries: 2, ttlMs: 1000, now: () => now, ...options });
+
+    beforeEach(() => {
+      now = 0;
+    });
+
+    test('should only cache deterministic requests unless opted in', () => {
+      expect(createCache().isCacheable(request())).toBe(true);
+      expect(createCache().isCacheable(request({ temperature: 0.7 }))).toBe(false);
+      expect(createCache().isCacheable(request({ temperature: undefined }))).toBe(false);
+      expect(createCache({ allowNondeterministic: true }).isCacheable(request({ temperature: 0.7 }))).toBe(true);
+      expect(createCache({ maxEntries: 0 }).isCacheable(request())).toBe(false);
+    });
+
+    test('should expire entries after the TTL', () => {
+      const cache = createCache();
+      cache.set('a', { text: 'A' });
+
+      now = 999;
+      expect(cache.get('a')).toEqual({ text: 'A' });
+      now = 1000;
+      expect(cache.get('a')).toBeNull();
+      expect(cache.entries.size).toBe(0);
+    });
+
+    test('should evict the least recently used entry', () => {
+      const cache = createCache();
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+      cache.set('c', 3);
+
+      expect([...cache.entries.keys()]).toEqual(['a', 'c']);
+      expect(cache.get('b')).toBeNull();
+      expect(cache.getStats()).toEqual({
+        enabled: true,
+        entries: 2,
+        maxEntries: 2,
+        ttlMs: 1000,
+        nondeterministic: false,
+        persistent: false,
+        hits: 1,
+        misses: 1,
+        evictions: 1,
+        hitRate: 0.5
+      });
+    });
+
+    test('should persist entries and skip expired ones when loading', async () => {
+      const directory = mkdtempSync(join(tmpdir(), 'ai-bridge-cache-'));
+      try {
+        const filePath = join(directory, 'nested', 'cache.json');
+        const cache = createCache({ filePath });
+        cache.set('old', { text: 'Old' });
+        now = 500;
+        cache.set('new', { text: 'New' });
+        await cache.pendingWrite;
+
+        now = 1200;
+        const reloaded = createCache({ filePath });
+        await reloaded.load();
+
+        expect([...reloaded.entries.keys()]).toEqual(['new']);
+        expect(reloaded.get('new')).toEqual({ text: 'New' });
+      } finally {
+        rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('ask tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const createServer = (env = {}) => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key', RETRY_MAX_ATTEMPTS: '1', ...env };
+      delete process.env.RESPONSE_CACHE_PATH;
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    };
+
+    const ask = args => handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hello', temperature: 0, ...args } } });
+
+    beforeEach(() => {
+      createServer();
+    });
+
+    test('should answer a repeated question from the cache', async () => {
+      const first = await ask();
+      const second = await ask({ model: 'gpt-4o-mini' });
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(1);
+      expect(first.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4o-mini):\n\nMock OpenAI response content');
+      expect(second.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4o-mini, cached):\n\nMock OpenAI response content');
+      expect(second._meta).toMatchObject({ provider: 'openai', model: 'gpt-4o-mini', attempts: 0, cached: true });
+      expect(first._meta.cached).toBeUndefined();
+      expect(server.usage.entries).toHaveLength(1);
+    });
+
+    test('should ask again when anything in the request differs', async () => {
+      await ask();
+      await ask({ system: 'Be brief' });
+      // The first question of a new session has no history, so it matches the first call
+      await ask({ session_id: 'chat' });
+      await ask({ session_id: 'chat' });
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(3);
+      expect(server.sessions.getMessages('chat')).toHaveLength(4);
+    });
+
+    test('should not cache sampled answers unless opted in', async () => {
+      await ask({ temperature: 0.7 });
+      await ask({ temperature: 0.7 });
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+
+      createServer({ RESPONSE_CACHE_NONDETERMINISTIC: 'true' });
+      await ask({ temperature: undefined });
+      const second = await ask({ temperature: undefined });
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(1);
+      expect(second._meta.cached).toBe(true);
+    });
+
+    test('should bypass or refresh the cache on request', async () => {
+      await ask({ cache: 'bypass' });
+      expect(server.responseCache.entries.size).toBe(0);
+
+      await ask();
+      server.openai.chat.completions.create.mockResolvedValueOnce({ choices: [{ message: { content: 'Fresh' } }] });
+      const refreshed = await ask({ cache: 'refresh' });
+      const cached = await ask();
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(3);
+      expect(refreshed.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4o-mini):\n\nFresh');
+      expect(cached.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4o-mini, cached):\n\nFresh');
+    });
+
+    test('should not cache answers of a fallback model', async () => {
+      createServer({ ASK_OPENAI_FALLBACK: 'gemini:gemini-1.5-pro' });
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(Object.assign(new Error('HTTP 503'), { status: 503 }));
+
+      await ask();
+      await ask();
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+      expect(server.responseCache.entries.size).toBe(0);
+    });
+
+    test('should report hits and misses in server_info', async () => {
+      await ask();
+      await ask();
+      await ask({ cache: 'bypass' });
+
+      const result = await handler({ params: { name: 'server_info', arguments: {} } });
+      const info = JSON.parse(result.content[0].text.replace('🤖 AI BRIDGE SERVER INFO:\n\n', ''));
+
+      expect(info.cache).toMatchObject({ enabled: true, entries: 1, hits: 1, misses: 1, hitRate: 0.5, persistent: false });
+    });
+
+    test('should reject unknown cache modes and work when disabled', async () => {
+      const invalid = await ask({ cache: 'always' });
+      expect(invalid.content[0].text).toBe('Error: Invalid cache: must be bypass or refresh');
+
+      createServer({ RESPONSE_CACHE_MAX_ENTRIES: '0' });
+      await ask();
+      await ask();
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+    });
+  });
+});
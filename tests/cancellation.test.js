@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { createRequestSignal, raceWithSignal, getRequestTimeoutMs } from '../src/cancellation.js';
+import { CancelledError, TimeoutError } from '../src/errors.js';
+import { DEFAULTS, ERROR_MESSAGES } from '../src/constants.js';
+import { OpenAIProvider, LocalProvider } from '../src/providers/index.js';
+
+const never = () => new Promise(() => {});
+
+describe('Cancellation', () => {
+  describe('createRequestSignal', () => {
+    test('should abort with a CancelledError when the parent signal aborts', () => {
+      const parent = new AbortController();
+      const { signal, dispose } = createRequestSignal({ parentSignal: parent.signal, timeoutMs: 60000 });
+
+      parent.abort();
+
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason).toBeInstanceOf(CancelledError);
+      expect(signal.reason.message).toBe(ERROR_MESSAGES.REQUEST_CANCELLED);
+      dispose();
+    });
+
+    test('should start aborted when the parent signal already is', () => {
+      const parent = new AbortController();
+      parent.abort();
+
+      const { signal, dispose } = createRequestSignal({ parentSignal: parent.signal, timeoutMs: 60000 });
+
+      expect(signal.reason).toBeInstanceOf(CancelledError);
+      dispose();
+    });
+
+    test('should abort with a TimeoutError once the timeout elapses', async () => {
+      const { signal, dispose } = createRequestSignal({ timeoutMs: 5 });
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(signal.reason).toBeInstanceOf(TimeoutError);
+      expect(signal.reason.message).toBe(`${ERROR_MESSAGES.REQUEST_TIMEOUT} after 5ms`);
+      dispose();
+    });
+
+    test('should not abort after being disposed', async () => {
+      const parent = new AbortController();
+      const { signal, dispose } = createRequestSignal({ parentSignal: parent.signal, timeoutMs: 5 });
+
+      dispose();
+      parent.abort();
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(signal.aborted).toBe(false);
+    });
+
+    test('should read the timeout from REQUEST_TIMEOUT_MS', () => {
+      const originalTimeout = process.env.REQUEST_TIMEOUT_MS;
+
+      process.env.REQUEST_TIMEOUT_MS = '1500';
+      expect(getRequestTimeoutMs()).toBe(1500);
+      delete process.env.REQUEST_TIMEOUT_MS;
+      expect(getRequestTimeoutMs()).toBe(DEFAULTS.REQUEST.TIMEOUT_MS);
+
+      if (originalTimeout !== undefined) {
+        process.env.REQUEST_TIMEOUT_MS = originalTimeout;
+      }
+    });
+  });
+
+  describe('raceWithSignal', () => {
+    test('should resolve with the promise when not aborted', async () => {
+      const controller = new AbortController();
+      await expect(raceWithSignal(Promise.resolve('done'), controller.signal)).resolves.toBe('done');
+    });
+
+    test('should reject with the abort reason', async () => {
+      const controller = new AbortController();
+      const pending = raceWithSignal(never(), controller.signal);
+
+      controller.abort(new CancelledError('stop'));
+
+      await expect(pending).rejects.toThrow('stop');
+    });
+
+    test('should pass the promise through without a signal', async () => {
+      await expect(raceWithSignal(Promise.resolve(1))).resolves.toBe(1);
+    });
+  });
+
+  describe('providers', () => {
+    test('should pass the signal to the OpenAI SDK', async () => {
+      const provider = new OpenAIProvider();
+      provider.initialize({ OPENAI_API_KEY: 'sk-test' });
+      const { signal } = new AbortController();
+
+      await provider.complete(provider.validateRequest({ prompt: 'Hi' }), { signal });
+
+      expect(provider.client.chat.completions.create.mock.calls[0][1].signal).toBe(signal);
+    });
+
+    test('should pass the signal to fetch for local models', async () => {
+      const fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ model: 'llama3.1:8b', message: { content: 'Hello' } })
+      });
+      const provider = new LocalProvider({ fetch });
+      provider.initialize({ LOCAL_AI_BASE_URL: 'http://localhost:11434' });
+      const { signal } = new AbortController();
+
+      await provider.complete({ messages: [{ role: 'user', content: 'Hi' }], model: 'llama3.1:8b', temperature: 0.7 }, { signal });
+
+      expect(fetch.mock.calls[0][1].signal).toBe(signal);
+    });
+  });
+
+  describe('ask tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key' };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    test('should abort the provider request when the client cancels', async () => {
+      server.openai.chat.completions.create = jest.fn(never);
+      const controller = new AbortController();
+
+      const pending = handler(
+        { params: { name: 'ask_openai', arguments: { prompt: 'Hi', session_id: 'cancelled' } } },
+        { signal: controller.signal }
+      );
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort();
+      const result = await pending;
+
+      expect(result.content[0].text).toBe(`Error: ${ERROR_MESSAGES.REQUEST_CANCELLED}`);
+      expect(server.openai.chat.completions.create.mock.calls[0][1].signal.aborted).toBe(true);
+      expect(server.sessions.has('cancelled')).toBe(false);
+    });
+
+    test('should time out requests that exceed REQUEST_TIMEOUT_MS', async () => {
+      process.env.REQUEST_TIMEOUT_MS = '10';
+      server.openai.chat.completions.create = jest.fn(never);
+
+      const result = await handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hi' } } });
+
+      expect(result.content[0].text).toBe(`Error: ${ERROR_MESSAGES.REQUEST_TIMEOUT} after 10ms`);
+    });
+
+    test('should still answer when no signal is supplied', async () => {
+      const result = await handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hi' } } });
+
+      expect(result.content[0].text).toContain('Mock OpenAI response content');
+    });
+  });
+});
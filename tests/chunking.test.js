@@ -0,0 +1,241 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  buildMapPrompt,
+  buildReducePrompt,
+  groupResults,
+  mapWithConcurrency,
+  splitIntoBlocks,
+  splitText
+} from '../src/chunking.js';
+import { estimateTokens } from '../src/tokens.js';
+
+const SENTENCE = 'The quick brown fox jumps over the lazy dog. ';
+// 40 paragraphs of about 250 tokens each: more than gpt-4's 8192 token context window
+const LONG_TEXT = Array.from({ length: 40 }, (_, i) => `Paragraph ${i}: ${SENTENCE.repeat(25)}`).join('\n\n');
+
+describe('chunking', () => {
+  describe('splitting', () => {
+    test('should keep fenced code blocks whole', () => {
+      const text = 'Intro\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\nOutro';
+
+      expect(splitIntoBlocks(text)).toEqual(['Intro', '```js\nconst a = 1;\n\nconst b = 2;\n```', 'Outro']);
+    });
+
+    test('should pack paragraphs into chunks within the budget', () => {
+      const chunks = splitText(LONG_TEXT, 1000, estimateTokens);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => expect(estimateTokens(chunk)).toBeLessThanOrEqual(1000));
+      // Chunks end at paragraph boundaries and lose nothing
+      chunks.forEach(chunk => expect(chunk).toMatch(/^Paragraph \d+: /));
+      expect(chunks.join('\n\n')).toBe(LONG_TEXT);
+    });
+
+    test('should split oversized paragraphs between lines, then characters', () => {
+      const lines = Array.from({ length: 10 }, (_, i) => `line ${i} ${'x'.repeat(30)}`).join('\n');
+      const byLines = splitText(lines, 30, estimateTokens);
+
+      expect(byLines.length).toBeGreaterThan(1);
+      expect(byLines.join('\n')).toBe(lines);
+
+      const byCharacters = splitText('y'.repeat(1000), 50, estimateTokens);
+      expect(byCharacters).toEqual(['y'.repeat(200), 'y'.repeat(200), 'y'.repeat(200), 'y'.repeat(200), 'y'.repeat(200)]);
+    });
+  });
+
+  describe('prompts', () => {
+    test('should tell the model which part it is processing', () => {
+      const prompt = buildMapPrompt('List the names', 'Alice met Bob.', 2, 3);
+
+      expect(prompt).toMatch(/^List the names\n\n/);
+      expect(prompt).toContain('Apply the instruction to part 2 below only');
+      expect(prompt).toContain('===== PART 2 OF 3 =====\nAlice met Bob.\n===== END OF PART 2 =====');
+      // Without an instruction the part belongs to the request itself
+      expect(buildMapPrompt(null, 'text', 1, 2)).toContain('quoting any questions or instructions it contains verbatim');
+    });
+
+    test('should combine results into a final or an intermediate answer', () => {
+      const prompt = buildReducePrompt('List the names', ['Alice', 'Bob']);
+
+      expect(prompt).toContain('Combine the results below into a single response');
+      expect(prompt).toContain('===== RESULT 1 OF 2 =====\nAlice\n\n===== RESULT 2 OF 2 =====\nBob');
+      expect(buildReducePrompt('List the names', ['Alice'], { final: false })).toContain('combined with the results of other parts later');
+    });
+
+    test('should group as many results as fit together', () => {
+      const fits = group => group.join('').length <= 4;
+
+      expect(groupResults(['ab', 'cd', 'e', 'fghi', 'j'], fits)).toEqual([['ab', 'cd'], ['e'], ['fghi'], ['j']]);
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    test('should keep the order while limiting the calls in flight', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        inFlight--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+      expect(maxInFlight).toBe(2);
+    });
+
+    test('should stop starting calls after a failure', async () => {
+      const fn = jest.fn(async (item) => {
+        if (item === 1) {
+          throw new Error('boom');
+        }
+      });
+
+      await expect(mapWithConcurrency([1, 2, 3, 4], 1, fn)).rejects.toThrow('boom');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+    let root;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+      root = mkdtempSync(join(tmpdir(), 'ai-bridge-chunking-'));
+      writeFileSync(join(root, 'book.txt'), LONG_TEXT);
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key', RETRY_MAX_ATTEMPTS: '1', ATTACHMENT_ROOTS: root };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+      rmSync(root, { recursive: true, force: true });
+    });
+
+    const call = (name, args) => handler({ params: { name, arguments: args } });
+    const sentPrompts = () => server.openai.chat.completions.create.mock.calls.map(([params]) => params.messages.at(-1).content);
+
+    test('should split ask prompts that do not fit and combine the results', async () => {
+      const result = await call('ask_openai', { prompt: LONG_TEXT, model: 'gpt-4', chunking: true });
+      const prompts = sentPrompts();
+
+      expect(prompts.length).toBeGreaterThan(2);
+      const chunks = prompts.length - 1;
+      expect(result.content[0].text).toBe(`🤖 OPENAI RESPONSE (gpt-4, combined from ${chunks} chunks):\n\nMock OpenAI response content`);
+      expect(result._meta).toMatchObject({ provider: 'openai', model: 'gpt-4', attempts: chunks + 1, chunks });
+      expect(prompts[0]).toContain(`===== PART 1 OF ${chunks} =====`);
+      expect(prompts.at(-1)).toContain(`===== RESULT ${chunks} OF ${chunks} =====\nMock OpenAI response content`);
+
+      // Every call fits in the context window
+      const provider = server.providers.get('openai');
+      server.openai.chat.completions.create.mock.calls.forEach(([params]) => {
+        expect(provider.measureRequest({ model: 'gpt-4', messages: params.messages }).fits).toBe(true);
+      });
+    });
+
+    test('should send prompts that fit in one call as usual', async () => {
+      const result = await call('ask_openai', { prompt: 'Hello', model: 'gpt-4', chunking: true });
+
+      expect(result.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4):\n\nMock OpenAI response content');
+      expect(sentPrompts()).toEqual(['Hello']);
+    });
+
+    test('should apply the prompt to each part of oversized attachments', async () => {
+      const result = await call('ask_openai', { prompt: 'List the paragraph numbers', attachments: ['book.txt'], model: 'gpt-4', chunking: true });
+      const prompts = sentPrompts();
+
+      expect(result._meta.chunks).toBe(prompts.length - 1);
+      prompts.forEach(prompt => expect(prompt).toMatch(/^List the paragraph numbers\n\n/));
+      expect(prompts[0]).toContain('===== BEGIN FILE: book.txt');
+    });
+
+    test('should reject chunking combined with response_format', async () => {
+      const result = await call('ask_openai', { prompt: 'Hello', model: 'gpt-4o', chunking: true, response_format: { type: 'json_object' } });
+
+      expect(result.content[0].text).toBe('Error: Invalid chunking: cannot be combined with response_format or images');
+    });
+
+    test('should summarize large text with summarize_large', async () => {
+      const checkLimit = jest.spyOn(server.rateLimiter, 'checkLimit');
+      server.openai.chat.completions.create.mockResolvedValue({
+        choices: [{ message: { content: 'Summary' } }],
+        usage: { prompt_tokens: 100, completion_tokens: 10 }
+      });
+
+      const result = await call('summarize_large', { provider: 'openai', model: 'gpt-4o', text: LONG_TEXT, chunk_tokens: 2000 });
+      const prompts = sentPrompts();
+      const chunks = prompts.length - 1;
+
+      expect(chunks).toBeGreaterThan(1);
+      expect(result.content[0].text).toBe(`🤖 SUMMARY (OpenAI gpt-4o, ${chunks} chunks):\n\nSummary`);
+      expect(result._meta).toEqual({
+        provider: 'openai',
+        model: 'gpt-4o',
+        chunks,
+        calls: chunks + 1,
+        attempts: chunks + 1,
+        latencyMs: expect.any(Number),
+        usage: { inputTokens: 100 * (chunks + 1), outputTokens: 10 * (chunks + 1) },
+        truncated: false
+      });
+      expect(prompts[0]).toMatch(/^Summarize the text/);
+      // The tool call itself plus every sub-call count against the rate limit
+      expect(checkLimit).toHaveBeenCalledTimes(chunks + 2);
+    });
+
+    test('should process input that fits in a single call', async () => {
+      const result = await call('summarize_large', { provider: 'gemini', text: 'A short note.', instruction: 'Translate to French' });
+
+      expect(result.content[0].text).toBe('🤖 SUMMARY (Gemini gemini-1.5-flash-latest, 1 chunk):\n\nMock Gemini response content');
+      expect(result._meta).toMatchObject({ chunks: 1, calls: 1 });
+    });
+
+    test('should require text or attachments', async () => {
+      const result = await call('summarize_large', { provider: 'openai' });
+
+      expect(result.content[0].text).toBe('Error: Invalid input: text or attachments is required');
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { CircuitBreaker, CIRCUIT_STATES, getCircuitBreakerOptions } from '../src/circuitBreaker.js';
+import { DEFAULTS } from '../src/constants.js';
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+describe('Circuit breaker', () => {
+  describe('CircuitBreaker', () => {
+    let now;
+    let breaker;
+
+    beforeEach(() => {
+      now = 0;
+      breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000, now: () => now });
+    });
+
+    test('should open after consecutive failures', () => {
+      breaker.recordFailure('one');
+      breaker.recordFailure('two');
+      expect(breaker.tryAcquire()).toBe(true);
+
+      breaker.recordFailure('three');
+
+      expect(breaker.tryAcquire()).toBe(false);
+      expect(breaker.getStatus()).toMatchObject({
+        state: CIRCUIT_STATES.OPEN,
+        consecutiveFailures: 3,
+        recentFailures: 3,
+        lastError: { message: 'three' },
+        retryAt: new Date(1000).toISOString()
+      });
+    });
+
+    test('should reset the consecutive count on success', () => {
+      breaker.recordFailure('one');
+      breaker.recordFailure('two');
+      breaker.recordSuccess();
+      breaker.recordFailure('three');
+
+      expect(breaker.tryAcquire()).toBe(true);
+      expect(breaker.getStatus()).toMatchObject({ consecutiveFailures: 1, totalFailures: 3, totalSuccesses: 1 });
+    });
+
+    test('should let a single trial call through once half-open', () => {
+      ['a', 'b', 'c'].forEach(message => breaker.recordFailure(message));
+      now = 1000;
+
+      expect(breaker.getStatus().state).toBe(CIRCUIT_STATES.HALF_OPEN);
+      expect(breaker.tryAcquire()).toBe(true);
+      expect(breaker.tryAcquire()).toBe(false);
+
+      breaker.recordSuccess();
+
+      expect(breaker.getStatus().state).toBe(CIRCUIT_STATES.CLOSED);
+      expect(breaker.tryAcquire()).toBe(true);
+    });
+
+    test('should reopen when the trial call fails', () => {
+      ['a', 'b', 'c'].forEach(message => breaker.recordFailure(message));
+      now = 1500;
+      breaker.tryAcquire();
+
+      breaker.recordFailure('still down');
+
+      expect(breaker.getStatus()).toMatchObject({ state: CIRCUIT_STATES.OPEN, retryAt: new Date(2500).toISOString() });
+      expect(breaker.tryAcquire()).toBe(false);
+    });
+
+    test('should allow another trial after an inconclusive one', () => {
+      ['a', 'b', 'c'].forEach(message => breaker.recordFailure(message));
+      now = 1000;
+      breaker.tryAcquire();
+
+      breaker.release();
+
+      expect(breaker.tryAcquire()).toBe(true);
+    });
+
+    test('should only count recent failures in the recent window', () => {
+      breaker = new CircuitBreaker({ failureThreshold: 10, recentWindowMs: 100, now: () => now });
+      breaker.recordFailure('old');
+      now = 200;
+      breaker.recordFailure('new');
+
+      expect(breaker.getStatus()).toMatchObject({ recentFailures: 1, totalFailures: 2 });
+    });
+
+    test('should read its settings from the environment', () => {
+      expect(getCircuitBreakerOptions({ CIRCUIT_BREAKER_FAILURE_THRESHOLD: '2', CIRCUIT_BREAKER_RESET_MS: '500' }))
+        .toEqual({ failureThreshold: 2, resetTimeoutMs: 500 });
+      expect(getCircuitBreakerOptions({})).toEqual({
+        failureThreshold: DEFAULTS.CIRCUIT_BREAKER.FAILURE_THRESHOLD,
+        resetTimeoutMs: DEFAULTS.CIRCUIT_BREAKER.RESET_TIMEOUT_MS
+      });
+    });
+  });
+
+  describe('ask tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = {
+        ...originalEnv,
+        OPENAI_API_KEY: 'sk-test-key',
+        GOOGLE_AI_API_KEY: 'test-gemini-key',
+        RETRY_MAX_ATTEMPTS: '1',
+        CIRCUIT_BREAKER_FAILURE_THRESHOLD: '2'
+      };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const ask = (name, args = {}) => handler({ params: { name, arguments: { prompt: 'Hi', ...args } } });
+
+    test('should short-circuit calls once the circuit is open', async () => {
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(503));
+
+      await ask('ask_openai');
+      await ask('ask_openai');
+      const result = await ask('ask_openai');
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+      expect(result.content[0].text).toMatch(/^Error: OpenAI gpt-4o-mini is temporarily unavailable after 2 consecutive failures; retrying after /);
+    });
+
+    test('should track each model separately', async () => {
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(503));
+      await ask('ask_openai');
+      await ask('ask_openai');
+
+      server.openai.chat.completions.create = new MockOpenAI({ apiKey: 'sk-test' }).chat.completions.create;
+      const result = await ask('ask_openai', { model: 'gpt-4o' });
+
+      expect(result.content[0].text).toContain('Mock OpenAI response content');
+    });
+
+    test('should not count invalid requests against the backend', async () => {
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(401));
+
+      await ask('ask_openai');
+      await ask('ask_openai');
+      await ask('ask_openai');
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(3);
+    });
+
+    test('should move on to the fallback while the circuit is open', async () => {
+      process.env.ASK_OPENAI_FALLBACK = 'gemini';
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(503));
+      await ask('ask_openai');
+      await ask('ask_openai');
+
+      const result = await ask('ask_openai');
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+      expect(result.content[0].text).toContain('GEMINI RESPONSE');
+      expect(result._meta.fallbackFrom[0].error).toContain('temporarily unavailable');
+    });
+
+    test('should report circuit state in server_info', async () => {
+      server.gemini.getGenerativeModel = () => ({
+        generateContent: jest.fn().mockRejectedValue(new Error('[500 Internal Server Error] boom'))
+      });
+      await ask('ask_gemini');
+      await ask('ask_gemini');
+      await ask('ask_openai');
+
+      const result = await handler({ params: { name: 'server_info', arguments: {} } });
+      const info = JSON.parse(result.content[0].text.replace('🤖 AI BRIDGE SERVER INFO:\n\n', ''));
+
+      expect(info.health.failureThreshold).toBe(2);
+      expect(info.health.circuits['gemini:gemini-1.5-flash-latest']).toMatchObject({
+        state: 'open',
+        consecutiveFailures: 2,
+        recentFailures: 2,
+        lastError: { message: 'Gemini API error: [500 Internal Server Error] boom' }
+      });
+      expect(info.health.circuits['openai:gpt-4o-mini']).toMatchObject({ state: 'closed', totalSuccesses: 1 });
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { textSimilarity, distinctiveTerms, formatComparison } from '../src/compare.js';
+import { validateComparisonTargets } from '../src/validators.js';
+import { ERROR_MESSAGES } from '../src/constants.js';
+
+describe('compare_models', () => {
+  describe('helpers', () => {
+    test('should measure shared vocabulary', () => {
+      expect(textSimilarity('The cat sat', 'the cat sat')).toBe(1);
+      expect(textSimilarity('red green', 'blue yellow')).toBe(0);
+      expect(textSimilarity('one two three', 'one two four')).toBe(0.5);
+    });
+
+    test('should find terms only one answer uses', () => {
+      expect(distinctiveTerms('Recursion calls itself until a base case', ['Iteration repeats until a condition fails']))
+        .toEqual(['recursion', 'calls', 'itself']);
+    });
+
+    test('should summarize answers and failures', () => {
+      const text = formatComparison([
+        { label: 'OpenAI gpt-4o', text: 'Paris is the capital', latencyMs: 300, usage: { inputTokens: 5, outputTokens: 4 } },
+        { label: 'Gemini gemini-1.5-pro', text: 'The capital is Paris', latencyMs: 200 },
+        { label: 'Local llama3', error: 'Local model server unreachable', latencyMs: 5 }
+      ]);
+
+      expect(text).toContain('### 1. OpenAI gpt-4o (300ms, 5 in / 4 out tokens)\nParis is the capital');
+      expect(text).toContain('### 3. Local llama3 (5ms)\nError: Local model server unreachable');
+      expect(text).toContain('- Answered: 2 of 3');
+      expect(text).toContain('- Fastest: Gemini gemini-1.5-pro (200ms)');
+      expect(text).toContain('  - OpenAI gpt-4o vs Gemini gemini-1.5-pro: 100%');
+    });
+
+    test('should validate the provider/model list', () => {
+      expect(validateComparisonTargets([{ provider: 'OpenAI', model: 'gpt-4o' }, { provider: 'gemini' }]))
+        .toEqual([{ provider: 'openai', model: 'gpt-4o' }, { provider: 'gemini', model: undefined }]);
+
+      [
+        undefined,
+        [{ provider: 'openai' }],
+        [{ provider: 'openai' }, { provider: 'openai' }],
+        [{ provider: 'openai' }, { model: 'gpt-4o' }],
+        [{ provider: 'openai' }, { provider: 'gemini', model: 3 }],
+        Array.from({ length: 6 }, (_, i) => ({ provider: `p${i}` }))
+      ].forEach(models => expect(() => validateComparisonTargets(models)).toThrow(ERROR_MESSAGES.INVALID_COMPARE_MODELS));
+    });
+  });
+
+  describe('tool', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key', RETRY_MAX_ATTEMPTS: '1' };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const compare = args => handler({ params: { name: 'compare_models', arguments: args } });
+
+    test('should be listed with the utility tools', () => {
+      const tool = server.tools.find(t => t.name === 'compare_models');
+
+      expect(tool.inputSchema.required).toEqual(['prompt', 'models']);
+    });
+
+    test('should ask every model concurrently and show the answers side by side', async () => {
+      let resolveOpenAI;
+      server.openai.chat.completions.create = jest.fn(() => new Promise((resolve) => {
+        resolveOpenAI = resolve;
+      }));
+      const generateContent = jest.fn().mockResolvedValue({
+        response: { text: () => 'Gemini says hello', usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 4 } }
+      });
+      jest.spyOn(server.gemini, 'getGenerativeModel').mockReturnValue({ generateContent });
+
+      const pending = compare({
+        prompt: 'Say hello',
+        temperature: 0.3,
+        models: [{ provider: 'openai', model: 'gpt-4o' }, { provider: 'gemini' }]
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      // Gemini was called before OpenAI finished
+      expect(generateContent).toHaveBeenCalled();
+      resolveOpenAI({ choices: [{ message: { content: 'OpenAI says hello' } }], usage: { prompt_tokens: 3, completion_tokens: 3 } });
+      const result = await pending;
+      const text = result.content[0].text;
+
+      expect(text).toMatch(/^🤖 MODEL COMPARISON:\n\n### 1\. OpenAI gpt-4o \(\d+ms, 3 in \/ 3 out tokens\)\nOpenAI says hello/);
+      expect(text).toMatch(/### 2\. Gemini gemini-1\.5-flash-latest \(\d+ms, 3 in \/ 4 out tokens\)\nGemini says hello/);
+      expect(text).toContain('- Answered: 2 of 2');
+      expect(text).toContain('  - OpenAI gpt-4o vs Gemini gemini-1.5-flash-latest: 50%');
+      expect(server.openai.chat.completions.create.mock.calls[0][0].temperature).toBe(0.3);
+    });
+
+    test('should adapt the shared settings to each model', async () => {
+      const generateContent = jest.fn().mockResolvedValue({ response: { text: () => 'Gemini says hello' } });
+      jest.spyOn(server.gemini, 'getGenerativeModel').mockReturnValue({ generateContent });
+
+      const result = await compare({
+        prompt: 'Say hello',
+        temperature: 0.3,
+        max_tokens: 20000,
+        models: [{ provider: 'openai', model: 'gpt-4o' }, { provider: 'openai', model: 'o3-mini' }, { provider: 'gemini' }]
+      });
+      const [gpt4o, o3mini] = server.openai.chat.completions.create.mock.calls.map(([params]) => params);
+
+      expect(result.content[0].text).toContain('- Answered: 3 of 3');
+      expect(gpt4o).toMatchObject({ model: 'gpt-4o', temperature: 0.3, max_tokens: 16384 });
+      expect(o3mini).toMatchObject({ model: 'o3-mini', max_completion_tokens: 20000 });
+      expect(o3mini.temperature).toBeUndefined();
+      expect(server.gemini.getGenerativeModel.mock.calls[0][0].generationConfig).toMatchObject({ temperature: 0.3, maxOutputTokens: 8192 });
+    });
+
+    test('should return the successful answers when some models fail', async () => {
+      server.gemini.getGenerativeModel = () => ({ generateContent: jest.fn().mockRejectedValue(new Error('API key not valid')) });
+
+      const result = await compare({
+        prompt: 'Hi',
+        models: [{ provider: 'openai' }, { provider: 'gemini' }, { provider: 'nowhere' }, { provider: 'local' }]
+      });
+      const text = result.content[0].text;
+
+      expect(text).toContain('Mock OpenAI response content');
+      expect(text).toContain('Error: Invalid Gemini API key');
+      expect(text).toContain('Error: Unknown provider: nowhere');
+      expect(text).toContain(`Error: ${ERROR_MESSAGES.LOCAL_NOT_CONFIGURED}`);
+      expect(text).toContain('- Answered: 1 of 4');
+    });
+
+    test('should not fall back to other providers', async () => {
+      process.env.ASK_OPENAI_FALLBACK = 'gemini';
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(Object.assign(new Error('down'), { status: 503 }));
+
+      const result = await compare({ prompt: 'Hi', models: [{ provider: 'openai' }, { provider: 'gemini' }] });
+
+      expect(result.content[0].text).toContain('Error: OpenAI API error: down');
+      expect(result.content[0].text).toContain('- Answered: 1 of 2');
+    });
+
+    test('should reject invalid arguments up front', async () => {
+      const invalidModels = await compare({ prompt: 'Hi', models: [{ provider: 'openai' }] });
+      const invalidPrompt = await compare({ prompt: '', models: [{ provider: 'openai' }, { provider: 'gemini' }] });
+
+      expect(invalidModels.content[0].text).toBe(`Error: ${ERROR_MESSAGES.INVALID_COMPARE_MODELS}`);
+      expect(invalidPrompt.content[0].text).toBe(`Error: ${ERROR_MESSAGES.INVALID_PROMPT}`);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { buildJudgePrompt, getDefaultJudge } from '../src/consensus.js';
+import { RateLimiter } from '../src/rateLimiter.js';
+import { DEFAULTS, ERROR_MESSAGES } from '../src/constants.js';
+
+const openAIAnswer = content => ({ choices: [{ message: { content } }] });
+
+describe('consensus', () => {
+  describe('helpers', () => {
+    test('should ask the judge for merged answer, agreement, disagreement and confidence', () => {
+      const prompt = buildJudgePrompt('What is 2 + 2?', [
+        { label: 'OpenAI gpt-4o', text: '4' },
+        { label: 'Gemini gemini-1.5-pro', text: 'Four' }
+      ]);
+
+      ['## Merged answer', '## Agreement', '## Disagreement', '## Confidence'].forEach(section => expect(prompt).toContain(section));
+      expect(prompt).toContain('Question:\nWhat is 2 + 2?');
+      expect(prompt).toContain('Answer 1 (OpenAI gpt-4o):\n4');
+      expect(prompt).toContain('Answer 2 (Gemini gemini-1.5-pro):\nFour');
+    });
+
+    test('should truncate long answers', () => {
+      const prompt = buildJudgePrompt('Q', [{ label: 'A', text: 'x'.repeat(DEFAULTS.CONSENSUS.MAX_ANSWER_LENGTH + 10) }]);
+
+      expect(prompt).toContain(`${'x'.repeat(DEFAULTS.CONSENSUS.MAX_ANSWER_LENGTH)}\n[truncated]`);
+    });
+
+    test('should read the default judge from CONSENSUS_JUDGE', () => {
+      expect(getDefaultJudge({ CONSENSUS_JUDGE: 'openai:gpt-4o' })).toEqual({ provider: 'openai', model: 'gpt-4o' });
+      expect(getDefaultJudge({})).toBeNull();
+    });
+  });
+
+  describe('tool', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+    let generateContent;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key', RETRY_MAX_ATTEMPTS: '1' };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+      generateContent = jest.fn().mockResolvedValue({ response: { text: () => 'Gemini answer' } });
+      jest.spyOn(server.gemini, 'getGenerativeModel').mockReturnValue({ generateContent });
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const consensus = args => handler({
+      params: {
+        name: 'consensus',
+        arguments: { prompt: 'Is the earth round?', models: [{ provider: 'openai' }, { provider: 'gemini' }], ...args }
+      }
+    });
+
+    test('should have the first model judge every answer by default', async () => {
+      server.openai.chat.completions.create = jest.fn()
+        .mockResolvedValueOnce(openAIAnswer('OpenAI answer'))
+        .mockResolvedValueOnce(openAIAnswer('## Merged answer\nYes'));
+
+      const result = await consensus();
+      const judgePrompt = server.openai.chat.completions.create.mock.calls[1][0].messages[0].content;
+
+      expect(result.content[0].text).toMatch(/^🤖 CONSENSUS \(judge: OpenAI gpt-4o-mini\):\n\n## Merged answer\nYes\n\n### Answers considered\n- OpenAI gpt-4o-mini \(\d+ms\)\n- Gemini gemini-1\.5-flash-latest \(\d+ms\)$/);
+      expect(judgePrompt).toContain('Question:\nIs the earth round?');
+      expect(judgePrompt).toContain('Answer 1 (OpenAI gpt-4o-mini):\nOpenAI answer');
+      expect(judgePrompt).toContain('Answer 2 (Gemini gemini-1.5-flash-latest):\nGemini answer');
+    });
+
+    test('should use the judge given in the arguments or CONSENSUS_JUDGE', async () => {
+      process.env.CONSENSUS_JUDGE = 'openai:gpt-4o';
+
+      const fromEnv = await consensus();
+      const fromArgs = await consensus({ judge: { provider: 'gemini', model: 'gemini-1.5-pro' } });
+
+      expect(fromEnv.content[0].text).toMatch(/^🤖 CONSENSUS \(judge: OpenAI gpt-4o\)/);
+      expect(fromArgs.content[0].text).toMatch(/^🤖 CONSENSUS \(judge: Gemini gemini-1\.5-pro\)/);
+    });
+
+    test('should judge the answers that succeeded', async () => {
+      generateContent.mockRejectedValueOnce(new Error('API key not valid'));
+
+      const result = await consensus();
+
+      expect(result.content[0].text).toContain('- Gemini default model: Error: Invalid Gemini API key');
+      expect(server.openai.chat.completions.create.mock.calls[1][0].messages[0].content).not.toContain('Answer 2');
+    });
+
+    test('should fail when no model answers', async () => {
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(Object.assign(new Error('Unauthorized'), { status: 401 }));
+      generateContent.mockRejectedValue(new Error('API key not valid'));
+
+      const result = await consensus();
+
+      expect(result.content[0].text).toBe(
+        'Error: None of the models answered: OpenAI default model: Invalid OpenAI API key; Gemini default model: Invalid Gemini API key'
+      );
+    });
+
+    test('should return the individual answers when the judge fails', async () => {
+      server.openai.chat.completions.create = jest.fn()
+        .mockResolvedValueOnce(openAIAnswer('OpenAI answer'))
+        .mockRejectedValueOnce(Object.assign(new Error('Bad request'), { status: 400 }));
+
+      const result = await consensus();
+
+      expect(result.content[0].text).toMatch(/^🤖 CONSENSUS FAILED \(judge OpenAI default model: OpenAI API error: Bad request\):\n\n### 1\. OpenAI gpt-4o-mini/);
+      expect(result.content[0].text).toContain('Gemini answer');
+    });
+
+    test('should count every sub-call against the rate limit', async () => {
+      // One request for the tool call itself, one per model, one for the judge
+      server.rateLimiter = new RateLimiter(3, 60000);
+
+      const result = await consensus();
+
+      expect(result.content[0].text).toMatch(/^🤖 CONSENSUS FAILED \(judge OpenAI default model: Rate limit exceeded/);
+      expect(server.rateLimiter.getRemaining('global')).toBe(0);
+    });
+
+    test('should reject an invalid judge', async () => {
+      const result = await consensus({ judge: { model: 'gpt-4o' } });
+
+      expect(result.content[0].text).toBe(`Error: ${ERROR_MESSAGES.INVALID_PROVIDER_TARGET}`);
+    });
+  });
+});
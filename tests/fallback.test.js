@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { getFallbackChain } from '../src/fallback.js';
+import { OpenAIProvider, GeminiProvider, LocalProvider } from '../src/providers/index.js';
+
+function httpError(status, extra = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status }, extra);
+}
+
+describe('Fallback', () => {
+  describe('getFallbackChain', () => {
+    test('should parse provider and model entries in order', () => {
+      const env = { ASK_OPENAI_FALLBACK: 'gemini:gemini-1.5-pro, local:llama3.1:8b ,Local' };
+
+      expect(getFallbackChain('ask_openai', env)).toEqual([
+        { provider: 'gemini', model: 'gemini-1.5-pro' },
+        { provider: 'local', model: 'llama3.1:8b' },
+        { provider: 'local', model: undefined }
+      ]);
+    });
+
+    test('should be empty without configuration', () => {
+      expect(getFallbackChain('ask_gemini', {})).toEqual([]);
+    });
+  });
+
+  describe('shouldFallback', () => {
+    test('should fall back on quota, server and connection errors only', () => {
+      const openai = new OpenAIProvider();
+      const gemini = new GeminiProvider();
+      const local = new LocalProvider();
+
+      expect(openai.shouldFallback(httpError(429, { code: 'insufficient_quota' }))).toBe(true);
+      expect(openai.shouldFallback(httpError(503))).toBe(true);
+      expect(openai.shouldFallback(httpError(400))).toBe(false);
+      expect(openai.shouldFallback(httpError(401))).toBe(false);
+      expect(gemini.shouldFallback(new Error('quota exceeded'))).toBe(true);
+      expect(gemini.shouldFallback(new Error('API key not valid'))).toBe(false);
+      expect(local.shouldFallback(new TypeError('fetch failed'))).toBe(true);
+      expect(local.shouldFallback(httpError(404))).toBe(false);
+    });
+  });
+
+  describe('ask tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = {
+        ...originalEnv,
+        OPENAI_API_KEY: 'sk-test-key',
+        GOOGLE_AI_API_KEY: 'test-gemini-key',
+        RETRY_MAX_ATTEMPTS: '1',
+        ASK_OPENAI_FALLBACK: 'local:llama3.1:8b,gemini:gemini-1.5-pro'
+      };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const askOpenAI = (args = {}) => handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hi', model: 'gpt-4o', ...args } } });
+
+    test('should answer from the next configured provider when the quota is exhausted', async () => {
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(429, { code: 'insufficient_quota' }));
+      const getGenerativeModel = jest.spyOn(server.gemini, 'getGenerativeModel');
+
+      const result = await askOpenAI();
+
+      expect(result.content[0].text).toBe('🤖 GEMINI RESPONSE (gemini-1.5-pro, fallback from OpenAI gpt-4o):\n\nMock Gemini response content');
+      expect(getGenerativeModel.mock.calls[0][0].model).toBe('gemini-1.5-pro');
+      expect(result._meta).toEqual({
+        provider: 'gemini',
+        model: 'gemini-1.5-pro',
+        attempts: 1,
+        latencyMs: expect.any(Number),
+        truncated: false,
+        fallbackFrom: [{ provider: 'openai', model: 'gpt-4o', error: 'OpenAI rate limit exceeded. Please try again later.' }]
+      });
+    });
+
+    test('should return the original error for failures that are not worth a fallback', async () => {
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(401));
+      const getGenerativeModel = jest.spyOn(server.gemini, 'getGenerativeModel');
+
+      const result = await askOpenAI();
+
+      expect(result.content[0].text).toBe('Error: Invalid OpenAI API key');
+      expect(getGenerativeModel).not.toHaveBeenCalled();
+    });
+
+    test('should return the original error when every fallback fails', async () => {
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(500));
+      jest.spyOn(server.gemini, 'getGenerativeModel').mockReturnValue({
+        generateContent: jest.fn().mockRejectedValue(new Error('[503 Service Unavailable] overloaded'))
+      });
+
+      const result = await askOpenAI();
+
+      expect(result.content[0].text).toBe('Error: OpenAI API error: HTTP 500');
+    });
+
+    test('should skip fallbacks that cannot serve the arguments', async () => {
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(503));
+
+      // Gemini accepts temperatures up to 1
+      const result = await askOpenAI({ temperature: 1.5 });
+
+      expect(result.content[0].text).toBe('Error: OpenAI API error: HTTP 503');
+    });
+
+    test('should not use fallbacks that are not configured', async () => {
+      process.env.ASK_OPENAI_FALLBACK = 'groq:llama-3.3-70b-versatile';
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(503));
+
+      const result = await askOpenAI();
+
+      expect(result.content[0].text).toBe('Error: OpenAI API error: HTTP 503');
+    });
+
+    test('should stop preparing fallbacks once the call is cancelled', async () => {
+      const controller = new AbortController();
+      const openai = server.providers.get('openai');
+      const request = await openai.validateRequest({ prompt: 'Hi' });
+      const validateRequest = jest.spyOn(server.providers.get('gemini'), 'validateRequest');
+      const candidates = server.getCandidates(openai, request, { args: { prompt: 'Hi' }, history: [], signal: controller.signal });
+
+      expect((await candidates.next()).value.request).toBe(request);
+      controller.abort(new Error('cancelled'));
+
+      await expect(candidates.next()).rejects.toThrow('cancelled');
+      expect(validateRequest).not.toHaveBeenCalled();
+    });
+
+    test('should carry the session history over and record the answering provider', async () => {
+      server.sessions.append('fallback', [
+        { role: 'user', content: 'Earlier question' },
+        { role: 'assistant', content: 'Earlier answer' }
+      ]);
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(502));
+      const generateContent = jest.fn().mockResolvedValue({ response: { text: () => 'Recovered' } });
+      jest.spyOn(server.gemini, 'getGenerativeModel').mockReturnValue({ generateContent });
+
+      await askOpenAI({ session_id: 'fallback' });
+
+      expect(generateContent.mock.calls[0][0].contents.map(content => content.parts[0].text)).toEqual(['Earlier question', 'Earlier answer', 'Hi']);
+      expect(server.sessions.getMessages('fallback')[3]).toEqual({ role: 'assistant', content: 'Recovered' });
+      expect(server.sessions.get('fallback').messages[3]).toMatchObject({ provider: 'gemini', model: 'gemini-1.5-pro' });
+    });
+  });
+});
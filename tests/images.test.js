@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { detectImageType, readImageFile } from '../src/images.js';
+import { validateImages } from '../src/validators.js';
+import { DEFAULTS, ERROR_MESSAGES } from '../src/constants.js';
+import { GeminiProvider } from '../src/providers/gemini.js';
+import { OpenAIProvider } from '../src/providers/openai.js';
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('rest of the image')]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.from('rest of the image')]);
+
+describe('image input', () => {
+  let root;
+  let directory;
+  let originalEnv;
+
+  beforeAll(() => {
+    originalEnv = process.env;
+    root = mkdtempSync(join(tmpdir(), 'ai-bridge-images-'));
+    directory = join(root, 'allowed');
+    mkdirSync(directory);
+    writeFileSync(join(directory, 'screenshot.png'), PNG);
+    writeFileSync(join(directory, 'notes.txt'), 'not an image');
+    writeFileSync(join(root, 'secret.png'), PNG);
+    symlinkSync(join(root, 'secret.png'), join(directory, 'link.png'));
+  });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, IMAGE_INPUT_DIR: directory };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('validation', () => {
+    test('should detect image types from their content', () => {
+      expect(detectImageType(PNG)).toBe('image/png');
+      expect(detectImageType(JPEG)).toBe('image/jpeg');
+      expect(detectImageType(Buffer.from('GIF89a...'))).toBe('image/gif');
+      expect(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+      expect(detectImageType(Buffer.from('<svg>'))).toBeNull();
+    });
+
+    test('should accept base64 data and data URLs', () => {
+      expect(validateImages([
+        { data: PNG.toString('base64') },
+        { data: `data:image/jpeg;base64,${JPEG.toString('base64')}` }
+      ])).toEqual([
+        { mimeType: 'image/png', data: PNG.toString('base64') },
+        { mimeType: 'image/jpeg', data: JPEG.toString('base64') }
+      ]);
+    });
+
+    test('should read files inside IMAGE_INPUT_DIR', () => {
+      expect(validateImages([{ path: 'screenshot.png' }, { path: join(directory, 'screenshot.png'), mime_type: 'image/png' }]))
+        .toEqual([{ mimeType: 'image/png', data: PNG.toString('base64') }, { mimeType: 'image/png', data: PNG.toString('base64') }]);
+    });
+
+    test('should refuse files outside IMAGE_INPUT_DIR', () => {
+      expect(() => readImageFile('../secret.png')).toThrow('is outside IMAGE_INPUT_DIR');
+      expect(() => readImageFile(join(root, 'secret.png'))).toThrow('is outside IMAGE_INPUT_DIR');
+      expect(() => readImageFile('link.png')).toThrow('is outside IMAGE_INPUT_DIR');
+      expect(() => readImageFile('missing.png')).toThrow('cannot read missing.png');
+      expect(() => readImageFile('screenshot.png', { directory: null })).toThrow('file paths are disabled');
+      expect(() => readImageFile('screenshot.png', { directory, maxBytes: 10 })).toThrow('is larger than 10 bytes');
+    });
+
+    test('should reject invalid images', () => {
+      [
+        [[], ERROR_MESSAGES.INVALID_IMAGES],
+        ['abc', ERROR_MESSAGES.INVALID_IMAGES],
+        [Array.from({ length: DEFAULTS.IMAGES.MAX_IMAGES + 1 }, () => ({ data: PNG.toString('base64') })), ERROR_MESSAGES.INVALID_IMAGES],
+        [[{}], 'Invalid image 1: must have either data or path'],
+        [[{ data: PNG.toString('base64'), path: 'screenshot.png' }], 'Invalid image 1: must have either data or path'],
+        [[{ data: 'not base64!' }], 'Invalid image 1: data must be base64 encoded'],
+        [[{ path: 'notes.txt' }], 'Invalid image 1: must be one of image/png, image/jpeg, image/gif, image/webp'],
+        [[{ data: PNG.toString('base64'), mime_type: 'image/jpeg' }], 'Invalid image 1: content is image/png, not image/jpeg'],
+        [[{ data: PNG.toString('base64'), mime_type: 'image/svg+xml' }], 'Invalid image 1: mime_type must be one of'],
+        [[{ data: 'A'.repeat(DEFAULTS.IMAGES.MAX_BYTES * 2) }], `Invalid image 1: must be at most ${DEFAULTS.IMAGES.MAX_BYTES} bytes`]
+      ].forEach(([images, message]) => expect(() => validateImages(images)).toThrow(message));
+    });
+  });
+
+  describe('providers', () => {
+    const image = { data: PNG.toString('base64') };
+
+    test('should send images to OpenAI as content parts of the prompt', () => {
+      const provider = new OpenAIProvider();
+      const params = provider.buildParams(provider.validateRequest({ prompt: 'What is wrong with this UI?', model: 'gpt-4o', images: [image] }));
+
+      expect(params.messages).toEqual([{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is wrong with this UI?' },
+          { type: 'image_url', image_url: { url: `data:image/png;base64,${image.data}` } }
+        ]
+      }]);
+    });
+
+    test('should send images to Gemini as inline data', async () => {
+      const provider = new GeminiProvider();
+      provider.initialize({ GOOGLE_AI_API_KEY: 'test-gemini-key' });
+      const generateContent = jest.fn().mockResolvedValue({ response: { text: () => 'Looks fine' } });
+      provider.client.getGenerativeModel = jest.fn().mockReturnValue({ generateContent });
+
+      await provider.complete(provider.validateRequest({ prompt: 'Describe this diagram', model: 'gemini-pro-vision', images: [image] }));
+
+      expect(generateContent.mock.calls[0][0].contents).toEqual([{
+        role: 'user',
+        parts: [{ text: 'Describe this diagram' }, { inlineData: { mimeType: 'image/png', data: image.data } }]
+      }]);
+    });
+
+    test('should reject images for models without vision', () => {
+      expect(() => new OpenAIProvider().validateRequest({ prompt: 'Hi', model: 'gpt-4', images: [image] }))
+        .toThrow('Model gpt-4 does not support images');
+    });
+  });
+});
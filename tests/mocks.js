@@ -15,6 +15,7 @@ export const mockGeminiResponse = {
 export class MockOpenAI {
   constructor(config) {
     this.apiKey = config?.apiKey;
+    this.config = config;
     this.chat = {
       completions: {
         create: jest.fn().mockResolvedValue(mockOpenAIResponse)
@@ -42,12 +43,17 @@ export class MockServer {
     this.info = info;
     this.options = options;
     this.handlers = new Map();
+    this.notifications = [];
   }
 
   setRequestHandler(schema, handler) {
     this.handlers.set(schema, handler);
   }
 
+  async notification(notification) {
+    this.notifications.push(notification);
+  }
+
   async connect(transport) {
     return Promise.resolve();
   }
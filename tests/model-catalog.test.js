@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+import { MODEL_CATALOG, DEFAULT_CAPABILITIES, getModelCapabilities, isDeprecated } from '../src/modelCatalog.js';
+import { MODELS } from '../src/constants.js';
+import { OpenAIProvider, GeminiProvider, OpenAICompatibleProvider } from '../src/providers/index.js';
+import { ValidationError } from '../src/errors.js';
+
+describe('Model catalog', () => {
+  test('should describe every listed model', () => {
+    for (const service of ['OPENAI', 'GEMINI']) {
+      expect(MODELS[service]).toEqual(Object.keys(MODEL_CATALOG[service]));
+      for (const model of MODELS[service]) {
+        expect(Object.keys(getModelCapabilities(service, model)).sort()).toEqual(Object.keys(DEFAULT_CAPABILITIES).sort());
+      }
+    }
+  });
+
+  test('should fall back to default capabilities for unknown models', () => {
+    expect(getModelCapabilities('OPENAI', 'my-finetune')).toBe(DEFAULT_CAPABILITIES);
+    expect(getModelCapabilities('LOCAL', 'llama3.1:8b')).toBe(DEFAULT_CAPABILITIES);
+  });
+
+  test('should report deprecation once the date has passed', () => {
+    const capabilities = getModelCapabilities('GEMINI', 'gemini-pro-vision');
+
+    expect(isDeprecated(capabilities, new Date('2024-01-01'))).toBe(false);
+    expect(isDeprecated(capabilities, new Date('2024-07-12'))).toBe(true);
+    expect(isDeprecated(getModelCapabilities('OPENAI', 'gpt-4o'))).toBe(false);
+  });
+
+  describe('schema generation', () => {
+    test('should only offer vision-only models for image prompts', () => {
+      const { model } = new GeminiProvider().getToolDefinition().inputSchema.properties;
+
+      expect(model.enum).toContain('gemini-pro-vision');
+      expect(model.enum).toContain('gemini-1.5-pro');
+      expect(model.description).toContain('gemini-1.0-pro-vision-latest, gemini-pro-vision require images');
+    });
+
+    test('should only offer reasoning_effort when a model supports it', () => {
+      const openai = new OpenAIProvider().getToolDefinition().inputSchema.properties;
+      const compatible = new OpenAICompatibleProvider('groq');
+      compatible.initialize({
+        OPENAI_COMPAT_GROQ_BASE_URL: 'https://api.groq.com/openai/v1',
+        OPENAI_COMPAT_GROQ_MODELS: 'llama-3.3-70b-versatile'
+      });
+
+      expect(openai.reasoning_effort.enum).toEqual(['low', 'medium', 'high']);
+      expect(compatible.getToolDefinition().inputSchema.properties).not.toHaveProperty('reasoning_effort');
+    });
+  });
+
+  describe('validation', () => {
+    const provider = new OpenAIProvider();
+
+    test('should drop the default temperature for reasoning models', () => {
+      expect(provider.validateRequest({ prompt: 'Hi', model: 'o3-mini' })).not.toHaveProperty('temperature');
+    });
+
+    test('should reject sampling parameters on reasoning models', () => {
+      expect(() => provider.validateRequest({ prompt: 'Hi', model: 'o1', temperature: 0.2 }))
+        .toThrow('Model o1 does not support temperature');
+      expect(() => provider.validateRequest({ prompt: 'Hi', model: 'o1', top_p: 0.9 }))
+        .toThrow('Model o1 does not support top_p');
+    });
+
+    test('should reject reasoning_effort on models without it', () => {
+      expect(() => provider.validateRequest({ prompt: 'Hi', model: 'gpt-4o', reasoning_effort: 'high' }))
+        .toThrow('Model gpt-4o does not support reasoning_effort');
+      expect(provider.validateRequest({ prompt: 'Hi', model: 'o3-mini', reasoning_effort: 'high' }).reasoningEffort).toBe('high');
+      expect(() => provider.validateRequest({ prompt: 'Hi', model: 'o3-mini', reasoning_effort: 'max' }))
+        .toThrow(ValidationError);
+    });
+
+    test('should enforce the model output limit', () => {
+      expect(() => provider.validateRequest({ prompt: 'Hi', model: 'gpt-4-turbo', max_tokens: 8000 }))
+        .toThrow('model gpt-4-turbo generates at most 4096 tokens');
+    });
+
+    test('should reject text prompts for vision-only models', () => {
+      expect(() => new GeminiProvider().validateRequest({ prompt: 'Hi', model: 'gemini-pro-vision' }))
+        .toThrow('requires image input');
+    });
+  });
+
+  describe('request construction', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OpenAIProvider();
+      provider.initialize({ OPENAI_API_KEY: 'sk-test' });
+    });
+
+    test('should send reasoning model limits as max_completion_tokens', async () => {
+      await provider.complete(provider.validateRequest({ prompt: 'Hi', model: 'o1', max_tokens: 500, reasoning_effort: 'low' }));
+
+      expect(provider.client.chat.completions.create).toHaveBeenCalledWith({
+        model: 'o1',
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_completion_tokens: 500,
+        reasoning_effort: 'low'
+      }, { signal: undefined, maxRetries: 0 });
+    });
+
+    test('should fold the system prompt into the conversation for models without system messages', async () => {
+      await provider.complete(provider.validateRequest({ prompt: 'Hi', model: 'o1-mini', system: 'Be brief' }));
+
+      expect(provider.client.chat.completions.create.mock.calls[0][0].messages).toEqual([
+        { role: 'user', content: 'Be brief' },
+        { role: 'user', content: 'Hi' }
+      ]);
+    });
+  });
+
+  test('should surface capabilities in provider info', () => {
+    const provider = new GeminiProvider();
+    provider.initialize({ GOOGLE_AI_API_KEY: 'test-gemini-key' });
+
+    const info = provider.getInfo();
+
+    expect(info.models).toHaveLength(9);
+    expect(info.catalog['gemini-1.5-pro'].contextWindow).toBe(2097152);
+    expect(info.catalog['gemini-pro-vision'].text).toBe(false);
+  });
+});
@@ -0,0 +1,182 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { OpenAICompatibleProvider, OpenAIProvider, createDefaultRegistry } from '../src/providers/index.js';
+import { SESSION_TOOLS } from '../src/sessions.js';
+import { ConfigurationError } from '../src/errors.js';
+
+describe('OpenAI-compatible endpoints', () => {
+  describe('OpenAICompatibleProvider', () => {
+    test('should build the client from its prefixed settings', () => {
+      const provider = new OpenAICompatibleProvider('azure');
+
+      provider.initialize({
+        OPENAI_COMPAT_AZURE_BASE_URL: 'https://example.openai.azure.com/openai/deployments/gpt4o',
+        OPENAI_COMPAT_AZURE_MODELS: 'gpt-4o, gpt-4o-mini',
+        OPENAI_COMPAT_AZURE_API_VERSION: '2024-10-21',
+        OPENAI_COMPAT_AZURE_HEADERS: '{"api-key":"azure-key"}',
+        OPENAI_COMPAT_AZURE_DISPLAY_NAME: 'Azure'
+      });
+
+      expect(provider.client.config).toEqual({
+        apiKey: 'unused',
+        baseURL: 'https://example.openai.azure.com/openai/deployments/gpt4o',
+        defaultHeaders: { 'api-key': 'azure-key' },
+        defaultQuery: { 'api-version': '2024-10-21' }
+      });
+      expect(provider.toolName).toBe('ask_azure');
+      expect(provider.label).toBe('AZURE');
+      expect(provider.listModels()).toEqual(['gpt-4o', 'gpt-4o-mini']);
+      expect(provider.getDefaultModel()).toBe('gpt-4o');
+    });
+
+    test('should accept keys in any format', () => {
+      const provider = new OpenAICompatibleProvider('groq');
+
+      expect(provider.initialize({
+        OPENAI_COMPAT_GROQ_BASE_URL: 'https://api.groq.com/openai/v1',
+        OPENAI_COMPAT_GROQ_API_KEY: 'gsk_test',
+        OPENAI_COMPAT_GROQ_MODELS: 'llama-3.3-70b-versatile'
+      })).toBe(true);
+      expect(provider.client.apiKey).toBe('gsk_test');
+    });
+
+    test('should not be configured without a base URL', () => {
+      expect(new OpenAICompatibleProvider('groq').initialize({})).toBe(false);
+    });
+
+    test('should require a model list', () => {
+      const provider = new OpenAICompatibleProvider('vllm');
+
+      expect(() => provider.initialize({ OPENAI_COMPAT_VLLM_BASE_URL: 'http://localhost:8000/v1' }))
+        .toThrow(ConfigurationError);
+    });
+
+    test('should reject malformed headers and unknown default models', () => {
+      const env = {
+        OPENAI_COMPAT_GATEWAY_BASE_URL: 'https://llm.internal/v1',
+        OPENAI_COMPAT_GATEWAY_MODELS: 'gpt-4o'
+      };
+      const provider = new OpenAICompatibleProvider('gateway');
+
+      expect(() => provider.initialize({ ...env, OPENAI_COMPAT_GATEWAY_HEADERS: '[1]' })).toThrow('must be a JSON object');
+      expect(() => provider.initialize({ ...env, OPENAI_COMPAT_GATEWAY_HEADERS: '{oops' })).toThrow('must be a JSON object');
+      expect(() => provider.initialize({ ...env, OPENAI_COMPAT_GATEWAY_DEFAULT_MODEL: 'o1' })).toThrow('DEFAULT_MODEL');
+    });
+
+    test('should validate models against the configured list', () => {
+      const provider = new OpenAICompatibleProvider('deepseek');
+      provider.initialize({
+        OPENAI_COMPAT_DEEPSEEK_BASE_URL: 'https://api.deepseek.com',
+        OPENAI_COMPAT_DEEPSEEK_MODELS: 'deepseek-chat,deepseek-reasoner'
+      });
+
+      expect(provider.validateRequest({ prompt: 'Hi', model: 'deepseek-reasoner' }).model).toBe('deepseek-reasoner');
+      expect(() => provider.validateRequest({ prompt: 'Hi', model: 'gpt-4o' })).toThrow('Invalid model');
+    });
+  });
+
+  describe('OpenAIProvider with a custom base URL', () => {
+    test('should skip the sk- key check behind a gateway', () => {
+      const provider = new OpenAIProvider();
+
+      provider.initialize({ OPENAI_API_KEY: 'gateway-token', OPENAI_BASE_URL: 'https://llm.internal/v1' });
+
+      expect(provider.client.config).toEqual({ apiKey: 'gateway-token', baseURL: 'https://llm.internal/v1' });
+    });
+  });
+
+  describe('createDefaultRegistry', () => {
+    test('should register one provider per configured endpoint', () => {
+      const registry = createDefaultRegistry({ OPENAI_COMPATIBLE_PROVIDERS: 'groq, openrouter' });
+
+      expect(registry.getByToolName('ask_groq')).toBeInstanceOf(OpenAICompatibleProvider);
+      expect(registry.getByToolName('ask_openrouter')).toBeInstanceOf(OpenAICompatibleProvider);
+    });
+
+    test('should reject invalid or clashing names', () => {
+      expect(() => createDefaultRegistry({ OPENAI_COMPATIBLE_PROVIDERS: 'my-gateway' })).toThrow(ConfigurationError);
+      expect(() => createDefaultRegistry({ OPENAI_COMPATIBLE_PROVIDERS: 'openai' })).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('AIBridgeServer', () => {
+    let AIBridgeServer;
+    let originalEnv;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = {
+        ...originalEnv,
+        OPENAI_COMPATIBLE_PROVIDERS: 'openrouter',
+        OPENAI_COMPAT_OPENROUTER_BASE_URL: 'https://openrouter.ai/api/v1',
+        OPENAI_COMPAT_OPENROUTER_API_KEY: 'sk-or-test',
+        OPENAI_COMPAT_OPENROUTER_MODELS: 'anthropic/claude-3.5-sonnet,meta-llama/llama-3.1-70b-instruct',
+        OPENAI_COMPAT_OPENROUTER_DISPLAY_NAME: 'OpenRouter'
+      };
+      delete process.env.OPENAI_API_KEY;
+      delete process.env.GOOGLE_AI_API_KEY;
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    test('should expose each endpoint as its own tool', async () => {
+      const server = new AIBridgeServer();
+
+      expect(server.tools.map(t => t.name)).toEqual(['ask_openrouter', 'server_info', ...SESSION_TOOLS.map(t => t.name), 'compare_models', 'consensus', 'run_pipeline', 'count_tokens', 'summarize_large', 'get_usage']);
+
+      const handler = server.server.handlers.get('CallToolRequestSchema');
+      const result = await handler({
+        params: { name: 'ask_openrouter', arguments: { prompt: 'Hello', model: 'meta-llama/llama-3.1-70b-instruct' } }
+      });
+
+      expect(result.content[0].text).toBe(
+        '🤖 OPENROUTER RESPONSE (meta-llama/llama-3.1-70b-instruct):\n\nMock OpenAI response content'
+      );
+    });
+
+    test('should map endpoint errors with the endpoint name', async () => {
+      const server = new AIBridgeServer();
+      server.providers.get('openrouter').client.chat.completions.create = jest.fn().mockRejectedValue({ status: 429 });
+
+      const handler = server.server.handlers.get('CallToolRequestSchema');
+      const result = await handler({
+        params: { name: 'ask_openrouter', arguments: { prompt: 'Hello' } }
+      });
+
+      expect(result.content[0].text).toBe('Error: OpenRouter rate limit exceeded. Please try again later.');
+    });
+  });
+});
@@ -0,0 +1,266 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { BaseProvider, ProviderRegistry, OpenAIProvider, GeminiProvider, createDefaultRegistry } from '../src/providers/index.js';
+import { SESSION_TOOLS } from '../src/sessions.js';
+import { APIError, ConfigurationError, ValidationError } from '../src/errors.js';
+import { DEFAULTS, MODELS } from '../src/constants.js';
+
+class EchoProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'echo',
+      displayName: 'Echo',
+      toolName: 'ask_echo',
+      service: 'OPENAI'
+    });
+  }
+
+  initialize(env) {
+    this.client = env.ECHO_ENABLED ? { enabled: true } : null;
+    return !!this.client;
+  }
+
+  async complete({ messages, model }) {
+    return { text: `echo: ${messages[messages.length - 1].content}`, model };
+  }
+}
+
+describe('Providers', () => {
+  describe('ProviderRegistry', () => {
+    test('should index providers by name and tool name', () => {
+      const registry = new ProviderRegistry().register(new EchoProvider());
+
+      expect(registry.get('echo')).toBeInstanceOf(EchoProvider);
+      expect(registry.getByToolName('ask_echo')).toBe(registry.get('echo'));
+      expect(registry.getByToolName('ask_nothing')).toBeUndefined();
+    });
+
+    test('should reject duplicate providers', () => {
+      const registry = new ProviderRegistry().register(new EchoProvider());
+
+      expect(() => registry.register(new EchoProvider())).toThrow(ConfigurationError);
+    });
+
+    test('should only list configured providers as configured', () => {
+      const registry = new ProviderRegistry().register(new EchoProvider());
+
+      expect(registry.configured()).toHaveLength(0);
+      registry.get('echo').initialize({ ECHO_ENABLED: '1' });
+      expect(registry.configured()).toHaveLength(1);
+    });
+
+    test('should register built-in providers by default', () => {
+      const registry = createDefaultRegistry();
+
+      expect(registry.list().map(p => p.name)).toEqual(['openai', 'gemini', 'local']);
+    });
+  });
+
+  describe('BaseProvider', () => {
+    test('should build a tool schema from the service defaults', () => {
+      const tool = new EchoProvider().getToolDefinition();
+
+      expect(tool.name).toBe('ask_echo');
+      expect(tool.inputSchema.properties.model.enum).toEqual(MODELS.OPENAI);
+      expect(tool.inputSchema.properties.model.default).toBe(DEFAULTS.OPENAI.MODEL);
+      expect(tool.inputSchema.properties.temperature).not.toHaveProperty('default');
+      expect(tool.inputSchema.properties.temperature.description).toContain(`default ${DEFAULTS.OPENAI.TEMPERATURE}`);
+      expect(tool.inputSchema.required).toEqual(['prompt']);
+    });
+
+    test('should validate requests through the shared validators', () => {
+      const provider = new EchoProvider();
+
+      expect(provider.validateRequest({ prompt: ' hi ' })).toEqual({
+        prompt: 'hi',
+        messages: [{ role: 'user', content: 'hi' }],
+        model: DEFAULTS.OPENAI.MODEL,
+        temperature: DEFAULTS.OPENAI.TEMPERATURE
+      });
+      expect(() => provider.validateRequest({ prompt: '' })).toThrow(ValidationError);
+    });
+
+    test('should wrap unknown errors and pass bridge errors through', () => {
+      const provider = new EchoProvider();
+      const validation = new ValidationError('bad');
+
+      expect(provider.mapError(new Error('boom'))).toBeInstanceOf(APIError);
+      expect(provider.mapError(validation)).toBe(validation);
+    });
+
+    test('should refuse to run when not configured', () => {
+      expect(() => new EchoProvider().ensureConfigured()).toThrow('Echo API key not configured');
+    });
+  });
+
+  describe('OpenAIProvider', () => {
+    test('should reject keys with an invalid format', () => {
+      const provider = new OpenAIProvider();
+
+      expect(() => provider.initialize({ OPENAI_API_KEY: 'invalid' })).toThrow(ValidationError);
+      expect(provider.isConfigured()).toBe(false);
+    });
+
+    test('should map SDK errors', () => {
+      const provider = new OpenAIProvider();
+
+      expect(provider.mapError({ status: 429 }).message).toContain('rate limit');
+      expect(provider.mapError({ status: 401 })).toBeInstanceOf(ConfigurationError);
+      expect(provider.mapError({ status: 500, message: 'down' }).service).toBe('OpenAI');
+    });
+  });
+
+  describe('generation parameters', () => {
+    test('should only expose the parameters a provider supports', () => {
+      const openai = new OpenAIProvider().getToolDefinition().inputSchema.properties;
+      const gemini = new GeminiProvider().getToolDefinition().inputSchema.properties;
+
+      expect(openai).toHaveProperty('presence_penalty');
+      expect(openai).toHaveProperty('seed');
+      expect(openai).not.toHaveProperty('top_k');
+      expect(gemini).toHaveProperty('top_k');
+      expect(gemini).not.toHaveProperty('seed');
+      expect(gemini.max_tokens.maximum).toBe(DEFAULTS.GEMINI.MAX_TOKENS);
+    });
+
+    test('should ignore parameters a provider does not support', () => {
+      const request = new GeminiProvider().validateRequest({ prompt: 'Hi', seed: 1, top_k: 20 });
+
+      expect(request.seed).toBeUndefined();
+      expect(request.topK).toBe(20);
+    });
+
+    test('should send OpenAI parameters in chat completions format', async () => {
+      const provider = new OpenAIProvider();
+      provider.initialize({ OPENAI_API_KEY: 'sk-test' });
+      const request = provider.validateRequest({
+        prompt: 'Hi',
+        system: 'Be brief',
+        max_tokens: 100,
+        top_p: 0.5,
+        stop: 'END',
+        seed: 7,
+        presence_penalty: 0.1,
+        frequency_penalty: 0.2
+      }, { signal: undefined, maxRetries: 0 });
+
+      await provider.complete(request);
+
+      expect(provider.client.chat.completions.create).toHaveBeenCalledWith({
+        model: DEFAULTS.OPENAI.MODEL,
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }],
+        temperature: DEFAULTS.OPENAI.TEMPERATURE,
+        max_tokens: 100,
+        top_p: 0.5,
+        stop: ['END'],
+        seed: 7,
+        presence_penalty: 0.1,
+        frequency_penalty: 0.2
+      }, { signal: undefined, maxRetries: 0 });
+    });
+
+    test('should send Gemini parameters as generation config and system instruction', async () => {
+      const provider = new GeminiProvider();
+      provider.initialize({ GOOGLE_AI_API_KEY: 'test-gemini-key' });
+      const getGenerativeModel = jest.spyOn(provider.client, 'getGenerativeModel');
+      const request = provider.validateRequest({
+        prompt: 'Hi',
+        system: 'Be brief',
+        max_tokens: 100,
+        top_p: 0.5,
+        top_k: 20,
+        stop: ['END']
+      });
+
+      await provider.complete(request);
+
+      expect(getGenerativeModel).toHaveBeenCalledWith({
+        model: DEFAULTS.GEMINI.MODEL,
+        generationConfig: {
+          temperature: DEFAULTS.GEMINI.TEMPERATURE,
+          maxOutputTokens: 100,
+          topP: 0.5,
+          topK: 20,
+          stopSequences: ['END']
+        },
+        systemInstruction: { role: 'system', parts: [{ text: 'Be brief' }] }
+      });
+    });
+  });
+
+  describe('GeminiProvider', () => {
+    test('should complete prompts through the SDK client', async () => {
+      const provider = new GeminiProvider();
+      provider.initialize({ GOOGLE_AI_API_KEY: 'test-gemini-key' });
+
+      const result = await provider.complete({
+        messages: [{ role: 'user', content: 'Hi' }],
+        model: 'gemini-1.5-flash',
+        temperature: 0.2
+      });
+
+      expect(result).toEqual({ text: 'Mock Gemini response content', model: 'gemini-1.5-flash' });
+    });
+
+    test('should map quota errors', () => {
+      const error = new GeminiProvider().mapError(new Error('quota exhausted'));
+
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.message).toContain('quota exceeded');
+    });
+  });
+
+  describe('AIBridgeServer with a custom registry', () => {
+    let AIBridgeServer;
+
+    beforeAll(async () => {
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    afterEach(() => {
+      delete process.env.ECHO_ENABLED;
+    });
+
+    test('should expose and dispatch to drop-in providers', async () => {
+      process.env.ECHO_ENABLED = '1';
+      const registry = new ProviderRegistry().register(new EchoProvider());
+      const server = new AIBridgeServer({ registry });
+
+      expect(server.tools.map(t => t.name)).toEqual(['ask_echo', 'server_info', ...SESSION_TOOLS.map(t => t.name), 'compare_models', 'consensus', 'run_pipeline', 'count_tokens', 'summarize_large', 'get_usage']);
+
+      const handler = server.server.handlers.get('CallToolRequestSchema');
+      const result = await handler({
+        params: { name: 'ask_echo', arguments: { prompt: 'ping' } }
+      });
+
+      expect(result.content[0].text).toBe(`🤖 ECHO RESPONSE (${DEFAULTS.OPENAI.MODEL}):\n\necho: ping`);
+    });
+  });
+});
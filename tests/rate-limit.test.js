@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+
+import { ProviderRateLimiter, RateLimiter, getProviderRateLimits, getRateLimitOptions } from '../src/rateLimiter.js';
+import { RateLimitError } from '../src/errors.js';
+
+// A provider whose requests measure 100 prompt tokens plus their max_tokens
+const fakeProvider = name => ({
+  name,
+  measureRequest: request => ({ inputTokens: 100, reservedOutputTokens: request.maxTokens ?? 1024 })
+});
+
+describe('rate limiting', () => {
+  describe('RateLimiter', () => {
+    let now;
+    let limiter;
+
+    beforeEach(() => {
+      now = 0;
+      limiter = new RateLimiter(4, 1000, { now: () => now });
+    });
+
+    test('should allow bursts up to the capacity and refill steadily', () => {
+      for (let i = 0; i < 4; i++) {
+        limiter.checkLimit('key');
+      }
+      expect(() => limiter.checkLimit('key')).toThrow('Rate limit exceeded. Please try again later. Reset at 1970-01-01T00:00:00.250Z');
+
+      now = 249;
+      expect(() => limiter.checkLimit('key')).toThrow(RateLimitError);
+      now = 250;
+      expect(limiter.checkLimit('key')).toEqual({ remaining: 0, reset: new Date(1250) });
+      now = 10000;
+      expect(limiter.getRemaining('key')).toBe(4);
+    });
+
+    test('should take amounts and reject those larger than the capacity', () => {
+      expect(limiter.checkLimit('key', 3).remaining).toBe(1);
+      expect(limiter.getWaitMs('key', 2)).toBe(250);
+      expect(limiter.getWaitMs('key', 5)).toBe(Infinity);
+      expect(() => limiter.checkLimit('key', 5)).toThrow(/^Rate limit exceeded\. Please try again later\.$/);
+      expect(limiter.getRemaining('key')).toBe(1);
+    });
+
+    test('should keep constant memory per key', () => {
+      for (let i = 0; i < 1000; i++) {
+        now += 250;
+        limiter.checkLimit('key');
+      }
+
+      expect(limiter.buckets.size).toBe(1);
+      expect(limiter.buckets.get('key')).toEqual({ tokens: expect.any(Number), updatedAt: now });
+    });
+
+    test('should read the server-wide limit from the environment', () => {
+      expect(getRateLimitOptions({})).toEqual({ maxRequests: 100, windowMs: 60000 });
+      expect(getRateLimitOptions({ RATE_LIMIT_MAX_REQUESTS: '20', RATE_LIMIT_WINDOW_MS: '1000' })).toEqual({ maxRequests: 20, windowMs: 1000 });
+    });
+  });
+
+  describe('getProviderRateLimits', () => {
+    test('should read provider and model limits', () => {
+      const limits = getProviderRateLimits({
+        RATE_LIMITS: JSON.stringify({ openai: { rpm: 500 }, 'openai:gpt-4o': { rpm: 100, tpm: 30000 }, 'local:llama3.1:8b': { tpm: 8000 } })
+      });
+
+      expect(limits).toEqual([
+        { key: 'openai', provider: 'openai', rpm: 500 },
+        { key: 'openai:gpt-4o', provider: 'openai', model: 'gpt-4o', rpm: 100, tpm: 30000 },
+        { key: 'local:llama3.1:8b', provider: 'local', model: 'llama3.1:8b', tpm: 8000 }
+      ]);
+      expect(getProviderRateLimits({})).toEqual([]);
+    });
+
+    test('should reject malformed limits', () => {
+      expect(() => getProviderRateLimits({ RATE_LIMITS: '[]' })).toThrow('RATE_LIMITS must be a JSON object');
+      expect(() => getProviderRateLimits({ RATE_LIMITS: '{"openai": {}}' })).toThrow('RATE_LIMITS.openai must be {"rpm"');
+      expect(() => getProviderRateLimits({ RATE_LIMITS: '{"openai": {"rpm": 1.5}}' })).toThrow('with at least one positive integer');
+      expect(() => getProviderRateLimits({ RATE_LIMITS: '{"openai:": {"rpm": 1}}' })).toThrow('RATE_LIMITS.openai:: keys must be a provider name or provider:model');
+    });
+  });
+
+  describe('ProviderRateLimiter', () => {
+    let now;
+    const createLimiter = limits => new ProviderRateLimiter({ limits: getProviderRateLimits({ RATE_LIMITS: JSON.stringify(limits) }), now: () => now });
+
+    beforeEach(() => {
+      now = 0;
+    });
+
+    test('should limit requests per model and per provider', () => {
+      const limiter = createLimiter({ openai: { rpm: 3 }, 'openai:gpt-4o': { rpm: 1 } });
+      const openai = fakeProvider('openai');
+
+      limiter.acquire(openai, { model: 'gpt-4o' });
+      expect(() => limiter.acquire(openai, { model: 'gpt-4o' })).toThrow('Rate limit exceeded for openai:gpt-4o: 1 requests per minute. Reset at 1970-01-01T00:01:00.000Z');
+      limiter.acquire(openai, { model: 'gpt-4o-mini' });
+      limiter.acquire(fakeProvider('gemini'), { model: 'gpt-4o' });
+      limiter.acquire(openai, { model: 'gpt-4o-mini' });
+      expect(() => limiter.acquire(openai, { model: 'gpt-4o-mini' })).toThrow('Rate limit exceeded for openai: 3 requests per minute.');
+    });
+
+    test('should count the tokens a call may use', () => {
+      const limiter = createLimiter({ 'openai:gpt-4o': { tpm: 2000 } });
+      const openai = fakeProvider('openai');
+
+      limiter.acquire(openai, { model: 'gpt-4o' });
+      expect(() => limiter.acquire(openai, { model: 'gpt-4o' })).toThrow('Rate limit exceeded for openai:gpt-4o: 2000 tokens per minute (this call needs up to 1124). Reset at 1970-01-01T00:00:07.440Z');
+      limiter.acquire(openai, { model: 'gpt-4o', maxTokens: 700 });
+      expect(() => limiter.acquire(openai, { model: 'gpt-4o', maxTokens: 5000 })).toThrow('Request too large for the rate limit of openai:gpt-4o: it needs up to 5100 tokens, and the limit is 2000 tokens per minute');
+    });
+
+    test('should take nothing from any limit when one rejects the call', () => {
+      const limiter = createLimiter({ openai: { rpm: 10, tpm: 100000 }, 'openai:gpt-4o': { rpm: 1 } });
+      const openai = fakeProvider('openai');
+
+      limiter.acquire(openai, { model: 'gpt-4o', maxTokens: 900 });
+      expect(() => limiter.acquire(openai, { model: 'gpt-4o', maxTokens: 900 })).toThrow(RateLimitError);
+
+      expect(limiter.getStatus()).toEqual([
+        { key: 'openai', rpm: 10, requestsRemaining: 9, tpm: 100000, tokensRemaining: 99000 },
+        { key: 'openai:gpt-4o', rpm: 1, requestsRemaining: 0 }
+      ]);
+    });
+  });
+
+  describe('server', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const createServer = (env = {}) => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key', RETRY_MAX_ATTEMPTS: '1', ...env };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    };
+
+    const ask = args => handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hello', model: 'gpt-4o', ...args } } });
+
+    test('should turn away calls over a model quota before calling the API', async () => {
+      createServer({ RATE_LIMITS: '{"openai:gpt-4o": {"rpm": 1}}' });
+
+      await ask();
+      const limited = await ask();
+      await ask({ model: 'gpt-4o-mini' });
+
+      expect(limited.content[0].text).toMatch(/^Error: Rate limit exceeded for openai:gpt-4o: 1 requests per minute\. Reset at /);
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fall back to a provider with quota left', async () => {
+      createServer({ RATE_LIMITS: '{"openai": {"tpm": 1000}}', ASK_OPENAI_FALLBACK: 'gemini:gemini-1.5-pro' });
+
+      const result = await ask();
+
+      expect(result.content[0].text).toBe('🤖 GEMINI RESPONSE (gemini-1.5-pro, fallback from OpenAI gpt-4o):\n\nMock Gemini response content');
+      expect(result._meta.fallbackFrom).toEqual([{ provider: 'openai', model: 'gpt-4o', error: expect.stringMatching(/^Request too large for the rate limit of openai/) }]);
+      expect(server.openai.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    test('should report the limits in server_info', async () => {
+      createServer({ RATE_LIMIT_MAX_REQUESTS: '10', RATE_LIMITS: '{"gemini": {"rpm": 15, "tpm": 1000000}}' });
+
+      await handler({ params: { name: 'ask_gemini', arguments: { prompt: 'Hello', max_tokens: 100 } } });
+      const result = await handler({ params: { name: 'server_info', arguments: {} } });
+      const info = JSON.parse(result.content[0].text.replace('🤖 AI BRIDGE SERVER INFO:\n\n', ''));
+
+      expect(info.rateLimits).toEqual({
+        maxRequests: 10,
+        windowMs: 60000,
+        remaining: 8,
+        providers: [{ key: 'gemini', rpm: 15, requestsRemaining: 14, tpm: 1000000, tokensRemaining: expect.any(Number) }]
+      });
+      expect(info.rateLimits.providers[0].tokensRemaining).toBeLessThan(1000000);
+    });
+  });
+});
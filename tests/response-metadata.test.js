@@ -0,0 +1,258 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+
+import { buildResponseMetadata, formatResponseMetadata, normalizeFinishReason } from '../src/responseMetadata.js';
+import { OpenAIProvider, GeminiProvider, LocalProvider } from '../src/providers/index.js';
+import { OpenAICompatibleProvider } from '../src/providers/openaiCompatible.js';
+
+async function* openAIChunks(parts, { finishReason = 'stop', usage } = {}) {
+  for (const part of parts) {
+    yield { choices: [{ delta: { content: part }, finish_reason: null }] };
+  }
+  yield { choices: [{ delta: {}, finish_reason: finishReason }] };
+  if (usage) {
+    yield { choices: [], usage };
+  }
+}
+
+async function* lineChunks(lines) {
+  yield new TextEncoder().encode(lines.join('\n'));
+}
+
+const truncatedCompletion = {
+  choices: [{ message: { content: 'The answer is cut' }, finish_reason: 'length' }],
+  usage: { prompt_tokens: 12, completion_tokens: 5 }
+};
+
+describe('response metadata', () => {
+  describe('helpers', () => {
+    test('should normalize the finish reasons of every backend', () => {
+      expect(normalizeFinishReason('stop')).toBe('stop');
+      expect(normalizeFinishReason('length')).toBe('length');
+      expect(normalizeFinishReason('MAX_TOKENS')).toBe('length');
+      expect(normalizeFinishReason('SAFETY')).toBe('content_filter');
+      expect(normalizeFinishReason('RECITATION')).toBe('content_filter');
+      expect(normalizeFinishReason('OTHER')).toBe('other');
+      expect(normalizeFinishReason(null)).toBeUndefined();
+    });
+
+    test('should flag truncated answers', () => {
+      const metadata = buildResponseMetadata({ provider: 'openai', model: 'gpt-4o', latencyMs: 42, usage: { inputTokens: 12, outputTokens: 5 }, finishReason: 'length' });
+
+      expect(metadata).toEqual({
+        provider: 'openai',
+        model: 'gpt-4o',
+        latencyMs: 42,
+        usage: { inputTokens: 12, outputTokens: 5 },
+        finishReason: 'length',
+        truncated: true,
+        warning: expect.stringContaining('reached the output token limit')
+      });
+      expect(formatResponseMetadata(metadata)).toBe([
+        'Response metadata:',
+        '- Model: openai gpt-4o',
+        '- Tokens: 12 prompt, 5 completion',
+        '- Latency: 42ms',
+        '- Finish reason: length',
+        `⚠️ ${metadata.warning}`
+      ].join('\n'));
+    });
+
+    test('should say when nothing was reported', () => {
+      const metadata = buildResponseMetadata({ provider: 'local', model: 'llama3', latencyMs: 7 });
+
+      expect(metadata).toEqual({ provider: 'local', model: 'llama3', latencyMs: 7, truncated: false });
+      expect(formatResponseMetadata(metadata)).toContain('- Tokens: not reported\n- Latency: 7ms\n- Finish reason: not reported');
+    });
+  });
+
+  describe('providers', () => {
+    test('should report OpenAI finish reasons and usage, also when streaming', async () => {
+      const provider = new OpenAIProvider();
+      provider.initialize({ OPENAI_API_KEY: 'sk-test' });
+      provider.client.chat.completions.create = jest.fn().mockResolvedValue(truncatedCompletion);
+
+      expect(await provider.complete(provider.validateRequest({ prompt: 'Hi' }))).toEqual({
+        text: 'The answer is cut',
+        model: 'gpt-4o-mini',
+        usage: { inputTokens: 12, outputTokens: 5 },
+        finishReason: 'length'
+      });
+
+      provider.client.chat.completions.create = jest.fn().mockResolvedValue(
+        openAIChunks(['Hel', 'lo'], { usage: { prompt_tokens: 8, completion_tokens: 2 } })
+      );
+      const streamed = await provider.complete(provider.validateRequest({ prompt: 'Hi' }), { onChunk: jest.fn() });
+
+      expect(streamed).toEqual({ text: 'Hello', model: 'gpt-4o-mini', usage: { inputTokens: 8, outputTokens: 2 }, finishReason: 'stop' });
+      expect(provider.client.chat.completions.create.mock.calls[0][0].stream_options).toEqual({ include_usage: true });
+    });
+
+    test('should not ask OpenAI-compatible endpoints for streamed usage', async () => {
+      const provider = new OpenAICompatibleProvider('groq');
+      provider.initialize({ OPENAI_COMPAT_GROQ_BASE_URL: 'https://api.groq.com/openai/v1', OPENAI_COMPAT_GROQ_MODELS: 'llama-3.3-70b-versatile' });
+      provider.client.chat.completions.create = jest.fn().mockResolvedValue(openAIChunks(['Hi'], { finishReason: 'length' }));
+
+      const streamed = await provider.complete(provider.validateRequest({ prompt: 'Hi' }), { onChunk: jest.fn() });
+
+      expect(streamed.finishReason).toBe('length');
+      expect(provider.client.chat.completions.create.mock.calls[0][0]).not.toHaveProperty('stream_options');
+    });
+
+    test('should report Gemini finish reasons, also when streaming', async () => {
+      const provider = new GeminiProvider();
+      provider.initialize({ GOOGLE_AI_API_KEY: 'test-gemini-key' });
+      const response = {
+        text: () => 'Blocked',
+        candidates: [{ finishReason: 'SAFETY' }],
+        usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 1 }
+      };
+      const generateContent = jest.fn().mockResolvedValue({ response });
+      const generateContentStream = jest.fn().mockResolvedValue({
+        stream: (async function* () { yield { text: () => 'Blocked' }; })(),
+        response: Promise.resolve({ ...response, candidates: [{ finishReason: 'MAX_TOKENS' }] })
+      });
+      provider.client.getGenerativeModel = () => ({ generateContent, generateContentStream });
+
+      expect(await provider.complete(provider.validateRequest({ prompt: 'Hi' }))).toMatchObject({
+        usage: { inputTokens: 4, outputTokens: 1 },
+        finishReason: 'content_filter'
+      });
+      expect((await provider.complete(provider.validateRequest({ prompt: 'Hi' }), { onChunk: jest.fn() })).finishReason).toBe('length');
+    });
+
+    test('should report the done reason of streamed Ollama answers', async () => {
+      const fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        body: lineChunks([
+          JSON.stringify({ message: { content: 'Local' }, done: false }),
+          JSON.stringify({ message: { content: '' }, done: true, done_reason: 'length', prompt_eval_count: 9, eval_count: 1 })
+        ])
+      });
+      const provider = new LocalProvider({ fetch });
+      provider.initialize({ LOCAL_AI_BASE_URL: 'http://localhost:11434' });
+
+      const result = await provider.complete({ messages: [{ role: 'user', content: 'Hi' }], model: 'llama3.1:8b', temperature: 0.7 }, { onChunk: jest.fn() });
+
+      expect(result).toEqual({ text: 'Local', model: 'llama3.1:8b', usage: { inputTokens: 9, outputTokens: 1 }, finishReason: 'length' });
+    });
+
+    test('should report the finish reason of OpenAI-style local servers', async () => {
+      const fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Done' }, finish_reason: 'stop' }], usage: { prompt_tokens: 3, completion_tokens: 1 } })
+      });
+      const provider = new LocalProvider({ fetch });
+      provider.initialize({ LOCAL_AI_BASE_URL: 'http://localhost:8080', LOCAL_AI_API_FORMAT: 'openai' });
+
+      const result = await provider.complete({ messages: [{ role: 'user', content: 'Hi' }], model: 'm', temperature: 0.7 });
+
+      expect(result).toEqual({ text: 'Done', model: 'm', usage: { inputTokens: 3, outputTokens: 1 }, finishReason: 'stop' });
+    });
+  });
+
+  describe('tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key', RETRY_MAX_ATTEMPTS: '1' };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const call = (name, args) => handler({ params: { name, arguments: args } });
+
+    test('should follow ask answers with a metadata block', async () => {
+      server.openai.chat.completions.create.mockResolvedValue(truncatedCompletion);
+
+      const result = await call('ask_openai', { prompt: 'Hi', max_tokens: 5 });
+
+      expect(result.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4o-mini):\n\nThe answer is cut');
+      expect(result.content[1].text).toMatch(/^Response metadata:\n- Model: openai gpt-4o-mini\n- Tokens: 12 prompt, 5 completion\n- Latency: \d+ms\n- Finish reason: length\n⚠️ The answer was cut off/);
+      expect(result._meta).toEqual({
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        attempts: 1,
+        latencyMs: expect.any(Number),
+        usage: { inputTokens: 12, outputTokens: 5 },
+        finishReason: 'length',
+        truncated: true,
+        warning: expect.stringContaining('max_tokens')
+      });
+    });
+
+    test('should flag truncated answers in comparisons and pipelines', async () => {
+      server.openai.chat.completions.create.mockResolvedValue(truncatedCompletion);
+
+      const comparison = await call('compare_models', {
+        prompt: 'Hi',
+        models: [{ provider: 'openai', model: 'gpt-4o' }, { provider: 'gemini' }]
+      });
+
+      expect(comparison.content[0].text).toMatch(/### 1\. OpenAI gpt-4o \(\d+ms, 12 in \/ 5 out tokens\)\n⚠️ The answer was cut off[^\n]*\nThe answer is cut/);
+      expect(comparison._meta.answers).toEqual([
+        expect.objectContaining({ provider: 'openai', model: 'gpt-4o', finishReason: 'length', truncated: true }),
+        expect.objectContaining({ provider: 'gemini', model: 'gemini-1.5-flash-latest', truncated: false })
+      ]);
+
+      const pipeline = await call('run_pipeline', { steps: [{ provider: 'gemini', prompt: 'Draft' }, { provider: 'openai', prompt: 'Edit' }] });
+
+      expect(pipeline.content[0].text).toMatch(/### Step 2 \(OpenAI gpt-4o-mini, \d+ms\)\n⚠️ The answer was cut off/);
+      expect(pipeline._meta.steps.map(({ step, truncated }) => ({ step, truncated }))).toEqual([
+        { step: 1, truncated: false },
+        { step: 2, truncated: true }
+      ]);
+    });
+
+    test('should describe the consensus judge', async () => {
+      const result = await call('consensus', {
+        prompt: 'Hi',
+        models: [{ provider: 'openai' }, { provider: 'gemini' }],
+        judge: { provider: 'gemini' }
+      });
+
+      expect(result.content[1].text).toMatch(/^Response metadata:\n- Model: gemini gemini-1\.5-flash-latest\n/);
+      expect(result._meta.judge).toMatchObject({ provider: 'gemini', model: 'gemini-1.5-flash-latest', truncated: false });
+      expect(result._meta.answers).toHaveLength(2);
+    });
+  });
+});
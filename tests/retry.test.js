@@ -0,0 +1,229 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { withRetry, getRetryPolicy, getRetryAfterMs, getBackoffDelayMs } from '../src/retry.js';
+import { DEFAULTS } from '../src/constants.js';
+import { ValidationError, CancelledError } from '../src/errors.js';
+import { OpenAIProvider, GeminiProvider, LocalProvider, OpenAICompatibleProvider } from '../src/providers/index.js';
+
+const FAST = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 10 };
+
+function httpError(status, extra = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status }, extra);
+}
+
+describe('Retry', () => {
+  describe('withRetry', () => {
+    test('should return the result and attempt count on success', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValue('ok');
+
+      await expect(withRetry(operation, FAST)).resolves.toEqual({ result: 'ok', attempts: 2 });
+      expect(operation.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2]);
+    });
+
+    test('should give up after maxAttempts and rethrow the last error', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(500));
+
+      await expect(withRetry(operation, FAST)).rejects.toThrow('HTTP 500');
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry errors isRetryable rejects', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(400));
+
+      await expect(withRetry(operation, { ...FAST, isRetryable: error => error.status >= 500 })).rejects.toThrow('HTTP 400');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should wait for Retry-After before retrying', async () => {
+      const onRetry = jest.fn();
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(429, { headers: { 'retry-after-ms': '5' } }))
+        .mockResolvedValue('ok');
+
+      await withRetry(operation, { ...FAST, onRetry });
+
+      expect(onRetry).toHaveBeenCalledWith(expect.any(Error), 1, 5);
+    });
+
+    test('should not wait for a Retry-After beyond the maximum delay', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(429, { headers: { 'retry-after': '60' } }));
+
+      await expect(withRetry(operation, FAST)).rejects.toThrow('HTTP 429');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop waiting when the signal aborts', async () => {
+      const controller = new AbortController();
+      const operation = jest.fn().mockRejectedValue(httpError(503));
+      const pending = withRetry(operation, { maxAttempts: 3, baseDelayMs: 60000, maxDelayMs: 60000, signal: controller.signal });
+
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort(new CancelledError('stop'));
+
+      await expect(pending).rejects.toThrow('stop');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('delays', () => {
+    test('should grow exponentially with jitter up to the maximum', () => {
+      const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+      expect(getBackoffDelayMs(1, policy, () => 0)).toBe(50);
+      expect(getBackoffDelayMs(1, policy, () => 1)).toBe(100);
+      expect(getBackoffDelayMs(3, policy, () => 1)).toBe(400);
+      expect(getBackoffDelayMs(10, policy, () => 1)).toBe(1000);
+    });
+
+    test('should parse Retry-After headers', () => {
+      const now = Date.parse('2025-01-01T00:00:00Z');
+
+      expect(getRetryAfterMs({ headers: { 'retry-after': '2' } })).toBe(2000);
+      expect(getRetryAfterMs({ headers: { 'retry-after-ms': '150', 'retry-after': '2' } })).toBe(150);
+      expect(getRetryAfterMs({ headers: { 'retry-after': 'Wed, 01 Jan 2025 00:00:03 GMT' } }, now)).toBe(3000);
+      expect(getRetryAfterMs({ headers: new Headers({ 'Retry-After': '1' }) })).toBe(1000);
+      expect(getRetryAfterMs({ headers: {} })).toBeNull();
+      expect(getRetryAfterMs(new Error('no headers'))).toBeNull();
+    });
+  });
+
+  describe('policy', () => {
+    test('should use defaults without configuration', () => {
+      expect(getRetryPolicy({}, 'OPENAI_')).toEqual({
+        maxAttempts: DEFAULTS.RETRY.MAX_ATTEMPTS,
+        baseDelayMs: DEFAULTS.RETRY.BASE_DELAY_MS,
+        maxDelayMs: DEFAULTS.RETRY.MAX_DELAY_MS
+      });
+    });
+
+    test('should let providers override the global maximum attempts', () => {
+      const env = { RETRY_MAX_ATTEMPTS: '5', GEMINI_RETRY_MAX_ATTEMPTS: '1', OPENAI_COMPAT_GROQ_RETRY_MAX_ATTEMPTS: '2' };
+
+      expect(new OpenAIProvider().getRetryPolicy(env).maxAttempts).toBe(5);
+      expect(new GeminiProvider().getRetryPolicy(env).maxAttempts).toBe(1);
+      expect(new OpenAICompatibleProvider('groq').getRetryPolicy(env).maxAttempts).toBe(2);
+      expect(new LocalProvider().getRetryPolicy({ LOCAL_AI_RETRY_MAX_ATTEMPTS: '4' }).maxAttempts).toBe(4);
+    });
+  });
+
+  describe('retryable errors', () => {
+    test('should only retry transient failures', () => {
+      const provider = new OpenAIProvider();
+
+      [408, 429, 500, 503].forEach(status => expect(provider.isRetryable(httpError(status))).toBe(true));
+      [400, 401, 404].forEach(status => expect(provider.isRetryable(httpError(status))).toBe(false));
+      expect(provider.isRetryable(httpError(429, { code: 'insufficient_quota' }))).toBe(false);
+      expect(provider.isRetryable(Object.assign(new Error('socket hang up'), { name: 'APIConnectionError' }))).toBe(true);
+      expect(provider.isRetryable(new ValidationError('bad request'))).toBe(false);
+    });
+
+    test('should read the status from Gemini error messages', () => {
+      const provider = new GeminiProvider();
+
+      expect(provider.isRetryable(new Error('Error fetching from https://example: [503 Service Unavailable] overloaded'))).toBe(true);
+      expect(provider.isRetryable(new Error('Error fetching from https://example: [400 Bad Request] invalid'))).toBe(false);
+    });
+  });
+
+  describe('ask tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', RETRY_BASE_DELAY_MS: '1' };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    test('should answer after a transient failure and report the attempts', async () => {
+      const create = server.openai.chat.completions.create;
+      server.openai.chat.completions.create = jest.fn()
+        .mockRejectedValueOnce(httpError(502))
+        .mockImplementation(create);
+
+      const result = await handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hi' } } });
+
+      expect(result.content[0].text).toContain('Mock OpenAI response content');
+      expect(result._meta.attempts).toBe(2);
+      expect(server.openai.chat.completions.create.mock.calls[0][1].maxRetries).toBe(0);
+    });
+
+    test('should report a single attempt when the first call succeeds', async () => {
+      const result = await handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hi' } } });
+
+      expect(result._meta).toEqual({ provider: 'openai', model: 'gpt-4o-mini', attempts: 1, latencyMs: expect.any(Number), truncated: false });
+    });
+
+    test('should not retry authentication errors', async () => {
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(401));
+
+      const result = await handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hi' } } });
+
+      expect(result.content[0].text).toContain('Invalid OpenAI API key');
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('should respect OPENAI_RETRY_MAX_ATTEMPTS', async () => {
+      process.env.OPENAI_RETRY_MAX_ATTEMPTS = '1';
+      server.openai.chat.completions.create = jest.fn().mockRejectedValue(httpError(503));
+
+      await handler({ params: { name: 'ask_openai', arguments: { prompt: 'Hi' } } });
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not retry once part of the answer has been streamed', async () => {
+      server.openai.chat.completions.create = jest.fn().mockResolvedValue((async function* () {
+        yield { choices: [{ delta: { content: 'Partial' } }] };
+        throw httpError(503);
+      })());
+
+      const result = await handler({
+        params: { name: 'ask_openai', arguments: { prompt: 'Hi' }, _meta: { progressToken: 'p' } }
+      });
+
+      expect(result.content[0].text).toContain('Error');
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(1);
+    });
+  });
+});
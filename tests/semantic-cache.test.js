@@ -0,0 +1,269 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+
+import { LocalProvider, ProviderRegistry } from '../src/providers/index.js';
+import { ConfigurationError } from '../src/errors.js';
+import { ProviderEmbedder, SemanticCache, buildScopeKey, cosineSimilarity, createSemanticCache, getSemanticCacheOptions } from '../src/semanticCache.js';
+
+const VECTORS = {
+  'What is the capital of France?': [1, 0, 0],
+  "What's the capital city of France?": [0.98, 0.2, 0],
+  'Name the capital of France': [0.9, 0.1, 0.42],
+  'How is the weather in Paris?': [0.3, 0, 0.95]
+};
+
+// Embeds the prompts above to fixed vectors, and anything else to an unrelated one
+function createFakeEmbedder() {
+  return {
+    name: 'fake',
+    embed: jest.fn(async texts => texts.map(text => VECTORS[text] ?? [0, 1, 0]))
+  };
+}
+
+const openai = { name: 'openai' };
+
+const request = (prompt, overrides = {}) => ({
+  prompt,
+  messages: [{ role: 'user', content: prompt }],
+  model: 'gpt-4o-mini',
+  temperature: 0,
+  ...overrides
+});
+
+describe('semantic cache', () => {
+  test('should compute cosine similarity', () => {
+    expect(cosineSimilarity([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([1, 0], [-1, 0])).toBe(-1);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+  });
+
+  test('should scope answers to everything but the prompt', () => {
+    const scope = buildScopeKey(openai, request('Hello'));
+
+    expect(buildScopeKey(openai, request('Hi there'))).toBe(scope);
+    expect(buildScopeKey({ name: 'gemini' }, request('Hello'))).not.toBe(scope);
+    expect(buildScopeKey(openai, request('Hello', { system: 'Be brief' }))).not.toBe(scope);
+    expect(buildScopeKey(openai, request('Hello', { messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hey' }, { role: 'user', content: 'Hello' }] }))).not.toBe(scope);
+    expect(buildScopeKey(openai, request('Hello', { attachments: [{ path: 'a.md', content: 'A', bytes: 1 }] })))
+      .not.toBe(buildScopeKey(openai, request('Hello', { attachments: [{ path: 'a.md', content: 'B', bytes: 1 }] })));
+  });
+
+  describe('SemanticCache', () => {
+    let now;
+    const createCache = options => new SemanticCache({ embedder: createFakeEmbedder(), maxEntries: 2, ttlMs: 1000, now: () => now, ...options });
+
+    beforeEach(() => {
+      now = 0;
+    });
+
+    test('should return the most similar answer above the threshold', async () => {
+      const cache = createCache({ threshold: 0.9, maxEntries: 5 });
+      cache.set('scope', 'What is the capital of France?', VECTORS['What is the capital of France?'], { text: 'Paris' });
+      cache.set('scope', 'Name the capital of France', VECTORS['Name the capital of France'], { text: 'Paris!' });
+      cache.set('other', "What's the capital city of France?", VECTORS["What's the capital city of France?"], { text: 'Other scope' });
+
+      expect(cache.find('scope', await cache.embed("What's the capital city of France?"))).toEqual({
+        prompt: 'What is the capital of France?',
+        similarity: 0.98,
+        value: { text: 'Paris' }
+      });
+      expect(cache.find('scope', await cache.embed('How is the weather in Paris?'))).toBeNull();
+      expect(cache.getStats()).toEqual({ enabled: true, embedder: 'fake', threshold: 0.9, entries: 3, hits: 1, misses: 1, embeddingErrors: 0 });
+    });
+
+    test('should expire and evict entries', () => {
+      const cache = createCache({ threshold: 0.5 });
+      cache.set('scope', 'a', [1, 0], 'A');
+      now = 500;
+      cache.set('scope', 'b', [0, 1], 'B');
+      cache.find('scope', [1, 0]);
+      cache.set('scope', 'c', [1, 1], 'C');
+
+      expect(cache.entries.map(entry => entry.prompt)).toEqual(['a', 'c']);
+      now = 1000;
+      expect(cache.find('scope', [1, 0.1])).toMatchObject({ prompt: 'c' });
+      expect(cache.entries.map(entry => entry.prompt)).toEqual(['c']);
+    });
+
+    test('should keep prompts to the local provider away from other embedders', () => {
+      const local = { name: 'local' };
+
+      expect(createCache().isCacheable(openai, request('Hello'))).toBe(true);
+      expect(createCache().isCacheable(local, request('Hello'))).toBe(false);
+      expect(createCache({ embedder: new ProviderEmbedder(new LocalProvider()) }).isCacheable(local, request('Hello'))).toBe(true);
+      expect(createCache({ providers: ['local'] }).isCacheable(local, request('Hello'))).toBe(true);
+      expect(createCache({ providers: ['local'] }).isCacheable(openai, request('Hello'))).toBe(false);
+      expect(createCache().isCacheable(openai, request('Hello', { temperature: 0.7 }))).toBe(false);
+    });
+
+    test('should carry on without the cache when embedding fails', async () => {
+      const cache = createCache({ embedder: { embed: jest.fn().mockRejectedValue(new Error('HTTP 500')) } });
+
+      expect(await cache.embed('Hello')).toBeNull();
+      expect(cache.getStats()).toMatchObject({ embedder: 'custom', embeddingErrors: 1 });
+    });
+  });
+
+  describe('configuration', () => {
+    const registry = () => {
+      const providers = new ProviderRegistry();
+      providers.register(new LocalProvider({ fetch: jest.fn(async () => ({ ok: true, json: async () => ({ embeddings: [[0.5, 0.5]] }) })) }));
+      return providers;
+    };
+
+    test('should be off unless enabled or given an embedder', () => {
+      expect(createSemanticCache({ providers: registry(), env: {} })).toBeNull();
+      expect(createSemanticCache({ providers: registry(), embedder: createFakeEmbedder(), env: {} })).toBeInstanceOf(SemanticCache);
+    });
+
+    test('should embed with the configured provider', async () => {
+      const providers = registry();
+      providers.get('local').initialize({ LOCAL_AI_BASE_URL: 'http://localhost:11434' });
+      const cache = createSemanticCache({
+        providers,
+        env: { SEMANTIC_CACHE: 'true', SEMANTIC_CACHE_EMBEDDER: 'local', SEMANTIC_CACHE_EMBEDDING_MODEL: 'mxbai-embed-large', SEMANTIC_CACHE_THRESHOLD: '0.9' }
+      });
+
+      expect(await cache.embed('Hello')).toEqual([0.5, 0.5]);
+      expect(providers.get('local').fetch).toHaveBeenCalledWith('http://localhost:11434/api/embed', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ model: 'mxbai-embed-large', input: ['Hello'] })
+      }));
+      expect(cache.getStats()).toMatchObject({ embedder: 'local mxbai-embed-large', threshold: 0.9 });
+    });
+
+    test('should reject unusable settings', () => {
+      expect(() => createSemanticCache({ providers: registry(), env: { SEMANTIC_CACHE: 'true', SEMANTIC_CACHE_EMBEDDER: 'gemini' } }))
+        .toThrow(new ConfigurationError('Invalid SEMANTIC_CACHE_EMBEDDER: gemini does not provide embeddings'));
+      expect(createSemanticCache({ providers: registry(), env: { SEMANTIC_CACHE: 'true', SEMANTIC_CACHE_EMBEDDER: 'local' } })).toBeNull();
+      expect(() => getSemanticCacheOptions({ SEMANTIC_CACHE_THRESHOLD: '95' })).toThrow('SEMANTIC_CACHE_THRESHOLD must be a number above 0 and at most 1');
+      expect(getSemanticCacheOptions({})).toMatchObject({ threshold: 0.95, maxEntries: 500, providers: null });
+      expect(getSemanticCacheOptions({ SEMANTIC_CACHE_PROVIDERS: 'OpenAI, local' }).providers).toEqual(['openai', 'local']);
+    });
+  });
+
+  describe('ask tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let embedder;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key', RETRY_MAX_ATTEMPTS: '1' };
+      embedder = createFakeEmbedder();
+      server = new AIBridgeServer({ embedder });
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    const ask = (prompt, args) => handler({ params: { name: 'ask_openai', arguments: { prompt, temperature: 0, ...args } } });
+
+    test('should answer a near-duplicate prompt and show the prompt it matched', async () => {
+      await ask('What is the capital of France?');
+      const result = await ask("What's the capital city of France?");
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(1);
+      expect(result.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4o-mini, cached answer to a similar prompt):\n\nMock OpenAI response content');
+      expect(result.content[2].text).toBe('Answered with the stored answer to a similar prompt (similarity 0.98):\n> What is the capital of France?');
+      expect(result._meta).toMatchObject({ cached: true, attempts: 0, similarPrompt: { prompt: 'What is the capital of France?', similarity: 0.98 } });
+    });
+
+    test('should ask the model about different questions', async () => {
+      await ask('What is the capital of France?');
+      await ask('How is the weather in Paris?');
+      await ask("What's the capital city of France?", { system: 'Answer in French' });
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(3);
+    });
+
+    test('should go ahead without the cache when embedding fails', async () => {
+      embedder.embed.mockRejectedValue(new Error('embeddings unavailable'));
+
+      const result = await ask('What is the capital of France?');
+
+      expect(result.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4o-mini):\n\nMock OpenAI response content');
+      expect(server.semanticCache.getStats()).toMatchObject({ entries: 0, embeddingErrors: 1 });
+    });
+
+    test('should record, budget and rate limit the calls of the built-in embedder', async () => {
+      process.env = { ...process.env, SEMANTIC_CACHE: 'true', RATE_LIMITS: '{"openai:text-embedding-3-small": {"rpm": 1}}' };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+      server.openai.embeddings = {
+        create: jest.fn(async ({ input }) => ({ data: input.map(text => ({ embedding: VECTORS[text] })), usage: { prompt_tokens: 8 } }))
+      };
+
+      await ask('What is the capital of France?', { session_id: 'chat' });
+      const result = await ask("What's the capital city of France?");
+
+      expect(result.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4o-mini):\n\nMock OpenAI response content');
+      expect(server.openai.embeddings.create).toHaveBeenCalledTimes(1);
+      expect(server.semanticCache.getStats()).toMatchObject({ embedder: 'openai', embeddingErrors: 1 });
+      expect(server.usage.entries.filter(entry => entry.model === 'text-embedding-3-small')).toEqual([
+        expect.objectContaining({ provider: 'openai', sessionId: 'chat', inputTokens: 8, outputTokens: 0, cost: 0.00000016 })
+      ]);
+    });
+
+    test('should follow the cache argument and the temperature rule', async () => {
+      await ask('What is the capital of France?', { cache: 'bypass' });
+      await ask('What is the capital of France?', { temperature: 0.7 });
+      expect(embedder.embed).not.toHaveBeenCalled();
+
+      await ask('What is the capital of France?');
+      const refreshed = await ask("What's the capital city of France?", { cache: 'refresh' });
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(4);
+      expect(refreshed._meta.cached).toBeUndefined();
+      expect(server.semanticCache.entries.map(entry => entry.prompt)).toEqual(['What is the capital of France?', "What's the capital city of France?"]);
+      expect(server.semanticCache.getStats()).toMatchObject({ hits: 0, misses: 1 });
+    });
+
+    test('should report its stats in server_info', async () => {
+      await ask('What is the capital of France?');
+      await ask("What's the capital city of France?");
+
+      const result = await handler({ params: { name: 'server_info', arguments: {} } });
+      const info = JSON.parse(result.content[0].text.replace('🤖 AI BRIDGE SERVER INFO:\n\n', ''));
+
+      expect(info.semanticCache).toEqual({ enabled: true, embedder: 'fake', threshold: 0.95, entries: 1, hits: 1, misses: 1, embeddingErrors: 0 });
+      expect(info.cache).toMatchObject({ hits: 0, misses: 2 });
+    });
+  });
+});
@@ -39,6 +39,8 @@ jest.mock('../src/logger.js', () => ({
   default: mockLogger
 }));
 
+import { DEFAULTS } from '../src/constants.js';
+
 describe('AIBridgeServer Integration Tests', () => {
   let AIBridgeServer;
   let originalEnv;
@@ -187,7 +189,7 @@ describe('AIBridgeServer Integration Tests', () => {
       expect(info.security).toBeDefined();
       expect(info.security.inputValidation).toBe(true);
       expect(info.security.rateLimiting).toBe(true);
-      expect(info.security.promptMaxLength).toBe(10000);
+      expect(info.security.promptMaxLength).toBe(DEFAULTS.PROMPT.MAX_LENGTH);
     });
   });
 
@@ -1,6 +1,10 @@
 import { jest } from '@jest/globals';
 import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport } from './mocks.js';
 import { MODELS } from '../src/constants.js';
+import { SESSION_TOOLS } from '../src/sessions.js';
+
+// Tools that are always available, regardless of configured providers
+const UTILITY_TOOLS = ['server_info', ...SESSION_TOOLS.map(t => t.name), 'compare_models', 'consensus', 'run_pipeline', 'count_tokens', 'summarize_large', 'get_usage'];
 
 // Mock all external dependencies
 jest.mock('openai', () => ({
@@ -289,7 +293,7 @@ describe('AIBridgeServer', () => {
       
       expect(server.openai).toBeNull();
       expect(server.gemini).toBeNull();
-      expect(server.tools).toHaveLength(1); // Only server_info tool
+      expect(server.tools).toHaveLength(UTILITY_TOOLS.length); // Only utility tools
       expect(server.tools[0].name).toBe('server_info');
     });
 
@@ -301,7 +305,7 @@ describe('AIBridgeServer', () => {
       
       expect(server.openai).toBeTruthy();
       expect(server.gemini).toBeNull();
-      expect(server.tools).toHaveLength(2); // ask_openai and server_info
+      expect(server.tools).toHaveLength(1 + UTILITY_TOOLS.length); // ask_openai and utility tools
       expect(server.tools.find(t => t.name === 'ask_openai')).toBeTruthy();
     });
 
@@ -313,7 +317,7 @@ describe('AIBridgeServer', () => {
       
       expect(server.openai).toBeNull();
       expect(server.gemini).toBeTruthy();
-      expect(server.tools).toHaveLength(2); // ask_gemini and server_info
+      expect(server.tools).toHaveLength(1 + UTILITY_TOOLS.length); // ask_gemini and utility tools
       expect(server.tools.find(t => t.name === 'ask_gemini')).toBeTruthy();
     });
 
@@ -325,7 +329,7 @@ describe('AIBridgeServer', () => {
       
       expect(server.openai).toBeTruthy();
       expect(server.gemini).toBeTruthy();
-      expect(server.tools).toHaveLength(3); // all three tools
+      expect(server.tools).toHaveLength(2 + UTILITY_TOOLS.length); // both ask tools and utility tools
       expect(server.tools.find(t => t.name === 'ask_openai')).toBeTruthy();
       expect(server.tools.find(t => t.name === 'ask_gemini')).toBeTruthy();
       expect(server.tools.find(t => t.name === 'server_info')).toBeTruthy();
@@ -345,8 +349,8 @@ describe('AIBridgeServer', () => {
       const handler = server.server.handlers.get('ListToolsRequestSchema');
       const result = await handler();
 
-      expect(result.tools).toHaveLength(3);
-      expect(result.tools.map(t => t.name)).toEqual(['ask_openai', 'ask_gemini', 'server_info']);
+      expect(result.tools).toHaveLength(2 + UTILITY_TOOLS.length);
+      expect(result.tools.map(t => t.name)).toEqual(['ask_openai', 'ask_gemini', ...UTILITY_TOOLS]);
     });
 
     test('should handle ask_openai request', async () => {
@@ -0,0 +1,288 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { SessionStore } from '../src/sessions.js';
+import { ValidationError } from '../src/errors.js';
+
+describe('Sessions', () => {
+  describe('SessionStore', () => {
+    test('should create sessions on first append', () => {
+      const store = new SessionStore({ filePath: null });
+
+      store.append('design', [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]);
+
+      expect(store.getMessages('design')).toEqual([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' }
+      ]);
+      expect(store.list()).toEqual([expect.objectContaining({ id: 'design', messageCount: 2 })]);
+    });
+
+    test('should return an empty history for unknown sessions', () => {
+      expect(new SessionStore({ filePath: null }).getMessages('nope')).toEqual([]);
+    });
+
+    test('should keep only the most recent messages', () => {
+      const store = new SessionStore({ filePath: null, maxMessages: 3 });
+
+      store.append('s', [1, 2, 3, 4].map(n => ({ role: 'user', content: `m${n}` })));
+
+      expect(store.getMessages('s').map(m => m.content)).toEqual(['m2', 'm3', 'm4']);
+    });
+
+    test('should evict the least recently updated session when full', () => {
+      const store = new SessionStore({ filePath: null, maxSessions: 2 });
+
+      store.append('a', [{ role: 'user', content: 'a' }]);
+      store.append('b', [{ role: 'user', content: 'b' }]);
+      store.append('a', [{ role: 'user', content: 'a again' }]);
+      store.append('c', [{ role: 'user', content: 'c' }]);
+
+      expect(store.list().map(s => s.id)).toEqual(['a', 'c']);
+    });
+
+    test('should fork sessions independently', () => {
+      const store = new SessionStore({ filePath: null });
+      store.append('main', [{ role: 'user', content: 'Hi' }]);
+
+      const fork = store.fork('main', 'alt');
+      store.append('alt', [{ role: 'user', content: 'Only in alt' }]);
+
+      expect(fork.forkedFrom).toBe('main');
+      expect(store.getMessages('main')).toHaveLength(1);
+      expect(store.getMessages('alt')).toHaveLength(2);
+      expect(() => store.fork('main', 'alt')).toThrow('Session already exists');
+      expect(store.fork('main').id).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('should run the turns of a session one at a time', async () => {
+      const store = new SessionStore({ filePath: null });
+      const seen = [];
+      const turn = content => async () => {
+        seen.push(store.getMessages('s').length);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        store.append('s', [{ role: 'user', content }]);
+      };
+
+      await Promise.all([
+        store.serialize('s', turn('first')),
+        store.serialize('s', async () => { throw new Error('boom'); }).catch(() => {}),
+        store.serialize('s', turn('second'))
+      ]);
+
+      expect(seen).toEqual([0, 1]);
+      expect(store.getMessages('s').map(m => m.content)).toEqual(['first', 'second']);
+      expect(store.turns.size).toBe(0);
+    });
+
+    test('should reject unknown sessions on get and delete', () => {
+      const store = new SessionStore({ filePath: null });
+
+      expect(() => store.get('missing')).toThrow(ValidationError);
+      expect(() => store.delete('missing')).toThrow('Session not found: missing');
+    });
+
+    describe('persistence', () => {
+      let dir;
+
+      beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'ai-bridge-sessions-'));
+      });
+
+      afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+      });
+
+      test('should survive a restart', async () => {
+        const filePath = join(dir, 'nested', 'sessions.json');
+        const store = new SessionStore({ filePath });
+        store.append('design', [{ role: 'user', content: 'Hi' }]);
+        await store.persist();
+
+        const restored = new SessionStore({ filePath });
+        await restored.load();
+
+        expect(restored.getMessages('design')).toEqual([{ role: 'user', content: 'Hi' }]);
+        expect(JSON.parse(await readFile(filePath, 'utf8')).sessions).toHaveLength(1);
+      });
+
+      test('should keep only the most recently updated sessions on load', async () => {
+        const filePath = join(dir, 'sessions.json');
+        const store = new SessionStore({ filePath });
+        for (const id of ['a', 'b', 'c']) {
+          store.sessions.set(id, { id, createdAt: '2024-01-01T00:00:00.000Z', updatedAt: `2024-01-0${'cab'.indexOf(id) + 1}T00:00:00.000Z`, messages: [] });
+        }
+        await store.persist();
+
+        const restored = new SessionStore({ filePath, maxSessions: 2 });
+        await restored.load();
+        restored.append('d', [{ role: 'user', content: 'd' }]);
+
+        expect(restored.list().map(s => s.id)).toEqual(['b', 'd']);
+      });
+
+      test('should start empty when the file does not exist', async () => {
+        const store = new SessionStore({ filePath: join(dir, 'missing.json') });
+
+        await store.load();
+
+        expect(store.list()).toEqual([]);
+      });
+    });
+  });
+
+  describe('session tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+    let create;
+
+    const call = (name, args) => handler({ params: { name, arguments: args } });
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key' };
+      delete process.env.SESSION_STORE_PATH;
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+      create = server.openai.chat.completions.create;
+      create
+        .mockResolvedValueOnce({ choices: [{ message: { content: 'First answer' } }] })
+        .mockResolvedValueOnce({ choices: [{ message: { content: 'Second answer' } }] });
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    test('should send earlier turns of the session as context', async () => {
+      await call('ask_openai', { prompt: 'First question', session_id: 'design' });
+      await call('ask_openai', { prompt: 'Follow-up', session_id: 'design' });
+
+      expect(create.mock.calls[1][0].messages).toEqual([
+        { role: 'user', content: 'First question' },
+        { role: 'assistant', content: 'First answer' },
+        { role: 'user', content: 'Follow-up' }
+      ]);
+    });
+
+    test('should send the images of earlier turns', async () => {
+      const image = { mimeType: 'image/png', data: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString('base64') };
+      await call('ask_openai', { prompt: 'What is this?', images: [{ data: image.data }], session_id: 'design' });
+      await call('ask_openai', { prompt: 'And its colour?', session_id: 'design' });
+
+      expect(create.mock.calls[1][0].messages[0]).toEqual({
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image_url', image_url: { url: `data:image/png;base64,${image.data}` } }
+        ]
+      });
+      expect(server.sessions.getMessages('design')[0].images).toEqual([image]);
+    });
+
+    test('should answer concurrent turns of a session in order', async () => {
+      await Promise.all([
+        call('ask_openai', { prompt: 'First question', session_id: 'design' }),
+        call('ask_openai', { prompt: 'Follow-up', session_id: 'design' })
+      ]);
+
+      expect(create.mock.calls[1][0].messages).toHaveLength(3);
+      expect(server.sessions.getMessages('design').map(m => m.content))
+        .toEqual(['First question', 'First answer', 'Follow-up', 'Second answer']);
+    });
+
+    test('should not record history without a session_id', async () => {
+      await call('ask_openai', { prompt: 'One-off' });
+
+      expect(server.sessions.list()).toEqual([]);
+    });
+
+    test('should not record failed turns', async () => {
+      create.mockReset().mockRejectedValue({ status: 500, message: 'boom' });
+
+      await call('ask_openai', { prompt: 'Question', session_id: 'design' });
+
+      expect(server.sessions.has('design')).toBe(false);
+    });
+
+    test('should reject invalid session ids', async () => {
+      const result = await call('ask_openai', { prompt: 'Question', session_id: '../../etc/passwd' });
+
+      expect(result.content[0].text).toContain('Invalid session_id');
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('should share a session across providers', async () => {
+      await call('ask_openai', { prompt: 'First question', session_id: 'mixed' });
+      const generateContent = jest.fn().mockResolvedValue({ response: { text: () => 'Gemini answer' } });
+      server.gemini.getGenerativeModel = () => ({ generateContent });
+
+      await call('ask_gemini', { prompt: 'What do you think?', session_id: 'mixed' });
+
+      expect(generateContent.mock.calls[0][0].contents).toEqual([
+        { role: 'user', parts: [{ text: 'First question' }] },
+        { role: 'model', parts: [{ text: 'First answer' }] },
+        { role: 'user', parts: [{ text: 'What do you think?' }] }
+      ]);
+      expect(server.sessions.get('mixed').messages[3]).toEqual(
+        expect.objectContaining({ provider: 'gemini', model: 'gemini-1.5-flash-latest' })
+      );
+    });
+
+    test('should list, show, fork and delete sessions', async () => {
+      await call('ask_openai', { prompt: 'First question', session_id: 'design' });
+
+      const list = await call('list_sessions', {});
+      expect(JSON.parse(list.content[0].text.split('\n\n')[1])).toEqual([
+        expect.objectContaining({ id: 'design', messageCount: 2 })
+      ]);
+
+      const shown = await call('get_session', { session_id: 'design' });
+      expect(JSON.parse(shown.content[0].text.split('\n\n')[1]).messages).toHaveLength(2);
+
+      const forked = await call('fork_session', { session_id: 'design', new_session_id: 'design-b' });
+      expect(forked.content[0].text).toBe('🤖 SESSION FORKED: design -> design-b (2 messages)');
+
+      await call('delete_session', { session_id: 'design' });
+      expect(server.sessions.list().map(s => s.id)).toEqual(['design-b']);
+
+      const missing = await call('get_session', { session_id: 'design' });
+      expect(missing.content[0].text).toBe('Error: Session not found: design');
+    });
+  });
+});
@@ -0,0 +1,267 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { ProgressReporter } from '../src/progress.js';
+import { OpenAIProvider, GeminiProvider, LocalProvider } from '../src/providers/index.js';
+import { APIError } from '../src/errors.js';
+
+async function* openAIChunks(parts) {
+  for (const part of parts) {
+    yield { choices: [{ delta: { content: part } }] };
+  }
+}
+
+async function* geminiChunks(parts) {
+  for (const part of parts) {
+    yield { text: () => part };
+  }
+}
+
+async function* byteChunks(text, size = 7) {
+  const bytes = new TextEncoder().encode(text);
+  for (let i = 0; i < bytes.length; i += size) {
+    yield bytes.slice(i, i + size);
+  }
+}
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Streaming', () => {
+  describe('ProgressReporter', () => {
+    test('should coalesce chunks between notifications', async () => {
+      const notify = jest.fn();
+      const reporter = new ProgressReporter(notify, 'token-1', { intervalMs: 60000 });
+
+      reporter.update('Hel');
+      reporter.update('lo ');
+      reporter.update('world');
+      reporter.finish();
+      await flushPromises();
+
+      expect(notify.mock.calls.map(([n]) => n.params)).toEqual([
+        { progressToken: 'token-1', progress: 3, message: 'Hel' },
+        { progressToken: 'token-1', progress: 11, message: 'lo world' }
+      ]);
+      expect(notify.mock.calls[0][0].method).toBe('notifications/progress');
+    });
+
+    test('should notify for every chunk without an interval', async () => {
+      const notify = jest.fn();
+      const reporter = new ProgressReporter(notify, 7, { intervalMs: 0 });
+
+      ['a', '', 'b', 'c'].forEach(chunk => reporter.update(chunk));
+      reporter.finish();
+      await flushPromises();
+
+      expect(notify.mock.calls.map(([n]) => n.params.progress)).toEqual([1, 2, 3]);
+    });
+
+    test('should not fail when a notification cannot be sent', async () => {
+      const reporter = new ProgressReporter(jest.fn().mockRejectedValue(new Error('Not connected')), 1, { intervalMs: 0 });
+
+      expect(() => reporter.update('text')).not.toThrow();
+      await flushPromises();
+    });
+  });
+
+  describe('providers', () => {
+    test('should stream OpenAI chat completions', async () => {
+      const provider = new OpenAIProvider();
+      provider.initialize({ OPENAI_API_KEY: 'sk-test' });
+      provider.client.chat.completions.create = jest.fn().mockResolvedValue(openAIChunks(['Hel', 'lo', '']));
+      const onChunk = jest.fn();
+
+      const result = await provider.complete(provider.validateRequest({ prompt: 'Hi' }), { onChunk });
+
+      expect(result.text).toBe('Hello');
+      expect(onChunk.mock.calls.map(([chunk]) => chunk)).toEqual(['Hel', 'lo', '']);
+      expect(provider.client.chat.completions.create.mock.calls[0][0].stream).toBe(true);
+    });
+
+    test('should stream Gemini content', async () => {
+      const provider = new GeminiProvider();
+      provider.initialize({ GOOGLE_AI_API_KEY: 'test-gemini-key' });
+      const generateContentStream = jest.fn().mockResolvedValue({ stream: geminiChunks(['Bon', 'jour']) });
+      provider.client.getGenerativeModel = () => ({ generateContentStream });
+      const onChunk = jest.fn();
+
+      const result = await provider.complete(provider.validateRequest({ prompt: 'Hi' }), { onChunk });
+
+      expect(result.text).toBe('Bonjour');
+      expect(onChunk).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not leave the Gemini response rejected unhandled when the stream fails', async () => {
+      const provider = new GeminiProvider();
+      provider.initialize({ GOOGLE_AI_API_KEY: 'test-gemini-key' });
+      async function* failingChunks() {
+        yield { text: () => 'Bon' };
+        throw new Error('socket hang up');
+      }
+      const response = Promise.reject(new Error('socket hang up'));
+      provider.client.getGenerativeModel = () => ({ generateContentStream: jest.fn().mockResolvedValue({ stream: failingChunks(), response }) });
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+
+      try {
+        await expect(provider.complete(provider.validateRequest({ prompt: 'Hi' }), { onChunk: jest.fn() })).rejects.toThrow('socket hang up');
+        await flushPromises();
+        expect(unhandled).not.toHaveBeenCalled();
+      } finally {
+        process.off('unhandledRejection', unhandled);
+      }
+    });
+
+    test('should stream newline-delimited JSON from Ollama', async () => {
+      const lines = [
+        { message: { content: 'Local' }, done: false },
+        { message: { content: ' answer' }, done: false },
+        { message: { content: '' }, done: true }
+      ].map(line => JSON.stringify(line)).join('\n');
+      const fetch = jest.fn().mockResolvedValue({ ok: true, body: byteChunks(lines) });
+      const provider = new LocalProvider({ fetch });
+      provider.initialize({ LOCAL_AI_BASE_URL: 'http://localhost:11434' });
+      const onChunk = jest.fn();
+
+      const result = await provider.complete({ messages: [{ role: 'user', content: 'Hi' }], model: 'llama3.1:8b', temperature: 0.7 }, { onChunk });
+
+      expect(result.text).toBe('Local answer');
+      expect(onChunk.mock.calls.map(([chunk]) => chunk)).toEqual(['Local', ' answer']);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).stream).toBe(true);
+    });
+
+    test('should fail when Ollama reports an error mid-stream', async () => {
+      const lines = [
+        { message: { content: 'Local' }, done: false },
+        { error: 'model runner has unexpectedly stopped' }
+      ].map(line => JSON.stringify(line)).join('\n');
+      const provider = new LocalProvider({ fetch: jest.fn().mockResolvedValue({ ok: true, body: byteChunks(lines) }) });
+      provider.initialize({ LOCAL_AI_BASE_URL: 'http://localhost:11434' });
+
+      const completion = provider.complete({ messages: [{ role: 'user', content: 'Hi' }], model: 'llama3.1:8b', temperature: 0.7 }, { onChunk: jest.fn() });
+
+      await expect(completion).rejects.toThrow(APIError);
+      await expect(completion).rejects.toThrow('Local model server error: model runner has unexpectedly stopped');
+    });
+
+    test('should fail when an OpenAI-compatible local server streams an error event', async () => {
+      const events = [
+        'data: {"choices":[{"delta":{"content":"llama"}}]}',
+        'data: {"error":{"message":"context size exceeded"}}'
+      ].join('\n\n');
+      const provider = new LocalProvider({ fetch: jest.fn().mockResolvedValue({ ok: true, body: byteChunks(events, 5) }) });
+      provider.initialize({ LOCAL_AI_BASE_URL: 'http://localhost:8080', LOCAL_AI_API_FORMAT: 'openai' });
+
+      const completion = provider.complete({ messages: [{ role: 'user', content: 'Hi' }], model: 'm', temperature: 0.7 }, { onChunk: jest.fn() });
+
+      await expect(completion).rejects.toThrow('Local model server error: context size exceeded');
+    });
+
+    test('should stream server-sent events from OpenAI-compatible local servers', async () => {
+      const events = [
+        'data: {"choices":[{"delta":{"role":"assistant"}}]}',
+        'data: {"choices":[{"delta":{"content":"llama"}}]}',
+        ': keep-alive',
+        'data: {"choices":[{"delta":{"content":".cpp"}}]}',
+        'data: [DONE]'
+      ].join('\n\n');
+      const fetch = jest.fn().mockResolvedValue({ ok: true, body: byteChunks(events, 5) });
+      const provider = new LocalProvider({ fetch });
+      provider.initialize({ LOCAL_AI_BASE_URL: 'http://localhost:8080', LOCAL_AI_API_FORMAT: 'openai' });
+
+      const result = await provider.complete({ messages: [{ role: 'user', content: 'Hi' }], model: 'm', temperature: 0.7 }, { onChunk: jest.fn() });
+
+      expect(result.text).toBe('llama.cpp');
+    });
+  });
+
+  describe('ask tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key' };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    test('should relay chunks as progress notifications when a progress token is given', async () => {
+      server.openai.chat.completions.create = jest.fn().mockResolvedValue(openAIChunks(['Streamed ', 'answer']));
+
+      const result = await handler({
+        params: {
+          name: 'ask_openai',
+          arguments: { prompt: 'Hi' },
+          _meta: { progressToken: 'abc' }
+        }
+      });
+      await flushPromises();
+
+      expect(result.content[0].text).toBe('🤖 OPENAI RESPONSE (gpt-4o-mini):\n\nStreamed answer');
+      expect(server.server.notifications.length).toBeGreaterThan(0);
+      expect(server.server.notifications.every(n => n.params.progressToken === 'abc')).toBe(true);
+      expect(server.server.notifications.map(n => n.params.message).join('')).toBe('Streamed answer');
+    });
+
+    test('should not stream without a progress token', async () => {
+      const result = await handler({
+        params: { name: 'ask_openai', arguments: { prompt: 'Hi' } }
+      });
+
+      expect(result.content[0].text).toContain('Mock OpenAI response content');
+      expect(server.openai.chat.completions.create.mock.calls[0][0]).not.toHaveProperty('stream');
+      expect(server.server.notifications).toEqual([]);
+    });
+
+    test('should store the assembled answer in the session', async () => {
+      server.openai.chat.completions.create = jest.fn().mockResolvedValue(openAIChunks(['Part one, ', 'part two']));
+
+      await handler({
+        params: {
+          name: 'ask_openai',
+          arguments: { prompt: 'Hi', session_id: 'streamed' },
+          _meta: { progressToken: 1 }
+        }
+      });
+
+      expect(server.sessions.getMessages('streamed')[1]).toEqual({ role: 'assistant', content: 'Part one, part two' });
+    });
+  });
+});
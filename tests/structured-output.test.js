@@ -0,0 +1,276 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { buildFormatInstruction, findRefProblem, getMaxRepairAttempts, parseStructuredOutput, validateAgainstSchema } from '../src/structuredOutput.js';
+import { validateResponseFormat } from '../src/validators.js';
+import { toResponseFormat } from '../src/providers/openai.js';
+import { toGeminiSchema } from '../src/providers/gemini.js';
+import { ERROR_MESSAGES } from '../src/constants.js';
+
+const openAIAnswer = content => ({ choices: [{ message: { content } }] });
+
+const PERSON = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    role: { enum: ['admin', 'user'] }
+  },
+  required: ['name', 'age'],
+  additionalProperties: false
+};
+
+describe('structured output', () => {
+  describe('schema validation', () => {
+    test('should accept values matching the schema', () => {
+      expect(validateAgainstSchema({ name: 'Ada', age: 36, tags: ['math'], role: 'admin' }, PERSON)).toEqual([]);
+    });
+
+    test('should report every violation with its location', () => {
+      expect(validateAgainstSchema({ name: '', age: 1.5, tags: ['a', 'b', 3], extra: true }, PERSON)).toEqual([
+        '$.name must be at least 1 characters',
+        '$.age must be integer, got number',
+        '$.tags must have at most 2 items',
+        '$.tags[2] must be string, got number',
+        '$.extra is not allowed'
+      ]);
+      expect(validateAgainstSchema({ age: 3, role: 'root' }, PERSON)).toEqual([
+        '$.name is required',
+        '$.role must be one of "admin", "user"'
+      ]);
+    });
+
+    test('should support nullable types, combinators and local refs', () => {
+      const schema = {
+        $defs: { id: { type: ['string', 'null'], pattern: '^[a-z]+$' } },
+        type: 'object',
+        properties: { id: { $ref: '#/$defs/id' }, value: { anyOf: [{ type: 'number' }, { const: 'none' }] } }
+      };
+
+      expect(validateAgainstSchema({ id: null, value: 'none' }, schema)).toEqual([]);
+      expect(validateAgainstSchema({ id: 'A1', value: 'some' }, schema)).toEqual([
+        '$.id must match ^[a-z]+$',
+        '$.value must match at least one of the anyOf schemas'
+      ]);
+    });
+
+    test('should follow recursive refs and stop at circular ones', () => {
+      const tree = { type: 'object', properties: { name: { type: 'string' }, children: { type: 'array', items: { $ref: '#' } } } };
+      const circular = { $defs: { a: { $ref: '#/$defs/b' }, b: { anyOf: [{ $ref: '#/$defs/a' }] } }, type: 'object', properties: { x: { $ref: '#/$defs/a' } } };
+
+      expect(validateAgainstSchema({ name: 'root', children: [{ name: 'leaf', children: [{ name: 3 }] }] }, tree)).toEqual(['$.children[0].children[0].name must be string, got number']);
+      expect(validateAgainstSchema({ x: 1 }, circular)).toEqual(['$.x must match at least one of the anyOf schemas']);
+      expect(validateAgainstSchema(1, { $defs: { a: { $ref: '#/$defs/a' } }, $ref: '#/$defs/a' })).toEqual(['$: circular $ref #/$defs/a']);
+      expect(findRefProblem(tree)).toBeNull();
+      expect(findRefProblem(circular)).toBe('circular $ref #/$defs/b');
+      expect(findRefProblem({ type: 'object', properties: { self: { $defs: {}, $ref: '#/$defs/self' } } })).toBe('unresolvable $ref #/$defs/self');
+      expect(findRefProblem({ type: 'object', allOf: [{ $ref: '#' }] })).toBe('circular $ref #');
+    });
+
+    test('should parse JSON wrapped in code fences', () => {
+      expect(parseStructuredOutput('```json\n{"name": "Ada", "age": 36}\n```', { type: 'json_schema', schema: PERSON }))
+        .toEqual({ value: { name: 'Ada', age: 36 }, errors: [] });
+      expect(parseStructuredOutput('[1]', { type: 'json_object' }).errors).toEqual(['$ must be an object']);
+      expect(parseStructuredOutput('Sure! {"a": 1}', { type: 'json_object' }).errors[0]).toMatch(/^Output is not valid JSON/);
+    });
+
+    test('should read the repair limit from STRUCTURED_OUTPUT_MAX_REPAIRS', () => {
+      expect(getMaxRepairAttempts({ STRUCTURED_OUTPUT_MAX_REPAIRS: '0' })).toBe(0);
+      expect(getMaxRepairAttempts({})).toBe(2);
+    });
+  });
+
+  describe('response_format', () => {
+    test('should validate the argument', () => {
+      expect(validateResponseFormat({ type: 'json_object' })).toEqual({ type: 'json_object', name: 'response' });
+      expect(validateResponseFormat({ type: 'json_schema', schema: PERSON, name: 'person', strict: true }))
+        .toEqual({ type: 'json_schema', schema: PERSON, name: 'person', strict: true });
+
+      [
+        'json',
+        { type: 'xml' },
+        { type: 'json_schema' },
+        { type: 'json_schema', schema: [] },
+        { type: 'json_schema', schema: PERSON, name: 'has spaces' },
+        { type: 'json_schema', schema: PERSON, strict: 'yes' }
+      ].forEach(format => expect(() => validateResponseFormat(format)).toThrow(ERROR_MESSAGES.INVALID_RESPONSE_FORMAT));
+    });
+
+    test('should reject top-level schemas that are not objects', () => {
+      const message = `${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: the top-level schema must have type object`;
+
+      expect(() => validateResponseFormat({ type: 'json_schema', schema: { type: 'array', items: { type: 'string' } } })).toThrow(message);
+      expect(() => validateResponseFormat({ type: 'json_schema', schema: { type: 'string' } })).toThrow(message);
+      expect(() => validateResponseFormat({ type: 'json_schema', schema: { properties: { name: { type: 'string' } } } })).toThrow(message);
+    });
+
+    test('should reject schemas with unresolvable or circular refs', () => {
+      const circular = { $defs: { node: { $ref: '#/$defs/node' } }, type: 'object', properties: { node: { $ref: '#/$defs/node' } } };
+
+      expect(() => validateResponseFormat({ type: 'json_schema', schema: circular })).toThrow(`${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: circular $ref #/$defs/node`);
+      expect(() => validateResponseFormat({ type: 'json_schema', schema: { type: 'object', properties: { id: { $ref: '#/$defs/id' } } } }))
+        .toThrow(`${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: unresolvable $ref #/$defs/id`);
+    });
+
+    test('should reject schemas with an invalid pattern', () => {
+      const schema = { type: 'object', properties: { code: { type: 'array', items: { type: 'string', pattern: '(' } } } };
+
+      expect(() => validateResponseFormat({ type: 'json_schema', schema })).toThrow(`${ERROR_MESSAGES.INVALID_RESPONSE_FORMAT}: invalid pattern "("`);
+      expect(validateResponseFormat({ type: 'json_schema', schema: { type: 'object', properties: { code: { type: 'string', pattern: '^[a-z]+$' } } } })).toBeTruthy();
+    });
+
+    test('should translate to OpenAI response formats', () => {
+      expect(toResponseFormat({ type: 'json_object', name: 'response' })).toEqual({ type: 'json_object' });
+      expect(toResponseFormat({ type: 'json_schema', schema: PERSON, name: 'person', strict: true }))
+        .toEqual({ type: 'json_schema', json_schema: { name: 'person', schema: PERSON, strict: true } });
+    });
+
+    test('should translate to Gemini response schemas where possible', () => {
+      expect(toGeminiSchema(PERSON)).toBeNull();
+      expect(toGeminiSchema({
+        type: 'object',
+        properties: { name: { type: 'string', description: 'Full name' }, scores: { type: 'array', items: { type: ['integer', 'null'] } } },
+        required: ['name']
+      })).toEqual({
+        type: 'OBJECT',
+        properties: { name: { type: 'STRING', description: 'Full name' }, scores: { type: 'ARRAY', items: { type: 'INTEGER', nullable: true } } },
+        required: ['name']
+      });
+    });
+
+    test('should describe the expected format in the system prompt', () => {
+      expect(buildFormatInstruction({ type: 'json_schema', schema: { type: 'string' } })).toContain('conform to this JSON Schema:\n{"type":"string"}');
+    });
+  });
+
+  describe('ask tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key', RETRY_MAX_ATTEMPTS: '1' };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const ask = (name, args) => handler({ params: { name, arguments: { prompt: 'Describe Ada Lovelace', ...args } } });
+    const responseFormat = { type: 'json_schema', schema: PERSON, name: 'person' };
+
+    test('should return the parsed object as structured content', async () => {
+      server.openai.chat.completions.create = jest.fn().mockResolvedValue(openAIAnswer('{"name": "Ada", "age": 36}'));
+
+      const result = await ask('ask_openai', { response_format: responseFormat, system: 'Be accurate' });
+      const params = server.openai.chat.completions.create.mock.calls[0][0];
+
+      expect(result.structuredContent).toEqual({ name: 'Ada', age: 36 });
+      expect(result.content[0].text).toBe(JSON.stringify({ name: 'Ada', age: 36 }, null, 2));
+      expect(result._meta).toEqual({ provider: 'openai', model: 'gpt-4o-mini', attempts: 1, repairs: 0, latencyMs: expect.any(Number), truncated: false });
+      expect(params.response_format).toEqual({ type: 'json_schema', json_schema: { name: 'person', schema: PERSON } });
+      expect(params.messages[0].content).toMatch(/^Be accurate\n\nRespond with a single valid JSON value only/);
+    });
+
+    test('should reject array and primitive schemas before calling the model', async () => {
+      server.openai.chat.completions.create = jest.fn();
+
+      const array = await ask('ask_openai', { response_format: { type: 'json_schema', schema: { type: 'array', items: PERSON } } });
+      const primitive = await ask('ask_openai', { response_format: { type: 'json_schema', schema: { type: 'number' } } });
+
+      expect(array.content[0].text).toMatch(/^Error: Invalid response_format.*: the top-level schema must have type object$/);
+      expect(primitive.content[0].text).toMatch(/^Error: Invalid response_format.*: the top-level schema must have type object$/);
+      expect(server.openai.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid pattern before calling the model', async () => {
+      server.openai.chat.completions.create = jest.fn();
+
+      const result = await ask('ask_openai', { response_format: { type: 'json_schema', schema: { type: 'object', properties: { code: { type: 'string', pattern: '(' } } } } });
+
+      expect(result.content[0].text).toMatch(/^Error: Invalid response_format.*: invalid pattern "\("/);
+      expect(server.openai.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    test('should ask the model to repair invalid output', async () => {
+      server.openai.chat.completions.create = jest.fn()
+        .mockResolvedValueOnce(openAIAnswer('{"name": "Ada"}'))
+        .mockResolvedValueOnce(openAIAnswer('{"name": "Ada", "age": 36}'));
+
+      const result = await ask('ask_openai', { response_format: responseFormat });
+      const repairMessages = server.openai.chat.completions.create.mock.calls[1][0].messages;
+
+      expect(result.structuredContent).toEqual({ name: 'Ada', age: 36 });
+      expect(result._meta).toMatchObject({ attempts: 2, repairs: 1 });
+      expect(repairMessages.slice(-2)).toEqual([
+        { role: 'assistant', content: '{"name": "Ada"}' },
+        { role: 'user', content: expect.stringContaining('- $.age is required') }
+      ]);
+    });
+
+    test('should give up after the repair limit', async () => {
+      process.env.STRUCTURED_OUTPUT_MAX_REPAIRS = '1';
+      server.openai.chat.completions.create = jest.fn().mockResolvedValue(openAIAnswer('not json'));
+
+      const result = await ask('ask_openai', { response_format: { type: 'json_object' } });
+
+      expect(server.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+      expect(result.content[0].text).toMatch(/^Error: OpenAI gpt-4o-mini did not return valid JSON after 1 repair attempts: Output is not valid JSON/);
+    });
+
+    test('should use Gemini JSON mode', async () => {
+      const generateContent = jest.fn().mockResolvedValue({ response: { text: () => '{"answer": "yes"}' } });
+      const getGenerativeModel = jest.spyOn(server.gemini, 'getGenerativeModel').mockReturnValue({ generateContent });
+
+      const result = await ask('ask_gemini', {
+        response_format: { type: 'json_schema', schema: { type: 'object', properties: { answer: { type: 'string' } } } }
+      });
+      const { generationConfig } = getGenerativeModel.mock.calls[0][0];
+
+      expect(result.structuredContent).toEqual({ answer: 'yes' });
+      expect(generationConfig.responseMimeType).toBe('application/json');
+      expect(generationConfig.responseSchema).toEqual({ type: 'OBJECT', properties: { answer: { type: 'STRING' } } });
+    });
+
+    test('should reject models without JSON mode', async () => {
+      const result = await ask('ask_openai', { model: 'gpt-4', response_format: { type: 'json_object' } });
+
+      expect(result.content[0].text).toBe('Error: Model gpt-4 does not support response_format');
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+import { countChatTokens, countTextTokens, estimateTokens, getEncoder, getOpenAIEncoding } from '../src/tokens.js';
+import { DEFAULTS } from '../src/constants.js';
+import { validatePrompt } from '../src/validators.js';
+import { OpenAIProvider } from '../src/providers/openai.js';
+import { GeminiProvider } from '../src/providers/gemini.js';
+
+const LONG_PROMPT = 'The quick brown fox jumps over the lazy dog. '.repeat(1000);
+
+describe('token limits', () => {
+  describe('counting', () => {
+    test('should pick the tokenizer of each OpenAI model', () => {
+      expect(getOpenAIEncoding('gpt-4o-mini')).toBe('o200k_base');
+      expect(getOpenAIEncoding('o3-mini')).toBe('o200k_base');
+      expect(getOpenAIEncoding('gpt-4-turbo')).toBe('cl100k_base');
+      expect(getOpenAIEncoding('gpt-3.5-turbo')).toBe('cl100k_base');
+      expect(getOpenAIEncoding('llama-3.3-70b-versatile')).toBeNull();
+    });
+
+    test('should count chat messages with their framing', () => {
+      // 3 for the reply, then 3 + role + content per message
+      expect(countChatTokens([{ role: 'user', content: 'Hello world' }], 'o200k_base')).toBe(9);
+      expect(countChatTokens([], 'cl100k_base')).toBe(3);
+    });
+
+    test('should estimate tokens from the text length', () => {
+      expect(estimateTokens('abcdefgh')).toBe(2);
+      expect(estimateTokens('abcdefghi')).toBe(3);
+    });
+
+    test('should count OpenAI requests locally and estimate Gemini requests', () => {
+      const openai = new OpenAIProvider();
+      const gemini = new GeminiProvider();
+
+      expect(openai.countTokens(openai.validateRequest({ prompt: 'Hello world', system: 'Be brief' })))
+        .toEqual({ inputTokens: 9 + 3 + 1 + 2, method: 'tiktoken o200k_base' });
+      expect(gemini.countTokens(gemini.validateRequest({ prompt: 'Hello world', system: 'Be brief' })))
+        .toEqual({ inputTokens: 3 + 2, method: 'estimate' });
+    });
+
+    test('should estimate long runs without whitespace instead of encoding them', () => {
+      const encoder = getEncoder('o200k_base');
+      // Letters without a repeating pattern, which BPE encodes in quadratic time
+      const run = Array.from({ length: 50000 }, (_, i) => String.fromCharCode(97 + ((i * 7919) % 26))).join('');
+      const started = Date.now();
+
+      expect(countTextTokens(encoder, `Decode this: ${run} please`)).toBe(encoder.encode('Decode this: ').length + estimateTokens(run) + encoder.encode(' please').length);
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(countTextTokens(encoder, 'Hello world')).toBe(2);
+    });
+
+    test('should estimate OpenAI requests too long to encode quickly', () => {
+      const openai = new OpenAIProvider();
+      const request = { model: 'gpt-4o', messages: [{ role: 'user', content: 'word '.repeat(DEFAULTS.TOKENS.MAX_ENCODED_LENGTH / 5 + 1) }] };
+
+      expect(openai.countTokens(request)).toEqual({ inputTokens: estimateTokens(request.messages[0].content), method: 'estimate' });
+    });
+
+    test('should measure each request once until it changes', () => {
+      const openai = new OpenAIProvider();
+      const request = openai.validateRequest({ prompt: 'Hello world' });
+      const countTokens = jest.spyOn(openai, 'countTokens');
+
+      openai.checkContextWindow(request);
+      const measured = openai.measureRequest(request);
+      expect(openai.measureRequest(request)).toBe(measured);
+      expect(countTokens).toHaveBeenCalledTimes(1);
+
+      request.messages = [{ role: 'user', content: 'Hi' }, ...request.messages];
+      expect(openai.measureRequest(request).inputTokens).toBeGreaterThan(measured.inputTokens);
+      expect(countTokens).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('limits', () => {
+    const provider = new OpenAIProvider();
+
+    test('should no longer cap prompts at 10,000 characters', () => {
+      expect(validatePrompt(LONG_PROMPT)).toHaveLength(LONG_PROMPT.trim().length);
+    });
+
+    test('should measure requests against the context window minus the output', () => {
+      const measured = provider.measureRequest(provider.validateRequest({ prompt: LONG_PROMPT, model: 'gpt-4', max_tokens: 500 }));
+
+      expect(measured).toEqual({
+        inputTokens: expect.any(Number),
+        method: 'tiktoken cl100k_base',
+        contextWindow: 8192,
+        reservedOutputTokens: 500,
+        fits: false
+      });
+      expect(measured.inputTokens).toBeGreaterThan(8192);
+      expect(provider.measureRequest(provider.validateRequest({ prompt: LONG_PROMPT, model: 'gpt-4o' })))
+        .toMatchObject({ contextWindow: 128000, reservedOutputTokens: 1024, fits: true });
+    });
+
+    test('should reject requests that do not fit', () => {
+      expect(() => provider.checkContextWindow(provider.validateRequest({ prompt: LONG_PROMPT, model: 'gpt-4' })))
+        .toThrow(/^Prompt too long for gpt-4: \d+ input tokens plus 1024 output tokens exceed its 8192 token context window$/);
+    });
+  });
+
+  describe('tools', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key' };
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const countTokens = args => handler({ params: { name: 'count_tokens', arguments: args } });
+    const parse = result => JSON.parse(result.content[0].text.split('\n\n')[1]);
+
+    test('should report the count and the room left', async () => {
+      const result = await countTokens({ provider: 'openai', model: 'gpt-4o', prompt: 'Hello world', max_tokens: 100 });
+
+      expect(result.content[0].text).toMatch(/^🤖 TOKEN COUNT \(OpenAI gpt-4o\):\n\n/);
+      expect(parse(result)).toEqual({
+        provider: 'openai',
+        model: 'gpt-4o',
+        inputTokens: 9,
+        method: 'tiktoken o200k_base',
+        contextWindow: 128000,
+        reservedOutputTokens: 100,
+        remainingTokens: 128000 - 9 - 100,
+        fits: true
+      });
+      expect(server.openai.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    test('should include the session history', async () => {
+      server.sessions.append('s1', [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]);
+
+      const withHistory = parse(await countTokens({ provider: 'gemini', prompt: 'Hello world', session_id: 's1' }));
+      const without = parse(await countTokens({ provider: 'gemini', prompt: 'Hello world' }));
+
+      expect(withHistory.inputTokens).toBe(without.inputTokens + 1 + 2);
+      expect(withHistory.method).toBe('estimate');
+    });
+
+    test('should reject ask calls that do not fit before calling the provider', async () => {
+      const result = await handler({ params: { name: 'ask_openai', arguments: { prompt: LONG_PROMPT, model: 'gpt-4' } } });
+
+      expect(result.content[0].text).toMatch(/^Error: Prompt too long for gpt-4: /);
+      expect(server.openai.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown providers', async () => {
+      const result = await countTokens({ provider: 'nowhere', prompt: 'Hi' });
+
+      expect(result.content[0].text).toBe('Error: Unknown provider: nowhere');
+    });
+  });
+});
@@ -0,0 +1,243 @@
+import { jest } from '@jest/globals';
+import { MockOpenAI, MockGoogleGenerativeAI, MockServer, MockStdioServerTransport, mockLogger } from './mocks.js';
+
+jest.mock('openai', () => ({
+  default: MockOpenAI,
+  __esModule: true
+}));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: MockGoogleGenerativeAI
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: MockServer
+}));
+
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: MockStdioServerTransport
+}));
+
+jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
+  CallToolRequestSchema: 'CallToolRequestSchema',
+  ListToolsRequestSchema: 'ListToolsRequestSchema'
+}));
+
+jest.mock('../src/logger.js', () => ({
+  default: mockLogger
+}));
+
+
+import { mkdtempSync, readFileSync, appendFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DEFAULT_PRICING, computeCost, findPrice, getPricing } from '../src/pricing.js';
+import { UsageLedger, parseUsageQuery } from '../src/usage.js';
+import { BudgetExceededError } from '../src/errors.js';
+
+describe('usage tracking', () => {
+  describe('pricing', () => {
+    test('should price dated versions like their model', () => {
+      expect(findPrice(DEFAULT_PRICING, 'openai', 'gpt-4o')).toEqual({ input: 2.5, output: 10 });
+      expect(findPrice(DEFAULT_PRICING, 'openai', 'gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+      expect(findPrice(DEFAULT_PRICING, 'openai', 'gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+      expect(findPrice(DEFAULT_PRICING, 'openai', 'gpt-4-0613')).toEqual({ input: 30, output: 60 });
+      expect(findPrice(DEFAULT_PRICING, 'gemini', 'gemini-1.5-flash-latest')).toEqual({ input: 0.075, output: 0.3 });
+    });
+
+    test('should fall back to the provider default, or no price', () => {
+      expect(findPrice(DEFAULT_PRICING, 'local', 'llama3.1:8b')).toEqual({ input: 0, output: 0 });
+      expect(findPrice(DEFAULT_PRICING, 'openai', 'gpt-5')).toBeNull();
+      expect(findPrice(DEFAULT_PRICING, 'groq', 'llama-3.3-70b-versatile')).toBeNull();
+    });
+
+    test('should merge MODEL_PRICING into the defaults', () => {
+      const pricing = getPricing({
+        MODEL_PRICING: JSON.stringify({ groq: { 'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 } }, openai: { 'gpt-4o': { input: 2, output: 8 } } })
+      });
+
+      expect(findPrice(pricing, 'groq', 'llama-3.3-70b-versatile')).toEqual({ input: 0.59, output: 0.79 });
+      expect(findPrice(pricing, 'openai', 'gpt-4o')).toEqual({ input: 2, output: 8 });
+      expect(findPrice(pricing, 'openai', 'gpt-4o-mini')).toEqual({ input: 0.15, output: 0.6 });
+      expect(DEFAULT_PRICING.openai['gpt-4o']).toEqual({ input: 2.5, output: 10 });
+    });
+
+    test('should reject malformed pricing', () => {
+      expect(() => getPricing({ MODEL_PRICING: 'cheap' })).toThrow('MODEL_PRICING must be a JSON object');
+      expect(() => getPricing({ MODEL_PRICING: '{"openai": []}' })).toThrow('MODEL_PRICING.openai must map model names to prices');
+      expect(() => getPricing({ MODEL_PRICING: '{"openai": {"gpt-4o": {"input": -1, "output": 1}}}' })).toThrow('MODEL_PRICING.openai.gpt-4o must be');
+    });
+
+    test('should compute the cost per million tokens', () => {
+      expect(computeCost({ input: 2.5, output: 10 }, { inputTokens: 1000, outputTokens: 500 })).toBeCloseTo(0.0075);
+    });
+  });
+
+  describe('UsageLedger', () => {
+    let directory;
+
+    beforeAll(() => {
+      directory = mkdtempSync(join(tmpdir(), 'ai-bridge-usage-'));
+    });
+
+    afterAll(() => {
+      rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should record the cost of each call', () => {
+      const ledger = new UsageLedger({ filePath: null, pricing: DEFAULT_PRICING });
+
+      expect(ledger.record({ provider: 'openai', model: 'gpt-4o', usage: { inputTokens: 1000, outputTokens: 500 }, sessionId: 's1' })).toEqual({
+        timestamp: expect.any(String),
+        provider: 'openai',
+        model: 'gpt-4o',
+        sessionId: 's1',
+        inputTokens: 1000,
+        outputTokens: 500,
+        cost: 0.0075
+      });
+      expect(ledger.record({ provider: 'groq', model: 'mixtral', usage: { inputTokens: 10, outputTokens: 5 }, estimated: true }))
+        .toMatchObject({ sessionId: null, estimated: true, cost: null });
+    });
+
+    test('should aggregate by the requested fields', () => {
+      const ledger = new UsageLedger({ filePath: null, pricing: DEFAULT_PRICING });
+      ledger.entries = [
+        { timestamp: '2026-10-01T10:00:00.000Z', provider: 'openai', model: 'gpt-4o', sessionId: 'a', inputTokens: 100, outputTokens: 10, cost: 0.00035 },
+        { timestamp: '2026-10-01T12:00:00.000Z', provider: 'openai', model: 'gpt-4o', sessionId: null, inputTokens: 200, outputTokens: 20, cost: 0.0007 },
+        { timestamp: '2026-10-02T09:00:00.000Z', provider: 'groq', model: 'mixtral', sessionId: 'a', inputTokens: 50, outputTokens: 5, estimated: true, cost: null }
+      ];
+
+      expect(ledger.summarize({ groupBy: ['day'] })).toEqual({
+        totals: { calls: 3, inputTokens: 350, outputTokens: 35, cost: 0.00105, unpricedCalls: 1, estimatedCalls: 1 },
+        groups: [
+          { day: '2026-10-01', calls: 2, inputTokens: 300, outputTokens: 30, cost: 0.00105, unpricedCalls: 0, estimatedCalls: 0 },
+          { day: '2026-10-02', calls: 1, inputTokens: 50, outputTokens: 5, cost: 0, unpricedCalls: 1, estimatedCalls: 1 }
+        ]
+      });
+      expect(ledger.summarize({ groupBy: ['session', 'provider'], sessionId: 'a' }).groups.map(({ session, provider }) => [session, provider]))
+        .toEqual([['a', 'groq'], ['a', 'openai']]);
+      expect(ledger.summarize(parseUsageQuery({ since: '2026-10-01T11:00:00Z', until: '2026-10-02' })).totals.calls).toBe(1);
+    });
+
+    test('should append to the ledger file and read it back', async () => {
+      const filePath = join(directory, 'nested', 'usage.jsonl');
+      const ledger = new UsageLedger({ filePath, pricing: DEFAULT_PRICING });
+      ledger.record({ provider: 'openai', model: 'gpt-4o-mini', usage: { inputTokens: 1, outputTokens: 2 } });
+      ledger.record({ provider: 'gemini', model: 'gemini-1.5-pro', usage: { inputTokens: 3, outputTokens: 4 } });
+      await ledger.pendingWrite;
+
+      expect(readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line).provider)).toEqual(['openai', 'gemini']);
+
+      appendFileSync(filePath, '{"timestamp": "2026-');
+      const reloaded = new UsageLedger({ filePath, pricing: DEFAULT_PRICING });
+      await reloaded.load();
+      expect(reloaded.summarize({ groupBy: ['provider'] }).totals).toMatchObject({ calls: 2, inputTokens: 4, outputTokens: 6 });
+    });
+
+    test('should validate queries', () => {
+      expect(parseUsageQuery({})).toEqual({ groupBy: ['provider', 'model'], since: undefined, until: undefined });
+      expect(() => parseUsageQuery({ group_by: ['tool'] })).toThrow('Invalid group_by');
+      expect(() => parseUsageQuery({ group_by: ['day', 'day'] })).toThrow('Invalid group_by');
+      expect(() => parseUsageQuery({ since: 'yesterday' })).toThrow('Invalid since: must be an ISO 8601 date or time');
+      expect(() => parseUsageQuery({ session_id: ' ' })).toThrow('Invalid session_id');
+    });
+  });
+
+  describe('get_usage', () => {
+    let AIBridgeServer;
+    let originalEnv;
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      originalEnv = process.env;
+      ({ AIBridgeServer } = await import('../src/index.js'));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-test-key', GOOGLE_AI_API_KEY: 'test-gemini-key', RETRY_MAX_ATTEMPTS: '1' };
+      delete process.env.USAGE_LEDGER_PATH;
+      server = new AIBridgeServer();
+      handler = server.server.handlers.get('CallToolRequestSchema');
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    const call = (name, args) => handler({ params: { name, arguments: args } });
+    const getUsage = async (args) => {
+      const result = await call('get_usage', args);
+      return JSON.parse(result.content[0].text.replace(/^🤖 USAGE:\n\n/, ''));
+    };
+
+    test('should total the cost of answered calls', async () => {
+      server.openai.chat.completions.create.mockResolvedValue({
+        choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 1000, completion_tokens: 500 }
+      });
+      await call('ask_openai', { prompt: 'Hello', model: 'gpt-4o', session_id: 'chat' });
+      await call('ask_openai', { prompt: 'Hello again', model: 'gpt-4o' });
+
+      const usage = await getUsage({ group_by: ['session'] });
+
+      expect(usage.totals).toEqual({ calls: 2, inputTokens: 2000, outputTokens: 1000, cost: 0.015, unpricedCalls: 0, estimatedCalls: 0 });
+      expect(usage.groups).toEqual([
+        expect.objectContaining({ session: 'chat', calls: 1, cost: 0.0075 }),
+        expect.objectContaining({ session: null, calls: 1, cost: 0.0075 })
+      ]);
+      expect(usage).toMatchObject({ currency: 'USD', ledger: 'memory' });
+    });
+
+    test('should estimate tokens the backend did not report', async () => {
+      await call('ask_gemini', { prompt: 'Hello there' });
+
+      const usage = await getUsage({ provider: 'gemini' });
+
+      expect(usage.groups).toEqual([
+        expect.objectContaining({ provider: 'gemini', model: 'gemini-1.5-flash-latest', calls: 1, estimatedCalls: 1 })
+      ]);
+      expect(usage.totals.inputTokens).toBeGreaterThan(0);
+      expect(usage.totals.outputTokens).toBe(Math.ceil('Mock Gemini response content'.length / 4));
+    });
+
+    test('should record every model a consensus calls, the judge included', async () => {
+      await call('consensus', { prompt: 'Hi', models: [{ provider: 'openai' }, { provider: 'gemini' }], judge: { provider: 'openai', model: 'gpt-4o' } });
+
+      const usage = await getUsage({ group_by: ['model'] });
+
+      expect(usage.groups.map(group => [group.model, group.calls])).toEqual([
+        ['gemini-1.5-flash-latest', 1],
+        ['gpt-4o', 1],
+        ['gpt-4o-mini', 1]
+      ]);
+    });
+
+    test('should record, budget and rate limit embedding calls', async () => {
+      process.env.BUDGETS = '{"openai": {"daily": {"hard": 0.00005}}}';
+      process.env.RATE_LIMITS = '{"openai:text-embedding-3-small": {"rpm": 2}}';
+      process.env.USAGE_LEDGER_PATH = '';
+      server = new AIBridgeServer();
+      server.openai.embeddings = {
+        create: jest.fn().mockResolvedValue({ data: [{ embedding: [1, 0] }], usage: { prompt_tokens: 1000 } })
+      };
+      const openai = server.providers.get('openai');
+
+      expect(await server.embedTexts(openai, ['Hello'], { sessionId: 'chat' })).toEqual([[1, 0]]);
+      // 1000 tokens at $0.02 per million have used $0.00002 of the $0.00005 budget
+      await expect(server.embedTexts(openai, ['x'.repeat(8000)])).rejects.toThrow(BudgetExceededError);
+      await server.embedTexts(openai, ['Hi']);
+      await expect(server.embedTexts(openai, ['Hi'])).rejects.toThrow('Rate limit exceeded for openai:text-embedding-3-small');
+
+      expect(server.openai.embeddings.create).toHaveBeenCalledTimes(2);
+      expect(server.usage.entries[0]).toMatchObject({ provider: 'openai', model: 'text-embedding-3-small', sessionId: 'chat', inputTokens: 1000, outputTokens: 0, cost: 0.00002 });
+    });
+
+    test('should reject invalid queries', async () => {
+      const result = await call('get_usage', { group_by: 'day' });
+
+      expect(result.content[0].text).toBe('Error: Invalid group_by: must be a list of distinct fields out of provider, model, session, day');
+    });
+  });
+});